@@ -9,17 +9,29 @@ require('dotenv').config();
 
 const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
+const { createRateLimiter } = require('./middleware/rateLimiter');
+const { rateLimits } = require('./config/rateLimits');
 const logger = require('./utils/logger');
+const scheduler = require('./utils/scheduler');
+const Post = require('./models/Post');
+const Comment = require('./models/Comment');
+const User = require('./models/User');
+const { ranking, refreshRankings } = require('./config/ranking');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
 const userRoutes = require('./routes/users');
+const categoryRoutes = require('./routes/categories');
+const seriesRoutes = require('./routes/series');
+const tagRoutes = require('./routes/tags');
+const moderationRoutes = require('./routes/moderation');
+const searchRoutes = require('./routes/search');
 
 const app = express();
 
 // Connect to database
-connectDB();
+const connected = connectDB();
 
 // Middleware
 app.use(helmet());
@@ -35,10 +47,18 @@ app.use((req, res, next) => {
   next();
 });
 
+// Rate limiting
+app.use('/api', createRateLimiter(rateLimits.global));
+
 // Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/posts', postRoutes);
-app.use('/api/users', userRoutes);
+app.use('/api/auth', createRateLimiter(rateLimits.auth), authRoutes);
+app.use('/api/posts', createRateLimiter(rateLimits.posts), postRoutes);
+app.use('/api/users', createRateLimiter(rateLimits.users), userRoutes);
+app.use('/api/categories', createRateLimiter(rateLimits.categories), categoryRoutes);
+app.use('/api/series', createRateLimiter(rateLimits.series), seriesRoutes);
+app.use('/api/tags', createRateLimiter(rateLimits.tags), tagRoutes);
+app.use('/api/moderation', createRateLimiter(rateLimits.moderation), moderationRoutes);
+app.use('/api/search', createRateLimiter(rateLimits.search), searchRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -57,15 +77,21 @@ app.use('*', (req, res) => {
 // Global error handler
 app.use(errorHandler);
 
+// Background jobs
+const SCHEDULER_INTERVAL = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+
+scheduler.register('publish-scheduled-posts', SCHEDULER_INTERVAL, () => Post.publishDueScheduled());
+scheduler.register('refresh-post-rankings', ranking.refreshMs, () => refreshRankings());
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
+  scheduler.stop().finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
+  scheduler.stop().finally(() => process.exit(0));
 });
 
 const PORT = process.env.PORT || 5000;
@@ -74,6 +100,32 @@ if (process.env.NODE_ENV !== 'test') {
   app.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
   });
+
+  // One-off data fixes, run once connected: they read the collections
+  // directly, which does not wait for the connection like models do
+  connected.then(() => {
+    // Move comments left embedded in posts into the comments collection
+    Comment.migrateEmbedded()
+      .then(migrated => migrated && logger.info(`Migrated ${migrated} embedded comments`))
+      .catch(error => logger.error('Embedded comment migration failed:', error));
+
+    // Store like counts on posts from before they were kept in step
+    Post.syncLikeCounts()
+      .then(synced => synced && logger.info(`Synced like counts of ${synced} posts`))
+      .catch(error => logger.error('Like count sync failed:', error));
+
+    // Make posts from before visibility existed public
+    Post.syncVisibility()
+      .then(synced => synced && logger.info(`Set the visibility of ${synced} posts`))
+      .catch(error => logger.error('Post visibility sync failed:', error));
+
+    // Accounts from before email verification keep their rights
+    User.syncEmailVerified()
+      .then(synced => synced && logger.info(`Marked ${synced} existing accounts as verified`))
+      .catch(error => logger.error('Email verification sync failed:', error));
+  });
+
+  scheduler.start();
 }
 
 module.exports = app; 
\ No newline at end of file
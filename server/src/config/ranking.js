@@ -0,0 +1,56 @@
+// server/src/config/ranking.js - Trending and popular post rankings
+
+const Post = require('../models/Post');
+const PostRanking = require('../models/PostRanking');
+const PostViewDaily = require('../models/PostViewDaily');
+const { RANKING_KINDS, PERIODS, parseWeights, rankingPipeline } = require('../utils/ranking');
+const { listingQuery } = require('../utils/postAccess');
+
+const ranking = {
+  // How much a view, like and comment count (RANKING_WEIGHT_VIEWS, _LIKES, _COMMENTS)
+  weights: parseWeights(),
+  // How often rankings are recomputed
+  refreshMs: (parseInt(process.env.RANKING_REFRESH_MINUTES, 10) || 15) * 60 * 1000,
+  // Posts kept in each ranking
+  size: 100
+};
+
+// Recompute and store every ranking. Only posts anyone could find in
+// listings are ranked. Resolves to the number of posts in each ranking,
+// keyed by kind and period (e.g. "trending:day").
+const refreshRankings = async (now = new Date()) => {
+  const listed = listingQuery({}, undefined, now);
+  const ranked = {};
+
+  for (const kind of RANKING_KINDS) {
+    for (const period of Object.keys(PERIODS)) {
+      // Score a few extra posts to fill the places of unlisted ones
+      const scored = await PostViewDaily.aggregate(rankingPipeline({
+        kind,
+        period,
+        weights: ranking.weights,
+        now,
+        limit: ranking.size * 2
+      }));
+
+      const eligible = new Set((await Post.find({
+        ...listed,
+        _id: { $in: scored.map(entry => entry._id) }
+      }).distinct('_id')).map(String));
+
+      const entries = scored
+        .filter(entry => eligible.has(String(entry._id)))
+        .slice(0, ranking.size)
+        .map(({ _id, ...entry }) => ({ post: _id, ...entry }));
+
+      ranked[`${kind}:${period}`] = await PostRanking.replaceRanking(kind, period, entries, now);
+    }
+  }
+
+  return ranked;
+};
+
+module.exports = {
+  ranking,
+  refreshRankings
+};
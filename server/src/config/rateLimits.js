@@ -0,0 +1,122 @@
+// server/src/config/rateLimits.js - Rate limit configuration per router
+
+const { createMemoryStore, createMongoStore } = require('../utils/rateLimitStores');
+
+const MINUTE = 60 * 1000;
+
+// Use RATE_LIMIT_STORE=mongo when running more than one server instance
+const createStore = () => {
+  return process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+};
+
+const store = createStore();
+
+const rateLimits = {
+  // Applied to every /api request
+  global: {
+    prefix: 'global',
+    algorithm: 'sliding-window',
+    windowMs: 15 * MINUTE,
+    max: parseInt(process.env.RATE_LIMIT_GLOBAL_MAX, 10) || 1000,
+    keyBy: 'ip',
+    store
+  },
+
+  auth: {
+    prefix: 'auth',
+    algorithm: 'fixed-window',
+    windowMs: 15 * MINUTE,
+    max: parseInt(process.env.RATE_LIMIT_AUTH_MAX, 10) || 100,
+    keyBy: 'ip',
+    store
+  },
+
+  posts: {
+    prefix: 'posts',
+    algorithm: 'token-bucket',
+    windowMs: MINUTE,
+    max: parseInt(process.env.RATE_LIMIT_POSTS_MAX, 10) || 120,
+    keyBy: 'user',
+    store
+  },
+
+  users: {
+    prefix: 'users',
+    algorithm: 'sliding-window',
+    windowMs: 15 * MINUTE,
+    max: parseInt(process.env.RATE_LIMIT_USERS_MAX, 10) || 300,
+    keyBy: 'user',
+    store
+  },
+
+  categories: {
+    prefix: 'categories',
+    algorithm: 'sliding-window',
+    windowMs: 15 * MINUTE,
+    max: parseInt(process.env.RATE_LIMIT_CATEGORIES_MAX, 10) || 300,
+    keyBy: 'ip',
+    store
+  },
+
+  series: {
+    prefix: 'series',
+    algorithm: 'sliding-window',
+    windowMs: 15 * MINUTE,
+    max: parseInt(process.env.RATE_LIMIT_SERIES_MAX, 10) || 300,
+    keyBy: 'ip',
+    store
+  },
+
+  tags: {
+    prefix: 'tags',
+    algorithm: 'sliding-window',
+    windowMs: 15 * MINUTE,
+    max: parseInt(process.env.RATE_LIMIT_TAGS_MAX, 10) || 300,
+    keyBy: 'ip',
+    store
+  },
+
+  search: {
+    prefix: 'search',
+    algorithm: 'sliding-window',
+    windowMs: MINUTE,
+    max: parseInt(process.env.RATE_LIMIT_SEARCH_MAX, 10) || 60,
+    keyBy: 'ip',
+    store
+  },
+
+  moderation: {
+    prefix: 'moderation',
+    algorithm: 'sliding-window',
+    windowMs: 15 * MINUTE,
+    max: parseInt(process.env.RATE_LIMIT_MODERATION_MAX, 10) || 300,
+    keyBy: 'user',
+    store
+  },
+
+  // Per IP and email on credential endpoints
+  login: {
+    prefix: 'login',
+    algorithm: 'fixed-window',
+    windowMs: 15 * MINUTE,
+    max: 20,
+    keyBy: ['ip', req => `email:${req.body.email || ''}`],
+    message: 'Too many login attempts. Please try again later.',
+    store
+  },
+
+  register: {
+    prefix: 'register',
+    algorithm: 'fixed-window',
+    windowMs: 60 * MINUTE,
+    max: 5,
+    keyBy: ['ip', req => `email:${req.body.email || ''}`],
+    message: 'Too many registration attempts. Please try again later.',
+    store
+  }
+};
+
+module.exports = {
+  rateLimits,
+  store
+};
@@ -0,0 +1,79 @@
+// server/src/config/relatedPosts.js - Related posts configuration
+
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { createRelatedPosts } = require('../utils/relatedPosts');
+const { createMemoryStore } = require('../utils/rateLimitStores');
+const { selectFor } = require('../utils/fieldsets');
+const { listingQuery } = require('../utils/postAccess');
+
+// Fields scored and returned for each candidate
+const CANDIDATE_FIELDS = 'title slug excerpt tags category author publishedAt';
+
+// Candidates sharing a tag, the category or the author, newest first
+const STRUCTURED_CANDIDATES = 200;
+
+// Extra candidates found by text search on the post's words
+const TEXT_CANDIDATES = 50;
+
+// Only posts anyone could find in listings are recommended, so cached
+// results can be shared between viewers
+const findCandidates = async (post, terms) => {
+  const listed = listingQuery({}, undefined);
+  const others = { $and: [listed, { _id: { $ne: post._id } }] };
+
+  const [structured, textual] = await Promise.all([
+    Post.find({
+      ...others,
+      $or: [
+        ...(post.tags && post.tags.length ? [{ tags: { $in: post.tags } }] : []),
+        { category: post.category },
+        { author: post.author }
+      ]
+    })
+      .select(CANDIDATE_FIELDS)
+      .sort({ publishedAt: -1 })
+      .limit(STRUCTURED_CANDIDATES)
+      .lean(),
+    terms.length
+      ? Post.find({ ...others, $text: { $search: terms.slice(0, 20).join(' ') } })
+        .select({ score: { $meta: 'textScore' } })
+        .select(CANDIDATE_FIELDS)
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(TEXT_CANDIDATES)
+        .lean()
+      : []
+  ]);
+
+  const byId = new Map([...structured, ...textual].map(candidate => [String(candidate._id), candidate]));
+  return [...byId.values()];
+};
+
+// Public summaries of the recommended posts, with their authors
+const present = async (results) => {
+  const posts = results.map(({ post }) => {
+    // Text search adds its own score, which the response does not need
+    const { score, ...summary } = post;
+    return summary;
+  });
+
+  await Post.populate(posts, { path: 'author', select: selectFor(User) });
+
+  return posts.map((post, index) => ({
+    ...post,
+    score: results[index].score,
+    reasons: results[index].reasons
+  }));
+};
+
+const relatedPosts = createRelatedPosts({
+  findCandidates,
+  present,
+  store: createMemoryStore({ maxKeys: 5000 }),
+  ttlMs: (parseInt(process.env.RELATED_POSTS_CACHE_MINUTES, 10) || 60) * 60 * 1000
+});
+
+// Recompute recommendations once posts change
+Post.events.on('changed', relatedPosts.invalidate);
+
+module.exports = relatedPosts;
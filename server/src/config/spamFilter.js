@@ -0,0 +1,46 @@
+// server/src/config/spamFilter.js - Comment spam filter configuration
+
+const Comment = require('../models/Comment');
+const { rules, createSpamScorer } = require('../utils/spamFilter');
+
+// Comma separated list, e.g. SPAM_BANNED_WORDS="casino,viagra,free money"
+const bannedWords = (process.env.SPAM_BANNED_WORDS || 'casino,viagra,crypto giveaway,free money')
+  .split(',')
+  .map(word => word.trim())
+  .filter(Boolean);
+
+// Count comments with the same text, by the author and by anyone (other
+// than the comment itself, when an edit is checked)
+const findDuplicates = async ({ _id, content, author }, since) => {
+  const filter = {
+    contentHash: Comment.hashContent(content),
+    createdAt: { $gte: since },
+    ...(_id ? { _id: { $ne: _id } } : {})
+  };
+
+  const [byAuthor, total] = await Promise.all([
+    Comment.countDocuments({ ...filter, author: author._id }),
+    Comment.countDocuments(filter)
+  ]);
+
+  return { byAuthor, total };
+};
+
+const spamFilter = {
+  rules: [
+    rules.links({ max: parseInt(process.env.SPAM_MAX_LINKS, 10) || 2, weight: 2 }),
+    rules.bannedWords({ words: bannedWords, weight: 3 }),
+    rules.newAccount({ hours: parseInt(process.env.SPAM_NEW_ACCOUNT_HOURS, 10) || 24, weight: 1, linkWeight: 2 }),
+    rules.duplicates({ windowHours: 24, weight: 4, crowdThreshold: 3, find: findDuplicates })
+  ],
+  // Scores at or above these hold the comment for review or file it as spam
+  reviewThreshold: parseInt(process.env.SPAM_REVIEW_THRESHOLD, 10) || 3,
+  spamThreshold: parseInt(process.env.SPAM_THRESHOLD, 10) || 6
+};
+
+const scoreComment = createSpamScorer(spamFilter);
+
+module.exports = {
+  spamFilter,
+  scoreComment
+};
@@ -0,0 +1,40 @@
+// server/src/config/viewTracking.js - Post view tracking configuration
+
+const PostView = require('../models/PostView');
+const PostViewDaily = require('../models/PostViewDaily');
+const { createViewTracker } = require('../utils/viewTracker');
+const logger = require('../utils/logger');
+
+const viewTracking = {
+  // A visitor's views of a post count once in this window
+  windowMs: (parseInt(process.env.VIEW_WINDOW_MINUTES, 10) || 30) * 60 * 1000,
+  claimView: (postId, visitor, windowMs, now) => PostView.claim(postId, visitor, windowMs, now),
+  // Atomic counter on the post, plus the day's bucket for analytics
+  countView: (post, now) => Promise.all([
+    post.incrementViews(),
+    PostViewDaily.increment(post._id, now)
+  ])
+};
+
+const tracker = createViewTracker(viewTracking);
+
+// Track a view of a post from a request. Failures are logged, never
+// passed on: a lost view should not fail the page.
+const trackView = async (req, post) => {
+  try {
+    return await tracker({
+      post,
+      user: req.user,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    logger.error('View tracking error:', error);
+    return { counted: false, reason: 'error' };
+  }
+};
+
+module.exports = {
+  viewTracking,
+  trackView
+};
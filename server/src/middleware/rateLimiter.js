@@ -0,0 +1,170 @@
+// server/src/middleware/rateLimiter.js - Configurable rate limiting middleware
+
+const { createMemoryStore } = require('../utils/rateLimitStores');
+const { extractToken, readToken } = require('../utils/auth');
+const logger = require('../utils/logger');
+
+// Client key strategies
+const keyStrategies = {
+  ip: req => `ip:${req.ip}`,
+
+  // Falls back to the IP for anonymous requests. The token is decoded
+  // without a database lookup so the limiter can run before authenticate.
+  user: (req) => {
+    if (req.user) {
+      return `user:${req.user._id}`;
+    }
+
+    // Invalid tokens are limited by IP
+    const token = extractToken(req);
+    const decoded = token && readToken(token);
+
+    return decoded ? `user:${decoded.id}` : `ip:${req.ip}`;
+  },
+
+  // Keyed on the route pattern (/api/posts/:id), so every ID shares a limit.
+  // Before a route has matched, every path under the mount point shares one.
+  route: req => `route:${req.method}:${req.baseUrl}${req.route ? req.route.path : '/*'}`
+};
+
+const createKeyGenerator = (keyBy) => {
+  if (typeof keyBy === 'function') {
+    return keyBy;
+  }
+
+  const parts = (Array.isArray(keyBy) ? keyBy : [keyBy]).map((name) => {
+    if (typeof name === 'function') return name;
+    if (!keyStrategies[name]) {
+      throw new Error(`Unknown rate limit key strategy: ${name}`);
+    }
+    return keyStrategies[name];
+  });
+
+  return req => parts.map(part => part(req)).join('|');
+};
+
+// Algorithms resolve to { allowed, limit, remaining, resetMs }
+const algorithms = {
+  // Counts requests in consecutive fixed windows
+  'fixed-window': async (store, key, { windowMs, max }, now) => {
+    const windowIndex = Math.floor(now / windowMs);
+    const count = await store.increment(`${key}:${windowIndex}`, windowMs);
+
+    return {
+      allowed: count <= max,
+      limit: max,
+      remaining: Math.max(0, max - count),
+      resetMs: (windowIndex + 1) * windowMs - now
+    };
+  },
+
+  // Weights the previous window by how much of it still overlaps the sliding window
+  'sliding-window': async (store, key, { windowMs, max }, now) => {
+    const windowIndex = Math.floor(now / windowMs);
+    const current = await store.increment(`${key}:${windowIndex}`, windowMs * 2);
+    const previous = (await store.get(`${key}:${windowIndex - 1}`)) || 0;
+    const overlap = 1 - (now - windowIndex * windowMs) / windowMs;
+    const estimated = previous * overlap + current;
+
+    return {
+      allowed: estimated <= max,
+      limit: max,
+      remaining: Math.max(0, Math.floor(max - estimated)),
+      resetMs: (windowIndex + 1) * windowMs - now
+    };
+  },
+
+  // Bucket of max tokens refilled evenly over windowMs; each request takes one
+  'token-bucket': async (store, key, { windowMs, max }, now) => {
+    const refillPerMs = max / windowMs;
+
+    const state = await store.update(key, (current) => {
+      const previous = current || { tokens: max, updatedAt: now };
+      const elapsed = Math.max(0, now - previous.updatedAt);
+      const tokens = Math.min(max, previous.tokens + elapsed * refillPerMs);
+
+      if (tokens >= 1) {
+        return { tokens: tokens - 1, updatedAt: now, allowed: true };
+      }
+
+      return { tokens, updatedAt: now, allowed: false };
+    }, windowMs);
+
+    return {
+      allowed: state.allowed,
+      limit: max,
+      remaining: Math.floor(state.tokens),
+      // Time until the next token is available
+      resetMs: state.tokens >= 1 ? 0 : Math.ceil((1 - state.tokens) / refillPerMs)
+    };
+  }
+};
+
+// Create a rate limiting middleware
+//   algorithm   - 'fixed-window' | 'sliding-window' | 'token-bucket'
+//   windowMs    - window length (token bucket: time to refill completely)
+//   max         - requests per window (token bucket: bucket size)
+//   keyBy       - 'ip' | 'user' | 'route', a function, or an array to combine them
+//   store       - see utils/rateLimitStores.js (defaults to an in-memory LRU store)
+//   prefix      - namespace for keys when several limiters share a store
+//   skip(req)   - return true to bypass the limiter
+const createRateLimiter = (options = {}) => {
+  const {
+    algorithm = 'fixed-window',
+    windowMs = 15 * 60 * 1000,
+    max = 100,
+    keyBy = 'ip',
+    store = createMemoryStore(),
+    prefix = 'rl',
+    message = 'Too many requests. Please try again later.',
+    statusCode = 429,
+    headers = true,
+    skip
+  } = options;
+
+  const limit = algorithms[algorithm];
+
+  if (!limit) {
+    throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+  }
+
+  const keyGenerator = createKeyGenerator(keyBy);
+
+  return async (req, res, next) => {
+    if (skip && skip(req)) {
+      return next();
+    }
+
+    let result;
+    try {
+      const key = `${prefix}:${keyGenerator(req)}`;
+      result = await limit(store, key, { windowMs, max }, Date.now());
+    } catch (error) {
+      // Fail open: a store outage should not take the API down
+      logger.error('Rate limiter store error:', error);
+      return next();
+    }
+
+    const resetSeconds = Math.ceil(result.resetMs / 1000);
+
+    if (headers) {
+      res.set('RateLimit-Limit', String(result.limit));
+      res.set('RateLimit-Remaining', String(result.remaining));
+      res.set('RateLimit-Reset', String(resetSeconds));
+      res.set('RateLimit-Policy', `${max};w=${Math.ceil(windowMs / 1000)}`);
+    }
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(Math.max(1, resetSeconds)));
+      return res.status(statusCode).json({ error: message });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  createRateLimiter,
+  algorithms,
+  keyStrategies
+};
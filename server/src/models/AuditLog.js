@@ -0,0 +1,33 @@
+// server/src/models/AuditLog.js - Security audit log model
+
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // User the entry is about
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // User who performed the action (empty for system actions)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String,
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,38 @@
+// server/src/models/BlockedTag.js - Tags that may not be used on posts
+
+const mongoose = require('mongoose');
+
+const blockedTagSchema = new mongoose.Schema({
+  tag: {
+    type: String,
+    required: [true, 'Tag is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Tag cannot exceed 50 characters']
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  blockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Note: tag index is automatically created due to unique: true
+
+// Static method to keep only the tags that are not blocked
+blockedTagSchema.statics.filterAllowed = async function(tags) {
+  if (!tags.length) {
+    return tags;
+  }
+
+  const blocked = new Set(await this.find({ tag: { $in: tags } }).distinct('tag'));
+  return tags.filter(tag => !blocked.has(tag));
+};
+
+module.exports = mongoose.model('BlockedTag', blockedTagSchema);
@@ -0,0 +1,139 @@
+// server/src/models/Category.js - Category model
+
+const mongoose = require('mongoose');
+const { slugify } = require('../utils/slugify');
+const { escapeRegExp } = require('../utils/search');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters long'],
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+// Note: name and slug indexes are automatically created due to unique: true
+categorySchema.index({ parent: 1, order: 1 });
+categorySchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'category_text_search', weights: { name: 10, description: 1 } }
+);
+
+// Pre-validate middleware to generate a unique slug from the name, again
+// whenever the category is renamed
+categorySchema.pre('validate', async function() {
+  if (!this.name || (this.slug && !this.isModified('name'))) {
+    return;
+  }
+
+  // Names without letters or digits (e.g. "!!!") still need a slug
+  const base = slugify(this.name) || 'category';
+
+  // The new name still gives the slug the category has (e.g. news-2)
+  if (this.slug && this.constructor.slugPattern(base).test(this.slug)) {
+    return;
+  }
+
+  this.slug = await this.constructor.uniqueSlug(base, this._id);
+});
+
+// Method to check whether a category is this one or one of its ancestors
+categorySchema.methods.isDescendantOf = async function(categoryId) {
+  let current = this;
+
+  while (current) {
+    if (current._id.toString() === categoryId.toString()) {
+      return true;
+    }
+
+    if (!current.parent) {
+      return false;
+    }
+
+    current = await this.constructor.findById(current.parent).select('parent');
+  }
+
+  return false;
+};
+
+// Static method to find all categories in display order
+categorySchema.statics.findOrdered = function(filter = {}) {
+  return this.find(filter)
+    .populate('parent', 'name slug')
+    .sort({ order: 1, name: 1 });
+};
+
+// Pattern matching a slug base and its numbered variants (news, news-2)
+categorySchema.statics.slugPattern = function(base) {
+  return new RegExp(`^${escapeRegExp(base)}(?:-(\\d+))?$`);
+};
+
+// Static method to pick a free slug: the base itself, or the base with the
+// lowest free number (names such as "C++" and "C#" give the same base)
+categorySchema.statics.uniqueSlug = async function(base, excludeId) {
+  const taken = new Set(await this.find({
+    _id: { $ne: excludeId },
+    slug: this.slugPattern(base)
+  }).distinct('slug'));
+
+  if (!taken.has(base)) {
+    return base;
+  }
+
+  let number = 2;
+  while (taken.has(`${base}-${number}`)) {
+    number++;
+  }
+
+  return `${base}-${number}`;
+};
+
+// Static method to find by slug
+categorySchema.statics.findBySlug = function(slug) {
+  return this.findOne({ slug: slug.toLowerCase() })
+    .populate('parent', 'name slug');
+};
+
+// Fields anyone may read (see utils/fieldsets)
+categorySchema.statics.FIELDSETS = {
+  fields: {
+    public: ['name', 'slug', 'description', 'parent', 'order']
+  },
+  expand: {}
+};
+
+// Searchable fields and their relevance weights (match the text index)
+categorySchema.statics.SEARCH_FIELDS = [
+  { path: 'name', weight: 10 },
+  { path: 'description', weight: 1 }
+];
+
+module.exports = mongoose.model('Category', categorySchema);
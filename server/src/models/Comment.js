@@ -0,0 +1,303 @@
+// server/src/models/Comment.js - Comment model
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PostViewDaily = require('./PostViewDaily');
+
+// Only approved comments are shown on posts
+const STATUSES = ['pending', 'approved', 'spam', 'rejected'];
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Comment this one replies to (null for top-level comments)
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  // Fingerprint of the normalised content, for duplicate detection
+  contentHash: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'approved'
+  },
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+  spamReasons: [{
+    type: String
+  }],
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  // Approved replies, the ones shown in the thread
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date
+  },
+  // Comments with replies are blanked rather than removed to keep threads intact
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      if (ret.deletedAt) {
+        ret.content = null;
+        ret.author = null;
+      }
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the comment was deleted
+commentSchema.virtual('isDeleted').get(function() {
+  return Boolean(this.deletedAt);
+});
+
+// Indexes for better query performance
+commentSchema.index({ post: 1, parentId: 1, status: 1, _id: 1 });
+commentSchema.index({ author: 1 });
+commentSchema.index({ status: 1, _id: 1 });
+commentSchema.index({ contentHash: 1, createdAt: -1 });
+
+// Static method to fingerprint comment text (case and spacing insensitive)
+commentSchema.statics.hashContent = function(content) {
+  const normalized = String(content || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Pre-save middleware to keep the content fingerprint current
+commentSchema.pre('save', function(next) {
+  if (this.isModified('content') && !this.deletedAt) {
+    this.contentHash = this.constructor.hashContent(this.content);
+  }
+
+  next();
+});
+
+// Static method to add a comment (or a reply) and keep the counters in step.
+// Only approved comments count towards the post's commentCount. Resolves to
+// null when the parent does not exist or is not approved.
+commentSchema.statics.addToPost = async function(postId, authorId, content, options = {}) {
+  const Post = mongoose.model('Post');
+  const { parentId = null, status = 'approved', spamScore = 0, spamReasons = [] } = options;
+
+  if (parentId) {
+    // Counting the reply first stops the parent being removed underneath it
+    const parent = await this.findOneAndUpdate(
+      { _id: parentId, post: postId, status: 'approved', deletedAt: null },
+      { $inc: { replyCount: 1 } }
+    );
+
+    if (!parent) {
+      return null;
+    }
+  }
+
+  let comment;
+
+  try {
+    comment = await this.create({
+      post: postId,
+      author: authorId,
+      content,
+      parentId,
+      status,
+      spamScore,
+      spamReasons
+    });
+  } catch (error) {
+    if (parentId) {
+      await this.updateOne({ _id: parentId }, { $inc: { replyCount: -1 } });
+    }
+    throw error;
+  }
+
+  if (status === 'approved') {
+    await Post.updateOne({ _id: postId }, { $inc: { commentCount: 1 } });
+    await PostViewDaily.recordActivity(postId, { comments: 1 });
+  } else if (parentId) {
+    // Only shown replies are counted; the stored reply now keeps the parent
+    await this.updateOne({ _id: parentId }, { $inc: { replyCount: -1 } });
+  }
+
+  return comment;
+};
+
+// Static method to move comments to a new status, keeping post comment
+// counts and parent reply counts in step. Resolves to the IDs of the comments that changed.
+commentSchema.statics.moderate = async function(ids, status, moderatorId, filter = {}) {
+  const Post = mongoose.model('Post');
+  const comments = await this.find({
+    ...filter,
+    _id: { $in: ids },
+    status: { $ne: status },
+    deletedAt: null
+  }).select('_id post parentId status');
+
+  const changed = [];
+
+  for (const comment of comments) {
+    // Conditional on the old status so concurrent moderators count once
+    const result = await this.updateOne(
+      { _id: comment._id, status: comment.status },
+      { $set: { status, moderatedBy: moderatorId, moderatedAt: new Date() } }
+    );
+
+    if (!result.modifiedCount) {
+      continue;
+    }
+
+    changed.push(comment._id);
+
+    const wasVisible = comment.status === 'approved';
+    const isVisible = status === 'approved';
+
+    if (wasVisible !== isVisible) {
+      await Post.updateOne({ _id: comment.post }, { $inc: { commentCount: isVisible ? 1 : -1 } });
+      await PostViewDaily.recordActivity(comment.post, { comments: isVisible ? 1 : -1 });
+
+      if (comment.parentId) {
+        await this.updateOne({ _id: comment.parentId }, { $inc: { replyCount: isVisible ? 1 : -1 } });
+      }
+    }
+  }
+
+  return changed;
+};
+
+// Method to delete the comment. Comments with replies are blanked instead so
+// the replies keep their place in the thread.
+commentSchema.methods.removeFromThread = async function() {
+  const Post = mongoose.model('Post');
+
+  if (this.deletedAt) {
+    return this;
+  }
+
+  // Only removed outright while nobody has replied. replyCount leaves out
+  // hidden replies, so those are looked up; it still covers replies being added.
+  const hasReplies = await this.constructor.exists({ parentId: this._id });
+  const { deletedCount } = hasReplies
+    ? { deletedCount: 0 }
+    : await this.constructor.deleteOne({ _id: this._id, replyCount: 0 });
+
+  if (deletedCount) {
+    if (this.parentId && this.status === 'approved') {
+      await this.constructor.updateOne({ _id: this.parentId }, { $inc: { replyCount: -1 } });
+    }
+  } else {
+    this.deletedAt = new Date();
+    this.content = '[deleted]';
+    await this.save();
+  }
+
+  if (this.status === 'approved') {
+    await Post.updateOne({ _id: this.post }, { $inc: { commentCount: -1 } });
+    await PostViewDaily.recordActivity(this.post, { comments: -1 });
+  }
+
+  return this;
+};
+
+// Static method to delete every comment of a user (see removeFromThread).
+// Replies go first, so threads the user started alone are removed outright.
+// Resolves to the number of comments removed.
+commentSchema.statics.removeAllBy = async function(authorId) {
+  const comments = await this.find({ author: authorId, deletedAt: null }).sort({ createdAt: -1 });
+
+  for (const comment of comments) {
+    await comment.removeFromThread();
+  }
+
+  return comments.length;
+};
+
+// Static method to recalculate a post's comment count from the collection
+commentSchema.statics.syncCommentCount = async function(postId) {
+  const Post = mongoose.model('Post');
+  const commentCount = await this.countDocuments({ post: postId, status: 'approved', deletedAt: null });
+
+  await Post.updateOne({ _id: postId }, { commentCount });
+
+  return commentCount;
+};
+
+// Static method to move comments still embedded in post documents (from
+// before comments had their own collection) into this collection.
+// Safe to run repeatedly and from several instances.
+commentSchema.statics.migrateEmbedded = async function() {
+  const Post = mongoose.model('Post');
+  const cursor = Post.collection.find(
+    { 'comments.0': { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+
+  let migrated = 0;
+
+  for await (const post of cursor) {
+    const comments = post.comments.map(comment => ({
+      _id: comment._id,
+      post: post._id,
+      author: comment.user,
+      content: comment.content,
+      contentHash: this.hashContent(comment.content),
+      status: 'approved',
+      parentId: null,
+      replyCount: 0,
+      deletedAt: null,
+      createdAt: comment.createdAt,
+      updatedAt: comment.createdAt
+    }));
+
+    try {
+      await this.collection.insertMany(comments, { ordered: false });
+    } catch (error) {
+      // Comments copied by an earlier, interrupted run
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    await Post.collection.updateOne({ _id: post._id }, { $unset: { comments: '' } });
+    await this.syncCommentCount(post._id);
+    migrated += comments.length;
+  }
+
+  return migrated;
+};
+
+commentSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Comment', commentSchema);
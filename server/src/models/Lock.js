@@ -0,0 +1,50 @@
+// server/src/models/Lock.js - Distributed lock model
+
+const mongoose = require('mongoose');
+
+const lockSchema = new mongoose.Schema({
+  // Lock name
+  _id: {
+    type: String,
+    required: true
+  },
+  // Instance currently holding the lock
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Static method to take (or extend) a lock. Resolves to false when another
+// owner holds an unexpired lock.
+lockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    await this.findOneAndUpdate(
+      { _id: name, $or: [{ expiresAt: { $lte: now } }, { owner }] },
+      { owner, expiresAt: new Date(now.getTime() + ttlMs) },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collides with a lock held by someone else
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to release a lock held by an owner
+lockSchema.statics.release = function(name, owner) {
+  return this.deleteOne({ _id: name, owner });
+};
+
+module.exports = mongoose.model('Lock', lockSchema);
@@ -0,0 +1,44 @@
+// server/src/models/LoginAttempt.js - Failed logins for emails without an account
+//
+// Unknown emails are throttled and locked like accounts (see
+// utils/loginThrottle), so login responses do not reveal which emails have
+// an account. Entries expire once any lockout they hold is over.
+
+const mongoose = require('mongoose');
+const { loginThrottle, MAX_LOCK_TIME_MS } = require('../utils/loginThrottle');
+
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  }
+}, {
+  versionKey: false
+});
+
+loginAttemptSchema.plugin(loginThrottle);
+
+// Lockouts never outlast MAX_LOCK_TIME_MS from the failure that set them
+loginAttemptSchema.index({ lastFailedLoginAt: 1 }, { expireAfterSeconds: MAX_LOCK_TIME_MS / 1000 });
+
+// Static method to get the entry for an email, creating it when missing
+loginAttemptSchema.statics.forEmail = async function(email) {
+  try {
+    return await this.findOneAndUpdate(
+      { email },
+      { $setOnInsert: { email } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Two first attempts raced to create the entry; it exists now
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return this.findOne({ email });
+  }
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
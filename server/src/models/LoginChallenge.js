@@ -0,0 +1,78 @@
+// server/src/models/LoginChallenge.js - Pending two-factor login challenges
+//
+// Each challenge token names one of these (its jti). A challenge allows a
+// few code attempts and is redeemed by the first correct one, so a token
+// cannot be replayed or used for unlimited guessing.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Code attempts allowed per challenge, right or wrong
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const loginChallengeSchema = new mongoose.Schema({
+  // Random ID, carried as the challenge token's jti
+  _id: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  redeemedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Expired challenges are removed by MongoDB
+loginChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to open a challenge for a user, valid for ttlMs
+loginChallengeSchema.statics.issue = function(userId, ttlMs) {
+  return this.create({
+    _id: crypto.randomBytes(16).toString('hex'),
+    user: userId,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+};
+
+// Static method to count an attempt at a challenge. Resolves to null when
+// the challenge is unknown, expired, redeemed or out of attempts.
+loginChallengeSchema.statics.startAttempt = function(id, userId) {
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      user: userId,
+      redeemedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: MAX_CHALLENGE_ATTEMPTS }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to redeem a challenge once. Resolves to false when it was
+// already redeemed (a concurrent request got there first).
+loginChallengeSchema.statics.redeem = async function(id) {
+  const result = await this.updateOne({ _id: id, redeemedAt: null }, { $set: { redeemedAt: new Date() } });
+
+  return result.modifiedCount === 1;
+};
+
+loginChallengeSchema.statics.MAX_CHALLENGE_ATTEMPTS = MAX_CHALLENGE_ATTEMPTS;
+
+module.exports = mongoose.model('LoginChallenge', loginChallengeSchema);
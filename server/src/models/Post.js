@@ -1,6 +1,44 @@
 // server/src/models/Post.js - Post model
 
+const { EventEmitter } = require('events');
 const mongoose = require('mongoose');
+const BlockedTag = require('./BlockedTag');
+const Comment = require('./Comment');
+const PostRanking = require('./PostRanking');
+const PostRevision = require('./PostRevision');
+const PostView = require('./PostView');
+const PostViewDaily = require('./PostViewDaily');
+const Series = require('./Series');
+const { slugify } = require('../utils/slugify');
+const { escapeRegExp } = require('../utils/search');
+
+const STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+
+// Who can read a live post (see utils/postAccess)
+const VISIBILITIES = ['public', 'unlisted', 'members_only', 'private'];
+
+// How new comments are moderated: 'auto' leaves it to the spam filter,
+// 'pre' holds every comment for a moderator
+const COMMENT_MODERATION = ['auto', 'pre'];
+
+// Allowed status changes in the editorial workflow
+const TRANSITIONS = {
+  draft: ['in_review', 'published', 'scheduled', 'archived'],
+  in_review: ['draft', 'published', 'scheduled', 'archived'],
+  scheduled: ['draft', 'published', 'archived'],
+  published: ['draft', 'archived'],
+  archived: ['draft', 'published']
+};
+
+// Fields whose changes matter beyond the post itself (e.g. to related
+// posts); view, like and comment counts are not among them
+const CONTENT_FIELDS = [
+  'title', 'slug', 'excerpt', 'content', 'author', 'category', 'tags', 'status', 'publishedAt', 'visibility'
+];
+
+// Emits 'changed' when posts are created, deleted or have their
+// CONTENT_FIELDS changed
+const postEvents = new EventEmitter();
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -22,6 +60,12 @@ const postSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // Earlier slugs, so old links still find the post
+  slugHistory: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
   excerpt: {
     type: String,
     maxlength: [300, 'Excerpt cannot exceed 300 characters']
@@ -43,9 +87,39 @@ const postSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: STATUSES,
     default: 'draft'
   },
+  visibility: {
+    type: String,
+    enum: VISIBILITIES,
+    default: 'public'
+  },
+  // Every status change, oldest first
+  transitions: [{
+    from: {
+      type: String,
+      enum: STATUSES
+    },
+    to: {
+      type: String,
+      enum: STATUSES,
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Reviewer notes (e.g. why a post was sent back)
+    note: {
+      type: String,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   featured: {
     type: Boolean,
     default: false
@@ -53,6 +127,10 @@ const postSchema = new mongoose.Schema({
   publishedAt: {
     type: Date
   },
+  // Publish time for scheduled posts
+  scheduledFor: {
+    type: Date
+  },
   readTime: {
     type: Number,
     min: 1
@@ -61,26 +139,32 @@ const postSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Users who liked the post. Only changed through like() and unlike(),
+  // which keep likeCount in step.
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
+  likeCount: {
+    type: Number,
+    default: 0
+  },
+  // Number of visible comments, kept in step by the Comment model
+  commentCount: {
+    type: Number,
+    default: 0
+  },
+  commentSettings: {
+    enabled: {
+      type: Boolean,
+      default: true
     },
-    content: {
+    moderation: {
       type: String,
-      required: true,
-      maxlength: [1000, 'Comment cannot exceed 1000 characters']
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
+      enum: COMMENT_MODERATION,
+      default: 'auto'
     }
-  }],
+  },
   meta: {
     title: String,
     description: String,
@@ -92,19 +176,10 @@ const postSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Virtual for like count
-postSchema.virtual('likeCount').get(function() {
-  return this.likes.length;
-});
-
-// Virtual for comment count
-postSchema.virtual('commentCount').get(function() {
-  return this.comments.length;
-});
-
 // Virtual for reading time (if not set)
 postSchema.virtual('estimatedReadTime').get(function() {
   if (this.readTime) return this.readTime;
+  if (!this.content) return undefined;
   
   const wordsPerMinute = 200;
   const wordCount = this.content.split(' ').length;
@@ -119,20 +194,90 @@ postSchema.index({ status: 1 });
 postSchema.index({ publishedAt: -1 });
 postSchema.index({ featured: 1 });
 postSchema.index({ tags: 1 });
+postSchema.index({ slugHistory: 1 });
 
 // Compound indexes
 postSchema.index({ status: 1, publishedAt: -1 });
 postSchema.index({ category: 1, status: 1 });
+postSchema.index({ status: 1, scheduledFor: 1 });
+postSchema.index({ status: 1, visibility: 1, publishedAt: -1 });
+
+// Full-text search index (a collection can only have one)
+postSchema.index(
+  { title: 'text', tags: 'text', content: 'text' },
+  { name: 'post_text_search', weights: { title: 10, tags: 5, content: 1 } }
+);
+
+// Remember the stored slug, to record it in the history when it changes
+postSchema.post('init', function() {
+  this.$locals.storedSlug = this.slug;
+});
+
+postSchema.post('save', function() {
+  this.$locals.storedSlug = this.slug;
+});
 
-// Pre-save middleware to generate slug if not provided
+// Announce changes to posts (see postEvents)
 postSchema.pre('save', function(next) {
-  if (!this.slug) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/(^-|-$)/g, '');
+  this.$locals.contentChanged = this.isNew || CONTENT_FIELDS.some(field => this.isModified(field));
+  next();
+});
+
+postSchema.post('save', function() {
+  if (this.$locals.contentChanged) {
+    postEvents.emit('changed');
   }
-  
+});
+
+postSchema.post(['findOneAndDelete', 'deleteOne', 'deleteMany'], function() {
+  postEvents.emit('changed');
+});
+
+// Pre-validate middleware to tidy tags: no empty or repeated tags, and none
+// from the blocklist
+postSchema.pre('validate', async function() {
+  if (!this.isModified('tags')) {
+    return;
+  }
+
+  this.tags = await BlockedTag.filterAllowed([...new Set(this.tags.filter(Boolean))]);
+});
+
+// Pre-validate middleware to generate a unique slug. Slugs come from the
+// title unless one is given, and follow title changes until the post is
+// first published, so published links stay stable.
+postSchema.pre('validate', async function() {
+  let base;
+
+  if (this.slug && this.isModified('slug')) {
+    base = slugify(this.slug);
+  } else if (!this.slug || (!this.isNew && this.isModified('title') && !this.publishedAt)) {
+    base = slugify(this.title);
+
+    // The title still gives the slug the post has (e.g. my-title-2)
+    if (this.slug && base && this.constructor.slugPattern(base).test(this.slug)) {
+      return;
+    }
+  } else {
+    return;
+  }
+
+  if (!base && !this.title) {
+    return;
+  }
+
+  this.$locals.slugBase = base || slugify(this.title) || 'post';
+  this.slug = await this.constructor.uniqueSlug(this.$locals.slugBase, this._id);
+
+  // Keep the previous slug resolving; a slug taken back leaves the history
+  const stored = this.$locals.storedSlug;
+  const history = stored && stored !== this.slug ? [...this.slugHistory, stored] : this.slugHistory;
+
+  this.slugHistory = [...new Set(history)].filter(slug => slug !== this.slug);
+});
+
+// Pre-save middleware to fill in derived fields
+postSchema.pre('save', function(next) {
   if (!this.excerpt) {
     this.excerpt = this.content.substring(0, 150) + '...';
   }
@@ -148,48 +293,374 @@ postSchema.pre('save', function(next) {
   next();
 });
 
+// Method to save, moving to the next free slug when another post took
+// the slug between the check and the write
+postSchema.methods.saveWithUniqueSlug = async function(attempts = 3) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.save();
+    } catch (error) {
+      const slugTaken = error.code === 11000 && error.keyPattern && error.keyPattern.slug;
+
+      if (!slugTaken || attempt >= attempts || !this.$locals.slugBase) {
+        throw error;
+      }
+
+      this.slug = this.$locals.slugBase;
+    }
+  }
+};
+
+// Method to move the post to a new status and record the change
+postSchema.methods.transitionTo = function(status, userId, note) {
+  this.transitions.push({
+    from: this.isNew ? undefined : this.status,
+    to: status,
+    by: userId,
+    note
+  });
+  this.status = status;
+
+  // A schedule only means something while the post is waiting for it
+  if (status !== 'scheduled' && status !== 'published') {
+    this.scheduledFor = undefined;
+  }
+};
+
 // Method to increment views
-postSchema.methods.incrementViews = function() {
-  this.views += 1;
-  return this.save();
+postSchema.methods.incrementViews = async function() {
+  // Atomic, and works on posts loaded with only some fields
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } });
+
+  if (this.views !== undefined) {
+    this.views += 1;
+  }
+
+  return this;
+};
+
+// Static method to like (liked = true) or unlike a post. Atomic and
+// idempotent: the filter only matches when the change applies, so likes
+// are never counted twice. Resolves to { likeCount, isLiked, changed },
+// or null when the post does not exist.
+postSchema.statics.setLiked = async function(postId, userId, liked) {
+  const [filter, update] = liked
+    ? [{ likes: { $ne: userId } }, { $addToSet: { likes: userId }, $inc: { likeCount: 1 } }]
+    : [{ likes: userId }, { $pull: { likes: userId }, $inc: { likeCount: -1 } }];
+
+  const updated = await this.findOneAndUpdate(
+    { _id: postId, ...filter },
+    update,
+    { new: true, projection: { likeCount: 1 } }
+  );
+
+  if (updated) {
+    // Counted by day for trending and popular posts
+    await PostViewDaily.recordActivity(postId, { likes: liked ? 1 : -1 });
+    return { likeCount: updated.likeCount, isLiked: liked, changed: true };
+  }
+
+  const post = await this.findById(postId).select('likeCount');
+
+  return post && { likeCount: post.likeCount, isLiked: liked, changed: false };
 };
 
 // Method to toggle like
-postSchema.methods.toggleLike = function(userId) {
-  const likeIndex = this.likes.indexOf(userId);
-  
-  if (likeIndex === -1) {
-    this.likes.push(userId);
-  } else {
-    this.likes.splice(likeIndex, 1);
+postSchema.methods.toggleLike = async function(userId) {
+  const result = await this.constructor.setLiked(this._id, userId, true);
+
+  // The user had already liked the post
+  if (result && !result.changed) {
+    return this.constructor.setLiked(this._id, userId, false);
   }
-  
-  return this.save();
+
+  return result;
+};
+
+// Static method to take back every like of a user. Resolves to the number
+// of posts changed.
+postSchema.statics.removeLikesBy = async function(userId) {
+  const result = await this.updateMany(
+    { likes: userId },
+    { $pull: { likes: userId }, $inc: { likeCount: -1 } }
+  );
+
+  return result.modifiedCount;
 };
 
-// Method to add comment
-postSchema.methods.addComment = function(userId, content) {
-  this.comments.push({
-    user: userId,
-    content: content
+// Static method to set `isLiked` on posts (plain objects) for a user
+postSchema.statics.addLikedState = async function(posts, user) {
+  const liked = user && posts.length
+    ? await this.find({ _id: { $in: posts.map(post => post._id) }, likes: user._id }).distinct('_id')
+    : [];
+  const likedIds = new Set(liked.map(String));
+
+  posts.forEach((post) => {
+    post.isLiked = likedIds.has(String(post._id));
   });
-  
-  return this.save();
+
+  return posts;
+};
+
+// Static method to fill in likeCount for posts from before it was stored,
+// dropping duplicate likes along the way. Safe to run repeatedly.
+postSchema.statics.syncLikeCounts = async function() {
+  const result = await this.updateMany({ likeCount: { $exists: false } }, [
+    { $set: { likes: { $setUnion: [{ $ifNull: ['$likes', []] }, []] } } },
+    { $set: { likeCount: { $size: '$likes' } } }
+  ]);
+
+  return result.modifiedCount;
+};
+
+// Static method to set the visibility of posts from before it existed.
+// Safe to run repeatedly.
+postSchema.statics.syncVisibility = async function() {
+  const result = await this.updateMany({ visibility: { $exists: false } }, { $set: { visibility: 'public' } });
+
+  return result.modifiedCount;
+};
+
+// Static method to count the posts matching `filter` per tag, most used
+// first. Resolves to { tags: [{ tag, count }], total }.
+postSchema.statics.tagCounts = async function(filter, { prefix, skip = 0, limit = 20 } = {}) {
+  const prefixMatch = prefix ? { tags: new RegExp(`^${escapeRegExp(prefix)}`) } : {};
+
+  // Aggregation skips Mongoose casting, so cast the filter first
+  const [result] = await this.aggregate([
+    { $match: { ...this.find().cast(this, filter), ...prefixMatch } },
+    { $unwind: '$tags' },
+    { $match: prefixMatch },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    {
+      $facet: {
+        tags: [{ $skip: skip }, { $limit: limit }, { $project: { _id: 0, tag: '$_id', count: 1 } }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    tags: result.tags,
+    total: result.total.length ? result.total[0].count : 0
+  };
+};
+
+// Static method to replace tags on every post (renaming or merging them),
+// keeping each post's tag order and dropping repeats. Resolves to the number
+// of posts changed.
+postSchema.statics.replaceTags = async function(from, into) {
+  const result = await this.updateMany({ tags: { $in: from } }, [{
+    $set: {
+      tags: {
+        $reduce: {
+          input: { $map: { input: '$tags', in: { $cond: [{ $in: ['$$this', from] }, into, '$$this'] } } },
+          initialValue: [],
+          in: { $cond: [{ $in: ['$$this', '$$value'] }, '$$value', { $concatArrays: ['$$value', ['$$this']] }] }
+        }
+      }
+    }
+  }]);
+
+  if (result.modifiedCount) {
+    postEvents.emit('changed');
+  }
+
+  return result.modifiedCount;
+};
+
+// Static method to remove tags from every post. Resolves to the number of
+// posts changed.
+postSchema.statics.removeTags = async function(tags) {
+  const result = await this.updateMany({ tags: { $in: tags } }, { $pullAll: { tags } });
+
+  if (result.modifiedCount) {
+    postEvents.emit('changed');
+  }
+
+  return result.modifiedCount;
+};
+
+// Static method to delete posts with their comments, revisions, view
+// counts and rankings, and take them out of their series. Resolves to the
+// number of posts deleted.
+postSchema.statics.deleteWithRelated = async function(filter) {
+  const ids = await this.find(filter).distinct('_id');
+
+  if (!ids.length) {
+    return 0;
+  }
+
+  const post = { $in: ids };
+  const { deletedCount } = await this.deleteMany({ _id: post });
+
+  await PostRevision.deleteMany({ post });
+  await Comment.deleteMany({ post });
+  await PostView.deleteMany({ post });
+  await PostViewDaily.deleteMany({ post });
+  await PostRanking.deleteMany({ post });
+  await Series.updateMany({ posts: post }, { $pullAll: { posts: ids } });
+
+  return deletedCount;
+};
+
+// Static method to move every post of a category to another. Resolves to
+// the number of posts moved.
+postSchema.statics.reassignCategory = async function(from, to) {
+  const result = await this.updateMany({ category: from }, { category: to });
+
+  if (result.modifiedCount) {
+    postEvents.emit('changed');
+  }
+
+  return result.modifiedCount;
+};
+
+// Static method to build the filter for posts that are live now
+// (published, and not carrying a publish time in the future)
+postSchema.statics.publishedFilter = function(now = new Date()) {
+  return { status: 'published', publishedAt: { $lte: now } };
+};
+
+// Searchable fields and their relevance weights (match the text index)
+postSchema.statics.SEARCH_FIELDS = [
+  { path: 'title', weight: 10 },
+  { path: 'tags', weight: 5, array: true },
+  { path: 'content', weight: 1 }
+];
+
+// Sortable and filterable fields for post listings (see utils/listQuery)
+postSchema.statics.LIST_QUERY = {
+  sortable: ['publishedAt', 'createdAt', 'updatedAt', 'title', 'views', 'readTime', 'likeCount', 'commentCount'],
+  filters: {
+    category: { type: 'id', multi: true },
+    author: { type: 'id', multi: true },
+    status: { type: 'enum', values: STATUSES },
+    visibility: { type: 'enum', values: VISIBILITIES, multi: true },
+    tags: { type: 'string', multi: true, lowercase: true, maxLength: 50 },
+    featured: { type: 'boolean' },
+    publishedAt: { type: 'date', range: true },
+    createdAt: { type: 'date', range: true },
+    views: { type: 'number', range: true },
+    readTime: { type: 'number', range: true },
+    likeCount: { type: 'number', range: true },
+    commentCount: { type: 'number', range: true }
+  },
+  params: ['page', 'limit', 'cursor', 'search', 'fields', 'expand'],
+  defaultSort: '-publishedAt'
+};
+
+// Fields each role may read, and the relations that can be expanded
+// (see utils/fieldsets)
+postSchema.statics.FIELDSETS = {
+  fields: {
+    public: [
+      'title', 'slug', 'excerpt', 'content', 'author', 'category', 'tags', 'status',
+      'visibility', 'featured', 'publishedAt', 'readTime', 'estimatedReadTime', 'views',
+      'likeCount', 'isLiked', 'commentCount', 'commentSettings', 'createdAt', 'updatedAt'
+    ],
+    // Authors follow their own posts through review and scheduling
+    own: ['scheduledFor', 'transitions'],
+    editor: ['scheduledFor', 'transitions'],
+    admin: ['scheduledFor', 'transitions']
+  },
+  virtuals: {
+    estimatedReadTime: ['readTime', 'content'],
+    // Set by the routes for the signed in user (see addLikedState)
+    isLiked: []
+  },
+  expand: {
+    author: { path: 'author', model: 'User' },
+    category: { path: 'category', model: 'Category' },
+    // Loaded separately, from the comments collection
+    comments: {},
+    'comments.author': { path: 'author', model: 'User' }
+  },
+  defaultExpand: ['author', 'category']
 };
 
 // Static method to find published posts
 postSchema.statics.findPublished = function() {
-  return this.find({ status: 'published' })
+  return this.find(this.publishedFilter())
     .populate('author', 'username profile.firstName profile.lastName')
     .populate('category', 'name')
     .sort({ publishedAt: -1 });
 };
 
-// Static method to find by slug
+// Pattern matching a slug base and its numbered variants (my-title, my-title-2)
+postSchema.statics.slugPattern = function(base) {
+  return new RegExp(`^${escapeRegExp(base)}(?:-(\\d+))?$`);
+};
+
+// Static method to pick a free slug: the base itself, or the base with the
+// lowest free number. Slugs in other posts' histories count as taken.
+postSchema.statics.uniqueSlug = async function(base, excludeId) {
+  const pattern = this.slugPattern(base);
+  const posts = await this.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { slugHistory: pattern }]
+  }).select('slug slugHistory').lean();
+
+  const taken = new Set(posts.flatMap(post => [post.slug, ...(post.slugHistory || [])]));
+
+  if (!taken.has(base)) {
+    return base;
+  }
+
+  let number = 2;
+  while (taken.has(`${base}-${number}`)) {
+    number++;
+  }
+
+  return `${base}-${number}`;
+};
+
+// Static method to find a published post by its current or an earlier slug
 postSchema.statics.findBySlug = function(slug) {
-  return this.findOne({ slug: slug, status: 'published' })
-    .populate('author', 'username profile.firstName profile.lastName')
-    .populate('category', 'name');
+  const normalized = String(slug).toLowerCase();
+
+  return this.findOne({
+    $or: [{ slug: normalized }, { slugHistory: normalized }],
+    ...this.publishedFilter()
+  });
 };
 
+// Static method to publish scheduled posts whose time has come.
+// The status condition makes this safe to run from several instances.
+postSchema.statics.publishDueScheduled = async function(now = new Date()) {
+  const duePosts = await this.find({ status: 'scheduled', scheduledFor: { $lte: now } })
+    .select('_id scheduledFor');
+
+  let published = 0;
+
+  for (const post of duePosts) {
+    const result = await this.updateOne(
+      { _id: post._id, status: 'scheduled' },
+      {
+        $set: { status: 'published', publishedAt: post.scheduledFor },
+        $push: { transitions: { from: 'scheduled', to: 'published', note: 'Published on schedule', at: now } }
+      }
+    );
+    published += result.modifiedCount;
+  }
+
+  if (published) {
+    postEvents.emit('changed');
+  }
+
+  return published;
+};
+
+// Static method to check whether a status change is allowed
+postSchema.statics.canTransition = function(from, to) {
+  return from === to || (TRANSITIONS[from] || []).includes(to);
+};
+
+postSchema.statics.events = postEvents;
+postSchema.statics.STATUSES = STATUSES;
+postSchema.statics.VISIBILITIES = VISIBILITIES;
+postSchema.statics.TRANSITIONS = TRANSITIONS;
+postSchema.statics.COMMENT_MODERATION = COMMENT_MODERATION;
+
 module.exports = mongoose.model('Post', postSchema); 
\ No newline at end of file
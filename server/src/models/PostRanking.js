@@ -0,0 +1,79 @@
+// server/src/models/PostRanking.js - Stored trending and popular rankings
+//
+// Each refresh writes a complete ranking for a kind and period, stamped
+// with its computedAt, then removes the rankings before it. Readers use the
+// newest complete ranking, so they never see one half written.
+
+const mongoose = require('mongoose');
+const { RANKING_KINDS, PERIODS } = require('../utils/ranking');
+
+const postRankingSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: RANKING_KINDS,
+    required: true
+  },
+  period: {
+    type: String,
+    enum: Object.keys(PERIODS),
+    required: true
+  },
+  computedAt: {
+    type: Date,
+    required: true
+  },
+  rank: {
+    type: Number,
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  score: Number,
+  // Activity in the period
+  views: Number,
+  likes: Number,
+  comments: Number
+}, {
+  versionKey: false
+});
+
+postRankingSchema.index({ kind: 1, period: 1, computedAt: -1, rank: 1 }, { unique: true });
+
+// Static method to store a ranking ([{ post, score, views, likes, comments }],
+// best first) and drop the ones it replaces. Resolves to the number stored.
+postRankingSchema.statics.replaceRanking = async function(kind, period, entries, computedAt = new Date()) {
+  if (entries.length) {
+    await this.insertMany(entries.map((entry, index) => ({
+      ...entry,
+      kind,
+      period,
+      computedAt,
+      rank: index + 1
+    })));
+  }
+
+  await this.deleteMany({ kind, period, computedAt: { $lt: computedAt } });
+
+  return entries.length;
+};
+
+// Static method to get the newest ranking. Resolves to
+// { computedAt, entries } (computedAt is null before the first refresh).
+postRankingSchema.statics.latest = async function(kind, period, limit) {
+  const newest = await this.findOne({ kind, period }).sort({ computedAt: -1 }).select('computedAt');
+
+  if (!newest) {
+    return { computedAt: null, entries: [] };
+  }
+
+  const entries = await this.find({ kind, period, computedAt: newest.computedAt })
+    .sort({ rank: 1 })
+    .limit(limit);
+
+  return { computedAt: newest.computedAt, entries };
+};
+
+module.exports = mongoose.model('PostRanking', postRankingSchema);
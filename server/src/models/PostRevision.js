@@ -0,0 +1,149 @@
+// server/src/models/PostRevision.js - Post revision history model
+
+const mongoose = require('mongoose');
+
+// Post fields captured in each revision
+const REVISION_FIELDS = ['title', 'content', 'category', 'tags', 'meta'];
+
+// Attempts at taking the next revision number under concurrent saves
+const MAX_RECORD_ATTEMPTS = 3;
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Sequential per post, starting at 1
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // User who made the change
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedFields: [{
+    type: String,
+    enum: REVISION_FIELDS
+  }],
+  // Revision number this one was restored from, if any
+  restoredFrom: {
+    type: Number
+  },
+  // The post's versioned fields after the change
+  snapshot: {
+    title: String,
+    content: String,
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    },
+    tags: [String],
+    meta: {
+      title: String,
+      description: String,
+      keywords: [String]
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+// Static method to take a plain copy of a post's versioned fields
+postRevisionSchema.statics.snapshot = function(post) {
+  const category = post.category && post.category._id ? post.category._id : post.category;
+  const meta = post.meta && post.meta.toObject ? post.meta.toObject() : post.meta;
+
+  return {
+    title: post.title,
+    content: post.content,
+    category: category ? String(category) : undefined,
+    tags: [...(post.tags || [])],
+    meta: meta ? {
+      title: meta.title,
+      description: meta.description,
+      keywords: [...(meta.keywords || [])]
+    } : undefined
+  };
+};
+
+// Static method to list the fields that differ between two snapshots
+postRevisionSchema.statics.changedFields = function(from, to) {
+  const normalize = value => JSON.stringify(value === undefined ? null : value);
+
+  return REVISION_FIELDS.filter(field => {
+    const before = from ? from[field] : undefined;
+    const after = to ? to[field] : undefined;
+    return normalize(before) !== normalize(after);
+  });
+};
+
+// Static method to build a field-level diff between two snapshots
+postRevisionSchema.statics.diff = function(from, to) {
+  const changes = {};
+
+  this.changedFields(from, to).forEach(field => {
+    changes[field] = { from: from[field], to: to[field] };
+  });
+
+  return changes;
+};
+
+// Static method to record a post's current state as a new revision.
+// `previous` is the snapshot taken before the change; posts created before
+// revisions existed get it stored as their first revision. Resolves to null
+// when nothing versioned changed.
+postRevisionSchema.statics.record = async function(post, userId, { previous, restoredFrom } = {}) {
+  const current = this.snapshot(post);
+
+  for (let attempt = 1; attempt <= MAX_RECORD_ATTEMPTS; attempt++) {
+    const latest = await this.findOne({ post: post._id }).sort({ revision: -1 });
+    const before = latest ? this.snapshot(latest.snapshot) : previous;
+    const changedFields = this.changedFields(before, current);
+
+    if (before && changedFields.length === 0) {
+      return null;
+    }
+
+    let revision = latest ? latest.revision : 0;
+
+    try {
+      if (!latest && previous) {
+        revision += 1;
+        await this.create({
+          post: post._id,
+          revision,
+          author: post.author && post.author._id ? post.author._id : post.author,
+          changedFields: [],
+          snapshot: previous
+        });
+      }
+
+      return await this.create({
+        post: post._id,
+        revision: revision + 1,
+        author: userId,
+        changedFields,
+        restoredFrom,
+        snapshot: current
+      });
+    } catch (error) {
+      // Another save took the same revision number; retry with the next one
+      if (error.code !== 11000 || attempt === MAX_RECORD_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+
+  return null;
+};
+
+postRevisionSchema.statics.REVISION_FIELDS = REVISION_FIELDS;
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
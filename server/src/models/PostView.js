@@ -0,0 +1,50 @@
+// server/src/models/PostView.js - Recent post views, for counting each visitor once
+
+const mongoose = require('mongoose');
+
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Hashed visitor key (user ID, or IP address and user agent)
+  visitor: {
+    type: String,
+    required: true
+  },
+  // Until then, further views by the visitor are not counted
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+postViewSchema.index({ post: 1, visitor: 1 }, { unique: true });
+
+// Expired views are removed by MongoDB
+postViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to claim a view for a visitor. Resolves to false when the
+// visitor already viewed the post within the window. Expired records that
+// MongoDB has not removed yet are reused.
+postViewSchema.statics.claim = async function(postId, visitor, windowMs, now = new Date()) {
+  try {
+    await this.updateOne(
+      { post: postId, visitor, expiresAt: { $lte: now } },
+      { $set: { expiresAt: new Date(now.getTime() + windowMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collides with a view still inside its window
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('PostView', postViewSchema);
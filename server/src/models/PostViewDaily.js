@@ -0,0 +1,72 @@
+// server/src/models/PostViewDaily.js - Post activity (views, likes, comments) per day
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const postViewDailySchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Start of the day (UTC)
+  day: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  // Net likes and approved comments added that day (negative when more
+  // were taken back than added)
+  likes: {
+    type: Number,
+    default: 0
+  },
+  comments: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+postViewDailySchema.index({ post: 1, day: 1 }, { unique: true });
+postViewDailySchema.index({ day: 1 });
+
+// Static method to get the start of the (UTC) day of a date
+postViewDailySchema.statics.dayOf = function(date = new Date()) {
+  return new Date(Math.floor(date.getTime() / DAY) * DAY);
+};
+
+// Static method to add activity to its day's bucket, a view by default
+// (e.g. { likes: -1 } for a like taken back)
+postViewDailySchema.statics.increment = async function(postId, now = new Date(), counts = { views: 1 }) {
+  const filter = { post: postId, day: this.dayOf(now) };
+
+  try {
+    await this.updateOne(filter, { $inc: counts }, { upsert: true });
+  } catch (error) {
+    // Two first activities of the day raced to create the bucket; it exists now
+    if (error.code !== 11000) {
+      throw error;
+    }
+    await this.updateOne(filter, { $inc: counts });
+  }
+};
+
+// Static method to count a like or comment change for rankings. It runs
+// after the change is stored, so failures are logged, never passed on: a
+// lost count should not fail the like or comment.
+postViewDailySchema.statics.recordActivity = async function(postId, counts) {
+  try {
+    await this.increment(postId, new Date(), counts);
+  } catch (error) {
+    logger.error('Post activity tracking error:', error);
+  }
+};
+
+module.exports = mongoose.model('PostViewDaily', postViewDailySchema);
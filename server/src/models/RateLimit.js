@@ -0,0 +1,30 @@
+// server/src/models/RateLimit.js - Shared rate limit counters
+
+const mongoose = require('mongoose');
+
+const rateLimitSchema = new mongoose.Schema({
+  // The limiter key (prefix, client key and window)
+  _id: {
+    type: String,
+    required: true
+  },
+  // A counter or an algorithm-specific state object
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  version: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Expired counters are removed by MongoDB
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,110 @@
+// server/src/models/Series.js - Series model (ordered collections of posts)
+
+const mongoose = require('mongoose');
+const { slugify } = require('../utils/slugify');
+const { escapeRegExp } = require('../utils/search');
+
+const MAX_SERIES_POSTS = 100;
+
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    minlength: [3, 'Title must be at least 3 characters long'],
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Parts of the series, in reading order. A post is part of one series at most.
+  posts: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post'
+    }],
+    validate: {
+      validator: posts => posts.length <= MAX_SERIES_POSTS,
+      message: `A series cannot have more than ${MAX_SERIES_POSTS} posts`
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+// Note: slug index is automatically created due to unique: true
+seriesSchema.index({ owner: 1 });
+seriesSchema.index({ posts: 1 });
+
+// Pre-validate middleware to generate a unique slug from the title if not provided
+seriesSchema.pre('validate', async function() {
+  if (this.slug || !this.title) {
+    return;
+  }
+
+  const base = slugify(this.title) || 'series';
+  const pattern = new RegExp(`^${escapeRegExp(base)}(?:-\\d+)?$`);
+  const taken = new Set(await this.constructor.find({ _id: { $ne: this._id }, slug: pattern }).distinct('slug'));
+
+  let slug = base;
+  for (let number = 2; taken.has(slug); number++) {
+    slug = `${base}-${number}`;
+  }
+
+  this.slug = slug;
+});
+
+// Static method to find the series a post belongs to
+seriesSchema.statics.findByPost = function(postId) {
+  return this.findOne({ posts: postId });
+};
+
+// Static method to build the series navigation for a post: its position and
+// the previous and next parts. Only posts matching `readable` (the viewer's
+// read filter, see utils/postAccess) are counted. Resolves to null when the
+// post is not part of a series.
+seriesSchema.statics.navigationFor = async function(postId, readable = {}) {
+  const series = await this.findByPost(postId).select('title slug posts');
+
+  if (!series) {
+    return null;
+  }
+
+  const Post = mongoose.model('Post');
+  const found = await Post.find({ $and: [{ _id: { $in: series.posts } }, readable] }).select('title slug');
+  const byId = new Map(found.map(post => [String(post._id), post]));
+  const parts = series.posts.map(id => byId.get(String(id))).filter(Boolean);
+
+  const index = parts.findIndex(post => String(post._id) === String(postId));
+  const summary = post => (post ? { _id: post._id, title: post.title, slug: post.slug } : null);
+
+  return {
+    _id: series._id,
+    title: series.title,
+    slug: series.slug,
+    position: index + 1,
+    total: parts.length,
+    previous: summary(index > 0 ? parts[index - 1] : null),
+    next: summary(index >= 0 ? parts[index + 1] : null)
+  };
+};
+
+seriesSchema.statics.MAX_SERIES_POSTS = MAX_SERIES_POSTS;
+
+module.exports = mongoose.model('Series', seriesSchema);
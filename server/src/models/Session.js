@@ -0,0 +1,152 @@
+// server/src/models/Session.js - Login session model (refresh tokens)
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Number of rotated token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: [{
+    type: String
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  // Whether the session was started with a second factor
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes for better query performance
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+
+  return this.save();
+};
+
+// Static method to hash an opaque refresh token
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Static method to start a new session for a user
+sessionSchema.statics.createForUser = async function(user, meta = {}) {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  const session = await this.create({
+    user: user._id,
+    refreshTokenHash: this.hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    lastUsedAt: new Date(),
+    mfa: Boolean(meta.mfa),
+    ip: meta.ip,
+    userAgent: meta.userAgent
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Presenting a token that was already rotated revokes the whole session.
+sessionSchema.statics.rotateRefreshToken = async function(refreshToken, meta = {}) {
+  const tokenHash = this.hashToken(refreshToken);
+  const session = await this.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reusedSession = await this.findOne({ previousTokenHashes: tokenHash });
+
+    if (reusedSession) {
+      await reusedSession.revoke('refresh_token_reuse');
+      return { reuseDetected: true, session: reusedSession };
+    }
+
+    return {};
+  }
+
+  if (!session.isActive) {
+    return {};
+  }
+
+  const newRefreshToken = crypto.randomBytes(40).toString('hex');
+
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: this.hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        ip: meta.ip,
+        userAgent: meta.userAgent
+      },
+      $push: {
+        previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS }
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return {};
+  }
+
+  return { session: rotated, refreshToken: newRefreshToken };
+};
+
+// Static method to revoke every active session of a user, optionally
+// keeping one (the session making the request)
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'revoked', { except } = {}) {
+  return this.updateMany(
+    { user: userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,7 +1,16 @@
 // server/src/models/User.js - User model
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const totp = require('../utils/totp');
+const { loginThrottle } = require('../utils/loginThrottle');
+
+// Salt rounds for password hashes
+const PASSWORD_SALT_ROUNDS = 12;
+
+// Hash of a random password, made on first use (see comparePasswordForUnknown)
+let unknownPasswordHash;
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -30,16 +39,67 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'author', 'moderator', 'editor', 'admin'],
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date
   },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
   profile: {
     firstName: String,
     lastName: String,
@@ -57,14 +117,23 @@ const userSchema = new mongoose.Schema({
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
-  if (this.profile.firstName && this.profile.lastName) {
+  if (this.profile && this.profile.firstName && this.profile.lastName) {
     return `${this.profile.firstName} ${this.profile.lastName}`;
   }
   return this.username;
 });
 
+// Failed login state, lockout and the methods using them
+userSchema.plugin(loginThrottle);
+
 // Note: Indexes are automatically created for unique fields (email, username)
 
+// Full-text search index for finding people by name
+userSchema.index(
+  { username: 'text', 'profile.firstName': 'text', 'profile.lastName': 'text', 'profile.bio': 'text' },
+  { name: 'user_text_search', weights: { username: 10, 'profile.firstName': 5, 'profile.lastName': 5, 'profile.bio': 1 } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -72,8 +141,14 @@ userSchema.pre('save', async function(next) {
   }
 
   try {
-    const salt = await bcrypt.genSalt(12);
+    const salt = await bcrypt.genSalt(PASSWORD_SALT_ROUNDS);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Backdate slightly so tokens issued right after the change stay valid
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
+
     next();
   } catch (error) {
     next(error);
@@ -85,14 +160,145 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Static method to check a password when no account matched, taking as long
+// as a real check so response times do not tell which accounts exist.
+// Always resolves to false.
+userSchema.statics.comparePasswordForUnknown = async function(candidatePassword) {
+  unknownPasswordHash = unknownPasswordHash || bcrypt.hash(crypto.randomBytes(32).toString('hex'), PASSWORD_SALT_ROUNDS);
+
+  await bcrypt.compare(candidatePassword, await unknownPasswordHash);
+
+  return false;
+};
+
+// Method to check whether the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return this.passwordChangedAt.getTime() > tokenIssuedAt * 1000;
+};
+
+// Method to create a single-use password reset token (only its hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+  return resetToken;
+};
+
+// Method to create an email verification token (only its hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationTokenHash = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+  return verificationToken;
+};
+
+// Method to verify a TOTP code against the enrolled (or pending) secret
+userSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const secret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+
+  if (!secret) {
+    return false;
+  }
+
+  const step = totp.verifyCode(secret, code);
+
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to create new recovery codes (only their hashes are stored)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => crypto.createHash('sha256').update(code).digest('hex'));
+
+  return codes;
+};
+
+// Method to consume a recovery code; each code works once
+userSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(codeHash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
 // Method to get public profile (without sensitive data)
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetTokenHash;
+  delete userObject.passwordResetExpires;
+  delete userObject.emailVerificationTokenHash;
+  delete userObject.emailVerificationExpires;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   delete userObject.__v;
   return userObject;
 };
 
+// Fields each role may read (see utils/fieldsets). Everyone sees the public
+// profile; owners and admins see the account details.
+const ACCOUNT_FIELDS = ['email', 'role', 'isActive', 'emailVerified', 'lastLogin', 'twoFactor.enabled', 'updatedAt'];
+
+userSchema.statics.FIELDSETS = {
+  fields: {
+    public: ['username', 'profile', 'fullName', 'createdAt'],
+    own: ACCOUNT_FIELDS,
+    admin: [...ACCOUNT_FIELDS, 'emailVerifiedAt', 'failedLoginAttempts', 'lockUntil', 'isLocked', 'lockCount']
+  },
+  virtuals: {
+    fullName: ['username', 'profile'],
+    isLocked: ['lockUntil']
+  },
+  expand: {}
+};
+
+// Sortable and filterable fields for the user list (see utils/listQuery)
+userSchema.statics.LIST_QUERY = {
+  sortable: ['createdAt', 'updatedAt', 'username', 'email', 'role', 'lastLogin'],
+  filters: {
+    role: { type: 'enum', values: userSchema.path('role').enumValues, multi: true },
+    isActive: { type: 'boolean' },
+    emailVerified: { type: 'boolean' },
+    createdAt: { type: 'date', range: true },
+    lastLogin: { type: 'date', range: true }
+  },
+  params: ['page', 'limit', 'cursor', 'search', 'fields', 'expand'],
+  defaultSort: '-createdAt'
+};
+
+// Searchable fields and their relevance weights (match the text index)
+userSchema.statics.SEARCH_FIELDS = [
+  { path: 'username', weight: 10 },
+  { path: 'profile.firstName', weight: 5 },
+  { path: 'profile.lastName', weight: 5 },
+  { path: 'profile.bio', weight: 1 }
+];
+
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
@@ -103,4 +309,32 @@ userSchema.statics.findByUsername = function(username) {
   return this.findOne({ username: username.toLowerCase() });
 };
 
+// Static method to find a user by an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  const tokenHash = crypto.createHash('sha256').update(String(resetToken)).digest('hex');
+
+  return this.findOne({
+    passwordResetTokenHash: tokenHash,
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+password +passwordResetTokenHash +passwordResetExpires');
+};
+
+// Static method to find a user by an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(verificationToken) {
+  const tokenHash = crypto.createHash('sha256').update(String(verificationToken)).digest('hex');
+
+  return this.findOne({
+    emailVerificationTokenHash: tokenHash,
+    emailVerificationExpires: { $gt: new Date() }
+  }).select('+emailVerificationTokenHash +emailVerificationExpires');
+};
+
+// Static method to mark accounts from before email verification existed as
+// verified, so they keep the rights they had. Safe to run repeatedly.
+userSchema.statics.syncEmailVerified = async function() {
+  const result = await this.updateMany({ emailVerified: { $exists: false } }, { $set: { emailVerified: true } });
+
+  return result.modifiedCount;
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -3,12 +3,89 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken, authenticate } = require('../utils/auth');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginChallenge = require('../models/LoginChallenge');
+const {
+  issueAuthTokens,
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  authenticate
+} = require('../utils/auth');
+const totp = require('../utils/totp');
+const { createRateLimiter } = require('../middleware/rateLimiter');
+const { rateLimits } = require('../config/rateLimits');
+const { sendMail, clientUrl } = require('../utils/mailer');
+const { recordAudit } = require('../utils/audit');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Create a verification token for the user and email the link
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\n` +
+      'Please confirm your email address using the link below. It expires in 24 hours.\n\n' +
+      `${clientUrl(`/verify-email?token=${verificationToken}`)}`
+  });
+};
+
+// Respond with 423/429 while the account (or the attempts for an unknown
+// email) is locked or inside the retry delay
+const rejectThrottledLogin = (throttled, res) => {
+  const retryAfter = throttled.getLoginRetryAfter();
+
+  if (retryAfter <= 0) {
+    return false;
+  }
+
+  res.set('Retry-After', String(retryAfter));
+
+  if (throttled.isLocked) {
+    res.status(423).json({
+      error: 'Account is temporarily locked due to too many failed login attempts',
+      retryAfter
+    });
+  } else {
+    res.status(429).json({
+      error: 'Too many failed login attempts. Please wait before trying again.',
+      retryAfter
+    });
+  }
+
+  return true;
+};
+
+// Count a failed login and audit the lockout it may trigger
+const recordFailedLogin = async (user, req) => {
+  const { locked, lockUntil, attempts } = await user.registerFailedLogin();
+
+  if (locked) {
+    logger.warn(`Account locked after ${attempts} failed login attempts: ${user.username}`);
+    await recordAudit('account_locked', {
+      user: user._id,
+      ip: req.ip,
+      details: { attempts, lockUntil }
+    });
+  }
+};
+
+// Hidden two-factor fields needed to verify codes
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
 // Validation middleware
+const validatePassword = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+
 const validateRegistration = [
   body('username')
     .isLength({ min: 3, max: 30 })
@@ -19,13 +96,13 @@ const validateRegistration = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+  validatePassword('password')
 ];
 
+// Throttle attempts per IP and email (runs after validation has normalized the email)
+const loginLimiter = createRateLimiter(rateLimits.login);
+const registerLimiter = createRateLimiter(rateLimits.register);
+
 const validateLogin = [
   body('email')
     .isEmail()
@@ -39,7 +116,7 @@ const validateLogin = [
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', validateRegistration, async (req, res) => {
+router.post('/register', validateRegistration, registerLimiter, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -73,14 +150,21 @@ router.post('/register', validateRegistration, async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user);
+    // A failed verification email should not fail the registration
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error('Verification email error:', mailError);
+    }
+
+    // Generate tokens
+    const tokens = await issueAuthTokens(user, req);
 
     logger.info(`New user registered: ${user.username}`);
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: user.getPublicProfile()
     });
 
@@ -93,7 +177,7 @@ router.post('/register', validateRegistration, async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', validateLogin, async (req, res) => {
+router.post('/login', validateLogin, loginLimiter, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -109,8 +193,17 @@ router.post('/login', validateLogin, async (req, res) => {
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
     
+    // Unknown emails are throttled like accounts, so the responses do not
+    // tell which emails have an account
     if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      const attempt = await LoginAttempt.forEmail(email);
+
+      if (!rejectThrottledLogin(attempt, res)) {
+        await User.comparePasswordForUnknown(password);
+        await attempt.registerFailedLogin();
+        res.status(401).json({ error: 'Invalid credentials' });
+      }
+      return;
     }
 
     // Check if user is active
@@ -118,25 +211,46 @@ router.post('/login', validateLogin, async (req, res) => {
       return res.status(401).json({ error: 'Account is deactivated' });
     }
 
+    // Refuse while locked out or inside the delay after a failed attempt
+    if (rejectThrottledLogin(user, res)) {
+      return;
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     
     if (!isPasswordValid) {
+      await recordFailedLogin(user, req);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    if (user.failedLoginAttempts > 0 || user.lockCount > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    // Second step required before any tokens are issued
+    if (user.twoFactor && user.twoFactor.enabled) {
+      logger.info(`Two-factor challenge issued: ${user.username}`);
+
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: await generateChallengeToken(user)
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user);
+    // Generate tokens
+    const tokens = await issueAuthTokens(user, req);
 
     logger.info(`User logged in: ${user.username}`);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: user.getPublicProfile()
     });
 
@@ -146,10 +260,218 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Code must be a string'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A code or recovery code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (tokenError) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    if (rejectThrottledLogin(user, res)) {
+      return;
+    }
+
+    // Each challenge allows a few attempts and one login
+    const challenge = await LoginChallenge.startAttempt(decoded.jti, user._id);
+
+    if (!challenge) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    const verified = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!verified) {
+      await recordFailedLogin(user, req);
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    // Concurrent requests with the same challenge log in only once
+    if (!await LoginChallenge.redeem(challenge._id)) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    // Update last login (also persists the used code or recovery code)
+    user.lastLogin = new Date();
+    await user.save();
+
+    if (user.failedLoginAttempts > 0 || user.lockCount > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    if (!code) {
+      await recordAudit('recovery_code_used', {
+        user: user._id,
+        ip: req.ip,
+        details: { remaining: user.twoFactor.recoveryCodes.length }
+      });
+    }
+
+    const tokens = await issueAuthTokens(user, req, { mfa: true });
+
+    logger.info(`User logged in with two-factor authentication: ${user.username}`);
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Server error during login' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { session, refreshToken, reuseDetected } = await Session.rotateRefreshToken(
+      req.body.refreshToken,
+      { ip: req.ip, userAgent: req.get('User-Agent') }
+    );
+
+    if (reuseDetected) {
+      logger.warn(`Refresh token reuse detected, session revoked: ${session._id}`, {
+        user: session.user.toString(),
+        ip: req.ip
+      });
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      await session.revoke('user_inactive');
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: generateToken(user, { sessionId: session._id, mfa: session.mfa }),
+      refreshToken
+    });
+
+  } catch (error) {
+    logger.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Server error during token refresh' });
+  }
+});
+
+// @route   GET /api/auth/verify/:token
+// @desc    Verify email address
+// @access  Public
+router.get('/verify/:token', async (req, res) => {
+  try {
+    const user = await User.findByEmailVerificationToken(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({ error: 'Verification token is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    logger.info(`Email verified for user: ${user.username}`);
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('Email verification error:', error);
+    res.status(500).json({ error: 'Server error during email verification' });
+  }
+});
+
+// @route   POST /api/auth/verify/resend
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/verify/resend', authenticate.allowUnverified, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    logger.info(`Verification email resent for user: ${req.user.username}`);
+
+    res.json({ message: 'Verification email sent' });
+
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Server error while sending verification email' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', authenticate.allowUnverified, async (req, res) => {
   try {
     res.json({
       user: req.user.getPublicProfile()
@@ -210,11 +532,362 @@ router.put('/profile', authenticate, [
   }
 });
 
+// @route   POST /api/auth/change-password
+// @desc    Change password (requires the current password)
+// @access  Private
+router.post('/change-password', authenticate.allowUnverified, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  validatePassword('newPassword')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    // Wrong current passwords count as failed logins, so a stolen session
+    // cannot be used to guess the password
+    if (rejectThrottledLogin(user, res)) {
+      return;
+    }
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+
+    if (!isPasswordValid) {
+      await recordFailedLogin(user, req);
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    if (user.failedLoginAttempts > 0 || user.lockCount > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every session, then start a fresh one for this client
+    await Session.revokeAllForUser(user._id, 'password_change');
+    const tokens = await issueAuthTokens(user, req, { mfa: req.mfa });
+
+    logger.info(`Password changed for user: ${user.username}`);
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens
+    });
+
+  } catch (error) {
+    logger.error('Password change error:', error);
+    res.status(500).json({ error: 'Server error during password change' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same response whether or not the account exists
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.username},\n\n` +
+          `Use the link below to reset your password. It expires in 1 hour.\n\n` +
+          `${clientUrl(`/reset-password?token=${resetToken}`)}\n\n` +
+          'If you did not request this, you can ignore this email.'
+      });
+
+      logger.info(`Password reset requested for user: ${user.username}`);
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Server error during password reset request' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  validatePassword('password')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const user = await User.findByPasswordResetToken(req.body.token);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({ error: 'Reset token is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    logger.info(`Password reset completed for user: ${user.username}`);
+
+    res.json({ message: 'Password reset successfully. Please log in again.' });
+
+  } catch (error) {
+    logger.error('Password reset error:', error);
+    res.status(500).json({ error: 'Server error during password reset' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment (returns the secret and otpauth URI)
+// @access  Private
+router.post('/2fa/setup', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    logger.info(`Two-factor setup started for user: ${user.username}`);
+
+    res.json({
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: totp.buildOtpauthUri({ secret, accountName: user.email })
+    });
+
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Server error during two-factor setup' });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm enrollment with a code and receive recovery codes
+// @access  Private
+router.post('/2fa/confirm', authenticate, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Two-factor setup has not been started' });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code, { pending: true })) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    // Sessions started with only a password are signed out
+    await Session.revokeAllForUser(user._id, 'two_factor_enabled');
+    const tokens = await issueAuthTokens(user, req, { mfa: true });
+
+    await recordAudit('two_factor_enabled', { user: user._id, actor: user._id, ip: req.ip });
+
+    logger.info(`Two-factor authentication enabled for user: ${user.username}`);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes,
+      ...tokens
+    });
+
+  } catch (error) {
+    logger.error('Two-factor confirm error:', error);
+    res.status(500).json({ error: 'Server error during two-factor confirmation' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (requires a current code)
+// @access  Private
+router.post('/2fa/recovery-codes', authenticate, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await recordAudit('recovery_codes_regenerated', { user: user._id, actor: user._id, ip: req.ip });
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    logger.error('Recovery code regeneration error:', error);
+    res.status(500).json({ error: 'Server error during recovery code regeneration' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', authenticate, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A code or recovery code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    const isCodeValid = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+
+    if (!isPasswordValid || !isCodeValid) {
+      return res.status(401).json({ error: 'Invalid password or two-factor code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    // Sign out every other session, so a stolen one cannot outlive the change
+    await Session.revokeAllForUser(user._id, 'two_factor_disabled', {
+      except: req.authSession && req.authSession._id
+    });
+
+    await recordAudit('two_factor_disabled', { user: user._id, actor: user._id, ip: req.ip });
+
+    logger.info(`Two-factor authentication disabled for user: ${user.username}`);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Server error while disabling two-factor authentication' });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user and revoke the current session
 // @access  Private
-router.post('/logout', authenticate, async (req, res) => {
+router.post('/logout', authenticate.allowUnverified, async (req, res) => {
   try {
+    let session = req.authSession;
+
+    // Tokens without a session can still revoke one via its refresh token
+    if (!session && req.body.refreshToken) {
+      session = await Session.findOne({
+        refreshTokenHash: Session.hashToken(req.body.refreshToken),
+        user: req.user._id
+      });
+    }
+
+    if (session) {
+      await session.revoke('logout');
+    }
+
     logger.info(`User logged out: ${req.user.username}`);
     res.json({ message: 'Logout successful' });
   } catch (error) {
@@ -0,0 +1,297 @@
+// server/src/routes/categories.js - Categories routes
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { authenticate } = require('../utils/auth');
+const { can } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Whether a save failed because another category took the name meanwhile
+const isDuplicateName = error => error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.name);
+
+// Validation middleware
+const validateCategoryId = param('id')
+  .isMongoId()
+  .withMessage('Category ID must be a valid MongoDB ID');
+
+const validateCategory = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent must be a valid category ID'),
+  body('order')
+    .optional()
+    .isInt()
+    .withMessage('Order must be an integer')
+];
+
+// @route   GET /api/categories
+// @desc    Get all categories
+// @access  Public
+router.get('/', [
+  query('parent')
+    .optional()
+    .if(value => value !== 'root')
+    .isMongoId()
+    .withMessage('Parent must be "root" or a valid category ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const filter = {};
+
+    if (req.query.parent === 'root') {
+      filter.parent = null;
+    } else if (req.query.parent) {
+      filter.parent = req.query.parent;
+    }
+
+    const categories = await Category.findOrdered(filter);
+
+    logger.info(`Categories retrieved: ${categories.length} categories`);
+
+    res.json({ categories });
+
+  } catch (error) {
+    logger.error('Categories retrieval error:', error);
+    res.status(500).json({ error: 'Server error during categories retrieval' });
+  }
+});
+
+// @route   GET /api/categories/:id
+// @desc    Get a single category by ID
+// @access  Public
+router.get('/:id', validateCategoryId, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id)
+      .populate('parent', 'name slug');
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const postCount = await Post.countDocuments({ category: category._id });
+
+    res.json({ category, postCount });
+
+  } catch (error) {
+    logger.error('Category retrieval error:', error);
+    res.status(500).json({ error: 'Server error during category retrieval' });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create a new category
+// @access  Private (category:manage)
+router.post('/', authenticate, can('category:manage'), validateCategory, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, description, parent, order } = req.body;
+
+    // Check if category already exists
+    const existingCategory = await Category.findOne({ name });
+
+    if (existingCategory) {
+      return res.status(400).json({ error: 'Category with this name already exists' });
+    }
+
+    if (parent && !(await Category.exists({ _id: parent }))) {
+      return res.status(400).json({ error: 'Parent category does not exist' });
+    }
+
+    const category = new Category({
+      name,
+      description,
+      parent: parent || null,
+      order
+    });
+
+    await category.save();
+
+    logger.info(`New category created: ${category.name} by ${req.user.username}`);
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category
+    });
+
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({ error: 'Category with this name already exists' });
+    }
+
+    logger.error('Category creation error:', error);
+    res.status(500).json({ error: 'Server error during category creation' });
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category
+// @access  Private (category:manage)
+router.put('/:id', authenticate, can('category:manage'), validateCategoryId, validateCategory, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { name, description, parent, order } = req.body;
+
+    if (name !== category.name) {
+      const existingCategory = await Category.findOne({ name });
+
+      if (existingCategory) {
+        return res.status(400).json({ error: 'Category with this name already exists' });
+      }
+    }
+
+    if (parent) {
+      const parentCategory = await Category.findById(parent);
+
+      if (!parentCategory) {
+        return res.status(400).json({ error: 'Parent category does not exist' });
+      }
+
+      // Prevent cycles in the category tree
+      if (await parentCategory.isDescendantOf(category._id)) {
+        return res.status(400).json({ error: 'Category cannot be nested under itself or its descendants' });
+      }
+    }
+
+    category.name = name;
+    if (description !== undefined) category.description = description;
+    if (parent !== undefined) category.parent = parent || null;
+    if (order !== undefined) category.order = order;
+
+    await category.save();
+
+    logger.info(`Category updated: ${category.name} by ${req.user.username}`);
+
+    res.json({
+      message: 'Category updated successfully',
+      category
+    });
+
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({ error: 'Category with this name already exists' });
+    }
+
+    logger.error('Category update error:', error);
+    res.status(500).json({ error: 'Server error during category update' });
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category (optionally reassigning its posts)
+// @access  Private (category:manage)
+router.delete('/:id', authenticate, can('category:manage'), [
+  validateCategoryId,
+  body('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('reassignTo must be a valid category ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { reassignTo } = req.body;
+    const postCount = await Post.countDocuments({ category: category._id });
+
+    if (postCount > 0) {
+      if (!reassignTo) {
+        return res.status(400).json({
+          error: 'Category has posts. Provide reassignTo to move them to another category.',
+          postCount
+        });
+      }
+
+      if (reassignTo === category._id.toString()) {
+        return res.status(400).json({ error: 'Cannot reassign posts to the category being deleted' });
+      }
+
+      if (!(await Category.exists({ _id: reassignTo }))) {
+        return res.status(400).json({ error: 'Target category does not exist' });
+      }
+
+      await Post.reassignCategory(category._id, reassignTo);
+    }
+
+    // Move child categories up to the deleted category's parent
+    await Category.updateMany({ parent: category._id }, { parent: category.parent });
+
+    await Category.findByIdAndDelete(category._id);
+
+    logger.info(`Category deleted: ${category.name} by ${req.user.username}${postCount ? ` (${postCount} posts reassigned)` : ''}`);
+
+    res.json({
+      message: 'Category deleted successfully',
+      reassignedPosts: postCount
+    });
+
+  } catch (error) {
+    logger.error('Category deletion error:', error);
+    res.status(500).json({ error: 'Server error during category deletion' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+// server/src/routes/comments.js - Post comments routes (mounted at /api/posts/:id/comments)
+
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const {
+  authenticate,
+  requireVerifiedEmail,
+  requiresAdminTwoFactor
+} = require('../utils/auth');
+const { can, hasPermission } = require('../utils/permissions');
+const { scoreComment } = require('../config/spamFilter');
+const { paginate, validateCursor } = require('../utils/pagination');
+const { requireReadable } = require('../utils/postAccess');
+const logger = require('../utils/logger');
+
+const router = express.Router({ mergeParams: true });
+
+const AUTHOR_FIELDS = 'username profile.firstName profile.lastName';
+
+// Validation middleware
+const validateContent = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters')
+];
+
+// Decide the status of a new or edited comment. People who moderate the
+// post are trusted; everyone else goes through the spam filter, and on
+// pre-moderated posts waits for approval regardless. Edits pass the
+// comment's id, so it is not taken for a duplicate of itself.
+const classifyComment = async (user, post, content, commentId) => {
+  if (hasPermission(user, 'comment:moderate', post, 'post')) {
+    return { status: 'approved', spamScore: 0, spamReasons: [] };
+  }
+
+  const { score, reasons, verdict } = await scoreComment({ _id: commentId, content, author: user, post });
+  let status = verdict;
+
+  if (status === 'approved' && post.commentSettings.moderation === 'pre') {
+    status = 'pending';
+  }
+
+  return { status, spamScore: score, spamReasons: reasons };
+};
+
+// @route   GET /api/posts/:id/comments
+// @desc    Get comments on a post, oldest first (top level, or replies with parentId)
+// @access  Public (comments on posts the viewer may read)
+router.get('/', authenticate.optional, [
+  query('parentId')
+    .optional()
+    .isMongoId()
+    .withMessage('parentId must be a valid comment ID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  validateCursor('_id')
+], requireReadable, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { parentId = null, limit = 20, cursor } = req.query;
+    const filter = { post: req.params.id, parentId, status: 'approved' };
+
+    const { items: comments, pagination } = await paginate(
+      Comment.find(filter).populate('author', AUTHOR_FIELDS),
+      { sort: '_id', limit, cursor, mode: 'cursor' }
+    );
+
+    res.json({
+      comments,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('Comments retrieval error:', error);
+    res.status(500).json({ error: 'Server error during comments retrieval' });
+  }
+});
+
+// @route   POST /api/posts/:id/comments
+// @desc    Add a comment to a post (or a reply with parentId)
+// @access  Private (comment:create)
+router.post('/', authenticate, can('comment:create'), requireVerifiedEmail, requireReadable, [
+  ...validateContent,
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('parentId must be a valid comment ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (!post.commentSettings.enabled) {
+      return res.status(403).json({ error: 'Comments are disabled on this post' });
+    }
+
+    const { content, parentId } = req.body;
+    const classification = await classifyComment(req.user, post, content);
+
+    const comment = await Comment.addToPost(post._id, req.user._id, content, {
+      parentId: parentId || null,
+      ...classification
+    });
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Parent comment not found' });
+    }
+
+    // Populate the new comment
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    logger.info(`Comment added to post: ${post.title} by ${req.user.username} (${comment.status})`);
+
+    res.status(201).json({
+      message: comment.status === 'approved'
+        ? 'Comment added successfully'
+        : 'Comment submitted for moderation',
+      comment
+    });
+
+  } catch (error) {
+    logger.error('Comment addition error:', error);
+    res.status(500).json({ error: 'Server error during comment addition' });
+  }
+});
+
+// @route   PATCH /api/posts/:id/comments/:commentId
+// @desc    Edit a comment
+// @access  Private (comment:update, own or any)
+router.patch('/:commentId', authenticate, can('comment:update', 'comment'), validateContent, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const comment = req.resource;
+    const post = await Post.findById(comment.post);
+
+    comment.content = req.body.content;
+    comment.editedAt = new Date();
+
+    // Edits are filtered again so shown comments cannot be turned into spam.
+    // An edit can only hide a comment: held, filed and rejected comments
+    // wait for a moderator, whatever they now say.
+    const { status, spamScore, spamReasons } = await classifyComment(req.user, post, comment.content, comment._id);
+    comment.spamScore = spamScore;
+    comment.spamReasons = spamReasons;
+    await comment.save();
+
+    if (comment.status === 'approved' && status !== 'approved') {
+      await Comment.moderate([comment._id], status, null);
+      comment.status = status;
+    }
+
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    logger.info(`Comment updated: ${comment._id} by ${req.user.username}`);
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment
+    });
+
+  } catch (error) {
+    logger.error('Comment update error:', error);
+    res.status(500).json({ error: 'Server error during comment update' });
+  }
+});
+
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @desc    Delete a comment
+// @access  Private (comment:delete, own or any; or comment:moderate on the post)
+router.delete('/:commentId', authenticate, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    const comment = post && await Comment.findOne({
+      _id: req.params.commentId,
+      post: post._id,
+      deletedAt: null
+    });
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const allowed = hasPermission(req.user, 'comment:delete', comment, 'comment') ||
+      hasPermission(req.user, 'comment:moderate', post, 'post');
+
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied. Insufficient permissions.' });
+    }
+
+    if (requiresAdminTwoFactor(req)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for admin access.' });
+    }
+
+    await comment.removeFromThread();
+
+    logger.info(`Comment deleted: ${comment._id} by ${req.user.username}`);
+
+    res.json({ message: 'Comment deleted successfully' });
+
+  } catch (error) {
+    logger.error('Comment deletion error:', error);
+    res.status(500).json({ error: 'Server error during comment deletion' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+// server/src/routes/moderation.js - Comment moderation queue routes
+
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const { authenticate, requiresAdminTwoFactor } = require('../utils/auth');
+const { hasPermission, getPermissions } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Bulk actions and the status each one sets
+const ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  spam: 'spam',
+  hold: 'pending'
+};
+
+const MAX_BULK = 100;
+
+// Middleware limiting moderators to the comments they may moderate:
+// everything with comment:moderate, or their own posts' comments with
+// comment:moderate:own. Sets req.moderationFilter.
+const moderationScope = async (req, res, next) => {
+  try {
+    if (hasPermission(req.user, 'comment:moderate')) {
+      req.moderationFilter = {};
+    } else if (getPermissions(req.user.role).includes('comment:moderate:own')) {
+      const ownPosts = await Post.find({ author: req.user._id }).distinct('_id');
+      req.moderationFilter = { post: { $in: ownPosts } };
+    } else {
+      return res.status(403).json({ error: 'Access denied. Insufficient permissions.' });
+    }
+
+    if (requiresAdminTwoFactor(req)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for admin access.' });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @route   GET /api/moderation/comments
+// @desc    Get the comment moderation queue (pending by default), oldest first
+// @access  Private (comment:moderate, own posts or any)
+router.get('/comments', authenticate, moderationScope, [
+  query('status')
+    .optional()
+    .isIn(Comment.STATUSES)
+    .withMessage(`Status must be one of: ${Comment.STATUSES.join(', ')}`),
+  query('post')
+    .optional()
+    .isMongoId()
+    .withMessage('post must be a valid post ID'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const {
+      status = 'pending',
+      post,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const filter = { status, deletedAt: null };
+
+    if (post) {
+      filter.post = post;
+    }
+
+    // Narrow to the moderator's scope (also applies when post is given)
+    if (req.moderationFilter.post) {
+      filter.$and = [{ post: req.moderationFilter.post }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const comments = await Comment.find(filter)
+      .populate('author', 'username createdAt')
+      .populate('post', 'title slug')
+      .sort({ _id: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Comment.countDocuments(filter);
+
+    res.json({
+      comments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Moderation queue retrieval error:', error);
+    res.status(500).json({ error: 'Server error during moderation queue retrieval' });
+  }
+});
+
+// @route   POST /api/moderation/comments
+// @desc    Approve, reject, mark as spam or hold several comments at once
+// @access  Private (comment:moderate, own posts or any)
+router.post('/comments', authenticate, moderationScope, [
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK })
+    .withMessage(`ids must be a list of 1 to ${MAX_BULK} comment IDs`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('ids must be valid comment IDs'),
+  body('action')
+    .isIn(Object.keys(ACTIONS))
+    .withMessage(`Action must be one of: ${Object.keys(ACTIONS).join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { ids, action } = req.body;
+
+    const updated = await Comment.moderate(ids, ACTIONS[action], req.user._id, req.moderationFilter);
+
+    logger.info(`Comments moderated (${action}): ${updated.length} of ${ids.length} by ${req.user.username}`);
+
+    res.json({
+      message: `${updated.length} comment(s) updated`,
+      updated
+    });
+
+  } catch (error) {
+    logger.error('Comment moderation error:', error);
+    res.status(500).json({ error: 'Server error during comment moderation' });
+  }
+});
+
+module.exports = router;
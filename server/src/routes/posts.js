@@ -1,13 +1,54 @@
 // server/src/routes/posts.js - Posts routes
 
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, validationResult, query, param } = require('express-validator');
 const Post = require('../models/Post');
-const { authenticate, authorize } = require('../utils/auth');
+const PostRevision = require('../models/PostRevision');
+const Comment = require('../models/Comment');
+const PostRanking = require('../models/PostRanking');
+const Category = require('../models/Category');
+const Series = require('../models/Series');
+const User = require('../models/User');
+const {
+  authenticate,
+  isEmailVerificationRequired,
+  requireVerifiedEmail
+} = require('../utils/auth');
+const { can, hasPermission, ownershipRules } = require('../utils/permissions');
+const {
+  parseSearchQuery,
+  hasSearchTerms,
+  searchModel,
+  buildHighlightPattern,
+  buildHighlights
+} = require('../utils/search');
+const { parseSort, paginate, validateCursor } = require('../utils/pagination');
+const { listQuery } = require('../utils/listQuery');
+const { fieldsets, populateFor, selectFor, serialize } = require('../utils/fieldsets');
+const {
+  ACCESS_FIELDS,
+  checkReadAccess,
+  readableFilter,
+  listingQuery,
+  requireReadable
+} = require('../utils/postAccess');
+const { MAX_SLUG_LENGTH, slugify } = require('../utils/slugify');
+const { clientUrl } = require('../utils/mailer');
+const { PERIODS } = require('../utils/ranking');
+const { trackView } = require('../config/viewTracking');
+const relatedPosts = require('../config/relatedPosts');
 const logger = require('../utils/logger');
+const commentRoutes = require('./comments');
 
 const router = express.Router();
 
+// Comments can only be expanded on a single post
+const LIST_EXPANDABLE = ['author', 'category'];
+
+// How many comments `expand=comments` embeds in a post
+const EXPANDED_COMMENTS_LIMIT = 20;
+
 // Validation middleware
 const validatePost = [
   body('title')
@@ -16,23 +57,139 @@ const validatePost = [
   body('content')
     .isLength({ min: 10 })
     .withMessage('Content must be at least 10 characters long'),
+  body('slug')
+    .optional()
+    .isString()
+    .isLength({ max: MAX_SLUG_LENGTH })
+    .withMessage(`Slug cannot exceed ${MAX_SLUG_LENGTH} characters`)
+    .bail()
+    .custom(value => slugify(value) !== '')
+    .withMessage('Slug must contain letters or numbers'),
   body('category')
     .isMongoId()
-    .withMessage('Valid category ID is required'),
+    .withMessage('Valid category ID is required')
+    .bail()
+    .custom(async (value) => {
+      if (!(await Category.exists({ _id: value }))) {
+        throw new Error('Category does not exist');
+      }
+      return true;
+    }),
   body('tags')
     .optional()
     .isArray()
     .withMessage('Tags must be an array'),
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived')
+    .isIn(Post.STATUSES)
+    .withMessage(`Status must be one of: ${Post.STATUSES.join(', ')}`),
+  body('visibility')
+    .optional()
+    .isIn(Post.VISIBILITIES)
+    .withMessage(`Visibility must be one of: ${Post.VISIBILITIES.join(', ')}`),
+  body('scheduledFor')
+    .optional()
+    .isISO8601()
+    .withMessage('scheduledFor must be a valid date')
+    .toDate(),
+  body('commentSettings.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('commentSettings.enabled must be a boolean')
+    .toBoolean(),
+  body('commentSettings.moderation')
+    .optional()
+    .isIn(Post.COMMENT_MODERATION)
+    .withMessage(`commentSettings.moderation must be one of: ${Post.COMMENT_MODERATION.join(', ')}`)
 ];
 
+const validateNote = (required) => {
+  const chain = body('note');
+  return (required ? chain.trim().notEmpty().withMessage('A note is required') : chain.optional())
+    .bail()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters');
+};
+
+// Check a status change against the workflow and the user's permissions.
+// Returns { status, error } when the change is not allowed.
+const checkTransition = (user, post, from, to) => {
+  if (from === to) {
+    return null;
+  }
+
+  if (!Post.canTransition(from, to)) {
+    return { status: 400, error: `Cannot move a post from ${from} to ${to}` };
+  }
+
+  // Only editors put posts live
+  const permission = ['published', 'scheduled'].includes(to) ? 'post:publish' : 'post:update';
+
+  if (!hasPermission(user, permission, post)) {
+    return { status: 403, error: `Not authorized to move this post to ${to}` };
+  }
+
+  // Scheduled posts go live without another check, so they need it too
+  if (['published', 'scheduled'].includes(to) && isEmailVerificationRequired(user)) {
+    return { status: 403, error: 'Please verify your email address before publishing.' };
+  }
+
+  return null;
+};
+
+// Scheduling needs a publish time in the future
+const checkSchedule = (status, scheduledFor) => {
+  if (status === 'scheduled' && !(scheduledFor && scheduledFor > new Date())) {
+    return { status: 400, error: 'Scheduled posts need a scheduledFor date in the future' };
+  }
+
+  return null;
+};
+
+// Middleware loading the author of the requested post for signed in users,
+// so fieldsets can tell whether they own it. Missing posts are left to the route.
+const loadPostAuthor = findPost => async (req, res, next) => {
+  if (!req.user) {
+    return next();
+  }
+
+  try {
+    const post = await findPost(req);
+    req.postAuthor = post ? post.author : null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const isOwnPost = req => Boolean(req.user && req.postAuthor) && ownershipRules.post(req.user, { author: req.postAuthor });
+
+// Link to a post in the client application
+const canonicalUrl = post => clientUrl(`/posts/${encodeURIComponent(post.slug)}`);
+
+// Shape a post for a read response, with the viewer's like and its first
+// comments when they were expanded
+const presentPost = async (post, fieldset) => {
+  const result = serialize(post, fieldset);
+
+  if (fieldset.fields.includes('isLiked')) {
+    await Post.addLikedState([result], fieldset.user);
+  }
+
+  if (fieldset.expand.includes('comments')) {
+    result.comments = await Comment.find({ post: post._id, parentId: null, status: 'approved' })
+      .sort('_id')
+      .limit(EXPANDED_COMMENTS_LIMIT)
+      .populate(populateFor(fieldset, 'comments.'));
+  }
+
+  return result;
+};
+
 // @route   POST /api/posts
 // @desc    Create a new post
-// @access  Private
-router.post('/', authenticate, validatePost, async (req, res) => {
+// @access  Private (post:create)
+router.post('/', authenticate, can('post:create'), validatePost, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -43,20 +200,35 @@ router.post('/', authenticate, validatePost, async (req, res) => {
       });
     }
 
-    const { title, content, category, tags, status, meta } = req.body;
+    const {
+      title, slug, content, category, tags, status = 'draft', visibility, scheduledFor, commentSettings, meta
+    } = req.body;
+
+    const rejection = checkTransition(req.user, { author: req.user._id }, 'draft', status) ||
+      checkSchedule(status, scheduledFor);
+
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
 
     // Create new post
     const post = new Post({
       title,
+      slug,
       content,
       category,
       tags: tags || [],
-      status: status || 'draft',
+      visibility,
       author: req.user._id,
+      scheduledFor: status === 'scheduled' ? scheduledFor : undefined,
+      commentSettings,
       meta
     });
 
-    await post.save();
+    post.transitionTo(status, req.user._id);
+
+    await post.saveWithUniqueSlug();
+    await PostRevision.record(post, req.user._id);
 
     // Populate author and category
     await post.populate('author', 'username profile.firstName profile.lastName');
@@ -76,9 +248,16 @@ router.post('/', authenticate, validatePost, async (req, res) => {
 });
 
 // @route   GET /api/posts
-// @desc    Get all posts with filtering and pagination
+// @desc    Get all posts with filtering and pagination. Filters and sort
+//          fields are whitelisted in Post.LIST_QUERY, e.g.
+//          ?tags=node,express&views[gte]=100&sort=-views. Use fields= and
+//          expand= to shape the results (see Post.FIELDSETS). Lists public
+//          posts, and members-only posts for signed in users; other
+//          visibilities and statuses must be asked for (see utils/postAccess).
 // @access  Public
-router.get('/', [
+router.get('/', authenticate.optional, listQuery(Post.LIST_QUERY), fieldsets(Post.FIELDSETS, {
+  expandable: LIST_EXPANDABLE
+}), [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -87,22 +266,12 @@ router.get('/', [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
-  query('category')
-    .optional()
-    .isMongoId()
-    .withMessage('Category must be a valid MongoDB ID'),
-  query('author')
-    .optional()
-    .isMongoId()
-    .withMessage('Author must be a valid MongoDB ID'),
-  query('status')
-    .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived'),
   query('search')
     .optional()
-    .isLength({ min: 2 })
-    .withMessage('Search term must be at least 2 characters')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Search term must be between 2 and 200 characters'),
+  validateCursor(Post.LIST_QUERY.defaultSort)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -114,57 +283,80 @@ router.get('/', [
       });
     }
 
-    const {
-      page = 1,
-      limit = 10,
-      category,
-      author,
-      status = 'published',
-      search,
-      sort = '-publishedAt'
-    } = req.query;
+    const { page = 1, limit = 10, search } = req.query;
+    const { filter, sort } = req.listQuery;
 
-    // Build query
-    const query = {};
+    // Build query (only posts the viewer may read, see utils/postAccess)
+    const query = listingQuery(filter, req.user);
 
-    if (category) query.category = category;
-    if (author) query.author = author;
-    if (status) query.status = status;
+    let posts;
+    let pagination;
 
-    // Search functionality
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
+      // Full-text search, most relevant first unless a sort was asked for
+      const parsed = parseSearchQuery(search);
+
+      if (!hasSearchTerms(parsed)) {
+        return res.status(400).json({ error: 'Search term needs at least one word to look for' });
+      }
+
+      if (req.query.cursor) {
+        return res.status(400).json({ error: 'Search results can only be paged with page' });
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const searchResult = await searchModel(Post, parsed, {
+        fields: Post.SEARCH_FIELDS,
+        filter: query,
+        sort: parseSort(sort),
+        relevance: !req.query.sort,
+        skip,
+        limit: parseInt(limit)
+      });
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+      const pattern = buildHighlightPattern(parsed);
+      const found = searchResult.results.map(result => Post.hydrate(result));
 
-    // Execute query
-    const posts = await Post.find(query)
-      .populate('author', 'username profile.firstName profile.lastName')
-      .populate('category', 'name')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
+      await Post.populate(found, populateFor(req.fieldset));
 
-    // Get total count for pagination
-    const total = await Post.countDocuments(query);
+      posts = found.map((post, index) => ({
+        ...serialize(post, req.fieldset),
+        score: searchResult.results[index].score,
+        highlights: buildHighlights(searchResult.results[index], pattern, { title: 0, content: 160 })
+      }));
+
+      pagination = {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(searchResult.total / parseInt(limit)),
+        totalPosts: searchResult.total,
+        hasNextPage: skip + posts.length < searchResult.total,
+        hasPrevPage: parseInt(page) > 1
+      };
+    } else {
+      // Execute query (by page, or from a cursor)
+      // Cursors are built from the sort fields, so those are always loaded
+      const found = await paginate(
+        Post.find(query)
+          .select([...req.fieldset.select, ...Object.keys(parseSort(sort))])
+          .populate(populateFor(req.fieldset)),
+        { sort, page, limit, cursor: req.query.cursor, totalKey: 'totalPosts' }
+      );
+
+      posts = found.items.map(post => serialize(post, req.fieldset));
+      ({ pagination } = found);
+    }
+
+    // Whether the signed in user liked each post
+    if (req.fieldset.fields.includes('isLiked')) {
+      await Post.addLikedState(posts, req.user);
+    }
 
     logger.info(`Posts retrieved: ${posts.length} posts`);
 
     res.json({
       posts,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / parseInt(limit)),
-        totalPosts: total,
-        hasNextPage: skip + posts.length < total,
-        hasPrevPage: parseInt(page) > 1
-      }
+      pagination
     });
 
   } catch (error) {
@@ -173,25 +365,152 @@ router.get('/', [
   }
 });
 
-// @route   GET /api/posts/:id
-// @desc    Get a single post by ID
+// Handlers for a stored ranking (see config/ranking). Posts hidden since
+// the last refresh are left out, so a page may hold fewer than `limit`.
+const rankedPosts = (kind, defaultPeriod) => [authenticate.optional, fieldsets(Post.FIELDSETS, {
+  expandable: LIST_EXPANDABLE
+}), [
+  query('period')
+    .optional()
+    .isIn(Object.keys(PERIODS))
+    .withMessage(`Period must be one of: ${Object.keys(PERIODS).join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const period = req.query.period || defaultPeriod;
+    const { computedAt, entries } = await PostRanking.latest(kind, period, parseInt(req.query.limit, 10) || 10);
+
+    const found = await Post.find(listingQuery({ _id: { $in: entries.map(entry => entry.post) } }, req.user))
+      .select(req.fieldset.select)
+      .populate(populateFor(req.fieldset));
+    const byId = new Map(found.map(post => [String(post._id), post]));
+
+    const posts = entries
+      .filter(entry => byId.has(String(entry.post)))
+      .map(entry => ({
+        ...serialize(byId.get(String(entry.post)), req.fieldset),
+        rank: entry.rank,
+        score: entry.score,
+        activity: { views: entry.views, likes: entry.likes, comments: entry.comments }
+      }));
+
+    // Whether the signed in user liked each post
+    if (req.fieldset.fields.includes('isLiked')) {
+      await Post.addLikedState(posts, req.user);
+    }
+
+    res.json({ posts, period, computedAt });
+
+  } catch (error) {
+    logger.error(`${kind} posts retrieval error:`, error);
+    res.status(500).json({ error: `Server error during ${kind} posts retrieval` });
+  }
+}];
+
+// @route   GET /api/posts/trending
+// @desc    Get the posts with the most recent engagement (views, likes and
+//          comments, recent days counting most) in a period (?period=day,
+//          week or month; default day). Supports fields= and expand=.
+// @access  Public
+router.get('/trending', ...rankedPosts('trending', 'day'));
+
+// @route   GET /api/posts/popular
+// @desc    Get the posts with the most engagement in a period (?period=day,
+//          week or month; default week). Supports fields= and expand=.
+// @access  Public
+router.get('/popular', ...rankedPosts('popular', 'week'));
+
+// @route   GET /api/posts/slug/:slug
+// @desc    Get a published post by its slug. Earlier slugs of a renamed
+//          post answer 301 with the current one. Supports fields= and expand=.
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/slug/:slug', authenticate.optional, loadPostAuthor(
+  req => Post.findBySlug(req.params.slug).select('author')
+), fieldsets(Post.FIELDSETS, { own: isOwnPost }), async (req, res) => {
+  try {
+    const post = await Post.findBySlug(req.params.slug)
+      .select([...req.fieldset.select, 'title', 'slug', ...ACCESS_FIELDS])
+      .populate(populateFor(req.fieldset));
+
+    const rejection = post ? checkReadAccess(req.user, post) : { status: 404, error: 'Post not found' };
+
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    // Old slugs redirect to the current one
+    if (post.slug !== req.params.slug.toLowerCase()) {
+      return res
+        .status(301)
+        .location(`${req.baseUrl}/slug/${encodeURIComponent(post.slug)}`)
+        .json({
+          message: 'Post has moved',
+          slug: post.slug,
+          canonicalUrl: canonicalUrl(post)
+        });
+    }
+
+    // Count the view (once per visitor, live posts only, not by the author or bots)
+    await trackView(req, post);
+
+    logger.info(`Post viewed by slug: ${post.title}`);
+
+    res.json({
+      post: await presentPost(post, req.fieldset),
+      canonicalUrl: canonicalUrl(post),
+      // Position in its series and the previous and next parts, or null
+      series: await Series.navigationFor(post._id, readableFilter(req.user))
+    });
+
+  } catch (error) {
+    logger.error('Post retrieval by slug error:', error);
+    res.status(500).json({ error: 'Server error during post retrieval' });
+  }
+});
+
+// @route   GET /api/posts/:id
+// @desc    Get a single post by ID. Use fields= and expand= to shape the
+//          post; expand=comments,comments.author embeds the first comments.
+//          Posts in a series come with links to the previous and next parts.
+// @access  Public (drafts and private posts: their author and editors)
+router.get('/:id', authenticate.optional, loadPostAuthor(
+  req => mongoose.isValidObjectId(req.params.id) && Post.findById(req.params.id).select('author')
+), fieldsets(Post.FIELDSETS, { own: isOwnPost }), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
-      .populate('author', 'username profile.firstName profile.lastName')
-      .populate('category', 'name');
+      .select([...req.fieldset.select, 'title', 'slug', ...ACCESS_FIELDS])
+      .populate(populateFor(req.fieldset));
 
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
+    // Drafts and private posts are only shown to their author and editors
+    const rejection = post ? checkReadAccess(req.user, post) : { status: 404, error: 'Post not found' };
+
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
     }
 
-    // Increment view count
-    await post.incrementViews();
+    // Count the view (once per visitor, live posts only, not by the author or bots)
+    await trackView(req, post);
 
     logger.info(`Post viewed: ${post.title}`);
 
-    res.json({ post });
+    res.json({
+      post: await presentPost(post, req.fieldset),
+      canonicalUrl: canonicalUrl(post),
+      // Position in its series and the previous and next parts, or null
+      series: await Series.navigationFor(post._id, readableFilter(req.user))
+    });
 
   } catch (error) {
     logger.error('Post retrieval error:', error);
@@ -201,8 +520,8 @@ router.get('/:id', async (req, res) => {
 
 // @route   PUT /api/posts/:id
 // @desc    Update a post
-// @access  Private (author or admin)
-router.put('/:id', authenticate, validatePost, async (req, res) => {
+// @access  Private (post:update, own or any)
+router.put('/:id', authenticate, can('post:update', 'post'), validatePost, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -213,30 +532,54 @@ router.put('/:id', authenticate, validatePost, async (req, res) => {
       });
     }
 
-    const post = await Post.findById(req.params.id);
+    const post = req.resource;
 
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+    // Update post
+    const { title, slug, content, category, tags, status, visibility, scheduledFor, commentSettings, meta } = req.body;
+
+    if (status) {
+      const rejection = checkTransition(req.user, post, post.status, status) ||
+        checkSchedule(status, scheduledFor || (status === post.status && post.scheduledFor));
 
-    // Check if user is author or admin
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to update this post' });
+      if (rejection) {
+        return res.status(rejection.status).json({ error: rejection.error });
+      }
     }
 
-    // Update post
-    const { title, content, category, tags, status, meta } = req.body;
-    
+    const previous = PostRevision.snapshot(post);
+
     Object.assign(post, {
       title,
       content,
       category,
       tags: tags || post.tags,
-      status,
       meta
     });
 
-    await post.save();
+    if (slug !== undefined) {
+      post.slug = slug;
+    }
+
+    if (visibility !== undefined) {
+      post.visibility = visibility;
+    }
+
+    if (status === 'scheduled' && scheduledFor) {
+      post.scheduledFor = scheduledFor;
+    }
+
+    if (commentSettings) {
+      const { enabled, moderation } = commentSettings;
+      if (enabled !== undefined) post.commentSettings.enabled = enabled;
+      if (moderation !== undefined) post.commentSettings.moderation = moderation;
+    }
+
+    if (status && status !== post.status) {
+      post.transitionTo(status, req.user._id);
+    }
+
+    await post.saveWithUniqueSlug();
+    await PostRevision.record(post, req.user._id, { previous });
 
     // Populate author and category
     await post.populate('author', 'username profile.firstName profile.lastName');
@@ -255,23 +598,270 @@ router.put('/:id', authenticate, validatePost, async (req, res) => {
   }
 });
 
-// @route   DELETE /api/posts/:id
-// @desc    Delete a post
-// @access  Private (author or admin)
-router.delete('/:id', authenticate, async (req, res) => {
+// @route   GET /api/posts/:id/revisions
+// @desc    Get the revision history of a post (newest first)
+// @access  Private (post:update, own or any)
+router.get('/:id/revisions', authenticate, can('post:update', 'post'), async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
+    const revisions = await PostRevision.find({ post: req.resource._id })
+      .select('-snapshot')
+      .populate('author', 'username')
+      .sort({ revision: -1 });
 
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
+    res.json({ revisions });
+
+  } catch (error) {
+    logger.error('Post revisions retrieval error:', error);
+    res.status(500).json({ error: 'Server error during post revisions retrieval' });
+  }
+});
+
+// @route   GET /api/posts/:id/revisions/diff
+// @desc    Get a field-level diff between two revisions
+// @access  Private (post:update, own or any)
+router.get('/:id/revisions/diff', authenticate, can('post:update', 'post'), [
+  query('from')
+    .isInt({ min: 1 })
+    .withMessage('from must be a revision number')
+    .toInt(),
+  query('to')
+    .isInt({ min: 1 })
+    .withMessage('to must be a revision number')
+    .toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
     }
 
-    // Check if user is author or admin
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to delete this post' });
+    const { from, to } = req.query;
+
+    const revisions = await PostRevision.find({
+      post: req.resource._id,
+      revision: { $in: [from, to] }
+    });
+
+    const fromRevision = revisions.find(revision => revision.revision === from);
+    const toRevision = revisions.find(revision => revision.revision === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const changes = PostRevision.diff(
+      PostRevision.snapshot(fromRevision.snapshot),
+      PostRevision.snapshot(toRevision.snapshot)
+    );
+
+    res.json({ from, to, changes });
+
+  } catch (error) {
+    logger.error('Post revision diff error:', error);
+    res.status(500).json({ error: 'Server error during post revision diff' });
+  }
+});
+
+// @route   POST /api/posts/:id/revisions/:rev/restore
+// @desc    Restore a post to an earlier revision (recorded as a new revision)
+// @access  Private (post:update, own or any)
+router.post('/:id/revisions/:rev/restore', authenticate, can('post:update', 'post'), [
+  param('rev')
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a revision number')
+    .toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const post = req.resource;
+    const revision = await PostRevision.findOne({ post: post._id, revision: req.params.rev });
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const snapshot = PostRevision.snapshot(revision.snapshot);
+
+    if (!(await Category.exists({ _id: snapshot.category }))) {
+      return res.status(400).json({ error: 'The category of this revision no longer exists' });
     }
 
-    await Post.findByIdAndDelete(req.params.id);
+    const previous = PostRevision.snapshot(post);
+
+    Object.assign(post, snapshot);
+
+    await post.saveWithUniqueSlug();
+    const restored = await PostRevision.record(post, req.user._id, {
+      previous,
+      restoredFrom: revision.revision
+    });
+
+    await post.populate('author', 'username profile.firstName profile.lastName');
+    await post.populate('category', 'name');
+
+    logger.info(`Post restored to revision ${revision.revision}: ${post.title} by ${req.user.username}`);
+
+    res.json({
+      message: `Post restored to revision ${revision.revision}`,
+      post,
+      revision: restored
+    });
+
+  } catch (error) {
+    logger.error('Post revision restore error:', error);
+    res.status(500).json({ error: 'Server error during post revision restore' });
+  }
+});
+
+// @route   POST /api/posts/:id/submit
+// @desc    Submit a draft for editorial review
+// @access  Private (post:update, own or any)
+router.post('/:id/submit', authenticate, can('post:update', 'post'), validateNote(false), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const post = req.resource;
+
+    if (post.status !== 'draft') {
+      return res.status(400).json({ error: 'Only drafts can be submitted for review' });
+    }
+
+    post.transitionTo('in_review', req.user._id, req.body.note);
+    await post.save();
+
+    logger.info(`Post submitted for review: ${post.title} by ${req.user.username}`);
+
+    res.json({
+      message: 'Post submitted for review',
+      post
+    });
+
+  } catch (error) {
+    logger.error('Post submit error:', error);
+    res.status(500).json({ error: 'Server error during post submission' });
+  }
+});
+
+// @route   POST /api/posts/:id/approve
+// @desc    Approve a post in review and publish it (or schedule it with scheduledFor)
+// @access  Private (post:review)
+router.post('/:id/approve', authenticate, can('post:review', 'post'), [
+  validateNote(false),
+  body('scheduledFor')
+    .optional()
+    .isISO8601()
+    .withMessage('scheduledFor must be a valid date')
+    .toDate()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const post = req.resource;
+
+    if (post.status !== 'in_review') {
+      return res.status(400).json({ error: 'Only posts in review can be approved' });
+    }
+
+    const { scheduledFor, note } = req.body;
+    const status = scheduledFor ? 'scheduled' : 'published';
+
+    const rejection = checkTransition(req.user, post, post.status, status) ||
+      checkSchedule(status, scheduledFor);
+
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    if (scheduledFor) {
+      post.scheduledFor = scheduledFor;
+    }
+
+    post.transitionTo(status, req.user._id, note);
+    await post.save();
+
+    logger.info(`Post approved: ${post.title} by ${req.user.username}`);
+
+    res.json({
+      message: scheduledFor ? 'Post approved and scheduled' : 'Post approved and published',
+      post
+    });
+
+  } catch (error) {
+    logger.error('Post approve error:', error);
+    res.status(500).json({ error: 'Server error during post approval' });
+  }
+});
+
+// @route   POST /api/posts/:id/reject
+// @desc    Send a post in review back to its author with a note
+// @access  Private (post:review)
+router.post('/:id/reject', authenticate, can('post:review', 'post'), validateNote(true), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const post = req.resource;
+
+    if (post.status !== 'in_review') {
+      return res.status(400).json({ error: 'Only posts in review can be rejected' });
+    }
+
+    post.transitionTo('draft', req.user._id, req.body.note);
+    await post.save();
+
+    logger.info(`Post rejected: ${post.title} by ${req.user.username}`);
+
+    res.json({
+      message: 'Post returned to draft',
+      post
+    });
+
+  } catch (error) {
+    logger.error('Post reject error:', error);
+    res.status(500).json({ error: 'Server error during post rejection' });
+  }
+});
+
+// @route   DELETE /api/posts/:id
+// @desc    Delete a post
+// @access  Private (post:delete, own or any)
+router.delete('/:id', authenticate, can('post:delete', 'post'), async (req, res) => {
+  try {
+    const post = req.resource;
+
+    await Post.deleteWithRelated({ _id: post._id });
 
     logger.info(`Post deleted: ${post.title} by ${req.user.username}`);
 
@@ -283,25 +873,97 @@ router.delete('/:id', authenticate, async (req, res) => {
   }
 });
 
+// Respond with the like state of a post after a like change
+const sendLikeState = (req, res, result, action) => {
+  if (!result) {
+    return res.status(404).json({ error: 'Post not found' });
+  }
+
+  logger.info(`Post ${action}: ${req.params.id} by ${req.user.username}`);
+
+  res.json({
+    message: `Post ${action} successfully`,
+    likeCount: result.likeCount,
+    isLiked: result.isLiked
+  });
+};
+
+// @route   PUT /api/posts/:id/like
+// @desc    Like a post (repeating it has no further effect)
+// @access  Private
+router.put('/:id/like', authenticate, [
+  param('id')
+    .isMongoId()
+    .withMessage('Post ID must be a valid MongoDB ID')
+], requireReadable, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const result = await Post.setLiked(req.params.id, req.user._id, true);
+
+    sendLikeState(req, res, result, 'liked');
+
+  } catch (error) {
+    logger.error('Post like error:', error);
+    res.status(500).json({ error: 'Server error during like operation' });
+  }
+});
+
+// @route   DELETE /api/posts/:id/like
+// @desc    Remove your like from a post (repeating it has no further effect)
+// @access  Private
+router.delete('/:id/like', authenticate, [
+  param('id')
+    .isMongoId()
+    .withMessage('Post ID must be a valid MongoDB ID')
+], requireReadable, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const result = await Post.setLiked(req.params.id, req.user._id, false);
+
+    sendLikeState(req, res, result, 'unliked');
+
+  } catch (error) {
+    logger.error('Post unlike error:', error);
+    res.status(500).json({ error: 'Server error during like operation' });
+  }
+});
+
 // @route   POST /api/posts/:id/like
-// @desc    Toggle like on a post
+// @desc    Toggle like on a post. Prefer PUT and DELETE, which can be
+//          safely retried.
 // @access  Private
-router.post('/:id/like', authenticate, async (req, res) => {
+router.post('/:id/like', authenticate, requireReadable, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
+    const post = await Post.findById(req.params.id).select('title');
 
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    await post.toggleLike(req.user._id);
+    const result = await post.toggleLike(req.user._id);
 
     logger.info(`Post like toggled: ${post.title} by ${req.user.username}`);
 
     res.json({
       message: 'Like toggled successfully',
-      likeCount: post.likeCount,
-      isLiked: post.likes.includes(req.user._id)
+      likeCount: result.likeCount,
+      isLiked: result.isLiked
     });
 
   } catch (error) {
@@ -310,14 +972,22 @@ router.post('/:id/like', authenticate, async (req, res) => {
   }
 });
 
-// @route   POST /api/posts/:id/comments
-// @desc    Add a comment to a post
-// @access  Private
-router.post('/:id/comments', authenticate, [
-  body('content')
-    .isLength({ min: 1, max: 1000 })
-    .withMessage('Comment must be between 1 and 1000 characters')
-], async (req, res) => {
+// @route   GET /api/posts/:id/likes
+// @desc    Get the users who liked a post
+// @access  Public
+router.get('/:id/likes', authenticate.optional, [
+  param('id')
+    .isMongoId()
+    .withMessage('Post ID must be a valid MongoDB ID'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], requireReadable, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -328,28 +998,75 @@ router.post('/:id/comments', authenticate, [
       });
     }
 
-    const post = await Post.findById(req.params.id);
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    // Most recent likes are at the end of the array
+    const post = await Post.findById(req.params.id)
+      .select({ likeCount: 1, likes: { $slice: [-(skip + limit), limit] } })
+      .populate('likes', selectFor(User, req.user));
 
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    await post.addComment(req.user._id, req.body.content);
-
-    // Populate the new comment
-    await post.populate('comments.user', 'username profile.firstName profile.lastName');
-
-    logger.info(`Comment added to post: ${post.title} by ${req.user.username}`);
+    // Slicing from the end past the start of the array returns its first items again
+    const available = Math.max(0, post.likeCount - skip);
+    const users = post.likes.slice(0, Math.min(limit, available)).filter(user => user && user._id).reverse();
 
     res.json({
-      message: 'Comment added successfully',
-      comment: post.comments[post.comments.length - 1]
+      users,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(post.likeCount / limit),
+        totalLikes: post.likeCount,
+        hasNextPage: skip + limit < post.likeCount,
+        hasPrevPage: page > 1
+      }
     });
 
   } catch (error) {
-    logger.error('Comment addition error:', error);
-    res.status(500).json({ error: 'Server error during comment addition' });
+    logger.error('Post likes retrieval error:', error);
+    res.status(500).json({ error: 'Server error during post likes retrieval' });
+  }
+});
+
+// @route   GET /api/posts/:id/related
+// @desc    Get posts related to a post, best match first. Posts are scored on
+//          shared tags, category, author and similar titles and excerpts.
+// @access  Public (posts the viewer may read)
+router.get('/:id/related', authenticate.optional, [
+  param('id')
+    .isMongoId()
+    .withMessage('Post ID must be a valid MongoDB ID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+], requireReadable, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('title excerpt tags category author');
+    const posts = await relatedPosts.related(post, parseInt(req.query.limit, 10) || 5);
+
+    res.json({ posts });
+
+  } catch (error) {
+    logger.error('Related posts retrieval error:', error);
+    res.status(500).json({ error: 'Server error during related posts retrieval' });
   }
 });
 
+// Comments on a post
+router.use('/:id/comments', commentRoutes);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,159 @@
+// server/src/routes/search.js - Site-wide search routes
+
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const {
+  parseSearchQuery,
+  hasSearchTerms,
+  searchModel,
+  buildHighlightPattern,
+  buildHighlights
+} = require('../utils/search');
+const { authenticate } = require('../utils/auth');
+const { listingQuery } = require('../utils/postAccess');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const SEARCH_TYPES = ['posts', 'users', 'categories'];
+
+// What each type searches, shows and highlights
+const searchers = {
+  posts: {
+    Model: Post,
+    // Live posts the viewer may read, as in post listings
+    filter: user => listingQuery({}, user),
+    project: {
+      title: 1, slug: 1, excerpt: 1, content: 1, tags: 1,
+      author: 1, category: 1, publishedAt: 1
+    },
+    populate: [
+      { path: 'author', select: 'username profile.firstName profile.lastName' },
+      { path: 'category', select: 'name slug' }
+    ],
+    highlights: { title: 0, tags: 0, content: 160 },
+    // The full text is only needed for the snippet
+    omit: ['content']
+  },
+  users: {
+    Model: User,
+    filter: () => ({ isActive: true }),
+    project: {
+      username: 1,
+      'profile.firstName': 1,
+      'profile.lastName': 1,
+      'profile.bio': 1,
+      'profile.avatar': 1
+    },
+    highlights: { username: 0, 'profile.firstName': 0, 'profile.lastName': 0, 'profile.bio': 120 }
+  },
+  categories: {
+    Model: Category,
+    filter: () => ({}),
+    project: { name: 1, slug: 1, description: 1 },
+    highlights: { name: 0, description: 120 }
+  }
+};
+
+// Search one type and shape its results
+const runSearch = async (type, parsed, pattern, { skip, limit, user }) => {
+  const searcher = searchers[type];
+  const { results, total } = await searchModel(searcher.Model, parsed, {
+    fields: searcher.Model.SEARCH_FIELDS,
+    filter: searcher.filter(user),
+    project: searcher.project,
+    skip,
+    limit
+  });
+
+  if (searcher.populate) {
+    await searcher.Model.populate(results, searcher.populate);
+  }
+
+  const items = results.map((result) => {
+    const item = { ...result, highlights: buildHighlights(result, pattern, searcher.highlights) };
+    (searcher.omit || []).forEach(field => delete item[field]);
+    return item;
+  });
+
+  return { items, total };
+};
+
+// @route   GET /api/search
+// @desc    Search posts, users and categories, most relevant first.
+//          Supports "exact phrases", prefix* matches and -excluded words.
+// @access  Public
+router.get('/', authenticate.optional, [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Search query must be between 2 and 200 characters'),
+  query('type')
+    .optional()
+    .custom(value => value.split(',').every(type => SEARCH_TYPES.includes(type.trim())))
+    .withMessage(`Type must be a comma separated list of: ${SEARCH_TYPES.join(', ')}`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { q, page = 1, limit = 10 } = req.query;
+    const types = req.query.type
+      ? [...new Set(req.query.type.split(',').map(type => type.trim()))]
+      : SEARCH_TYPES;
+
+    const parsed = parseSearchQuery(q);
+
+    if (!hasSearchTerms(parsed)) {
+      return res.status(400).json({ error: 'Search query needs at least one word to look for' });
+    }
+
+    const pattern = buildHighlightPattern(parsed);
+    const paging = {
+      skip: (parseInt(page) - 1) * parseInt(limit),
+      limit: parseInt(limit),
+      user: req.user
+    };
+
+    const searches = await Promise.all(types.map(type => runSearch(type, parsed, pattern, paging)));
+
+    const results = {};
+    types.forEach((type, index) => {
+      results[type] = searches[index];
+    });
+
+    logger.info(`Search for "${q}" in ${types.join(', ')}`);
+
+    res.json({
+      query: q,
+      results,
+      pagination: {
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Search error:', error);
+    res.status(500).json({ error: 'Server error during search' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,330 @@
+// server/src/routes/series.js - Series routes (ordered collections of posts)
+
+const express = require('express');
+const { body, validationResult, query, param } = require('express-validator');
+const Series = require('../models/Series');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { authenticate } = require('../utils/auth');
+const { can, hasPermission } = require('../utils/permissions');
+const { paginate, validateCursor } = require('../utils/pagination');
+const { selectFor } = require('../utils/fieldsets');
+const { readableFilter } = require('../utils/postAccess');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Post fields shown for the parts of a series
+const PART_FIELDS = 'title slug excerpt author publishedAt status visibility';
+
+// Validation middleware
+const validateSeries = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters')
+];
+
+const validatePosts = (required) => [
+  (required ? body('posts') : body('posts').optional())
+    .isArray({ max: Series.MAX_SERIES_POSTS })
+    .withMessage(`Posts must be an array of at most ${Series.MAX_SERIES_POSTS} post IDs`),
+  body('posts.*')
+    .isMongoId()
+    .withMessage('Posts must be valid post IDs')
+];
+
+// Check the posts of a series before saving them. Posts new to the series
+// must exist, be editable by the user and not be part of another series.
+// Returns { status, error } when the list is not allowed.
+const checkSeriesPosts = async (user, postIds, series) => {
+  if (new Set(postIds).size !== postIds.length) {
+    return { status: 400, error: 'A post can only appear once in a series' };
+  }
+
+  const current = new Set((series ? series.posts : []).map(String));
+  const added = postIds.filter(id => !current.has(id));
+
+  if (!added.length) {
+    return null;
+  }
+
+  const posts = await Post.find({ _id: { $in: added } }).select('title author');
+
+  if (posts.length !== added.length) {
+    return { status: 400, error: 'Some posts do not exist' };
+  }
+
+  if (!posts.every(post => hasPermission(user, 'post:update', post))) {
+    return { status: 403, error: 'You can only add posts you can edit to a series' };
+  }
+
+  const other = await Series.findOne({
+    ...(series ? { _id: { $ne: series._id } } : {}),
+    posts: { $in: added }
+  }).select('title');
+
+  if (other) {
+    return { status: 400, error: `Some posts already belong to the series "${other.title}"` };
+  }
+
+  return null;
+};
+
+// Shape a series for a read response, with the parts the viewer may read in
+// series order
+const presentSeries = async (series, user) => {
+  const found = await Post.find({ $and: [{ _id: { $in: series.posts } }, readableFilter(user)] })
+    .select(PART_FIELDS)
+    .populate('author', selectFor(User, user));
+  const byId = new Map(found.map(post => [String(post._id), post]));
+
+  return {
+    ...series.toJSON(),
+    posts: series.posts.map(id => byId.get(String(id))).filter(Boolean)
+  };
+};
+
+// @route   GET /api/series
+// @desc    Get all series, newest first (optionally by owner)
+// @access  Public
+router.get('/', [
+  query('owner')
+    .optional()
+    .isMongoId()
+    .withMessage('Owner must be a valid user ID'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  validateCursor('-createdAt')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { owner, page = 1, limit = 10, cursor } = req.query;
+    const filter = owner ? { owner } : {};
+
+    const { items: series, pagination } = await paginate(
+      Series.find(filter).select('-posts').populate('owner', selectFor(User, req.user)),
+      { sort: '-createdAt', page, limit, cursor, totalKey: 'totalSeries' }
+    );
+
+    logger.info(`Series retrieved: ${series.length} series`);
+
+    res.json({
+      series,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('Series retrieval error:', error);
+    res.status(500).json({ error: 'Server error during series retrieval' });
+  }
+});
+
+// @route   GET /api/series/slug/:slug
+// @desc    Get a series by its slug, with the posts the viewer may read
+// @access  Public
+router.get('/slug/:slug', authenticate.optional, async (req, res) => {
+  try {
+    const series = await Series.findOne({ slug: req.params.slug.toLowerCase() })
+      .populate('owner', selectFor(User, req.user));
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    res.json({ series: await presentSeries(series, req.user) });
+
+  } catch (error) {
+    logger.error('Series retrieval by slug error:', error);
+    res.status(500).json({ error: 'Server error during series retrieval' });
+  }
+});
+
+// @route   GET /api/series/:id
+// @desc    Get a series, with the posts the viewer may read in order
+// @access  Public
+router.get('/:id', authenticate.optional, [
+  param('id')
+    .isMongoId()
+    .withMessage('Series ID must be a valid MongoDB ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const series = await Series.findById(req.params.id)
+      .populate('owner', selectFor(User, req.user));
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    res.json({ series: await presentSeries(series, req.user) });
+
+  } catch (error) {
+    logger.error('Series retrieval error:', error);
+    res.status(500).json({ error: 'Server error during series retrieval' });
+  }
+});
+
+// @route   POST /api/series
+// @desc    Create a series, optionally with its posts in order
+// @access  Private (series:create)
+router.post('/', authenticate, can('series:create'), [...validateSeries, ...validatePosts(false)], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { title, description, posts = [] } = req.body;
+
+    const rejection = await checkSeriesPosts(req.user, posts, null);
+
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    const series = new Series({
+      title,
+      description,
+      owner: req.user._id,
+      posts
+    });
+
+    await series.save();
+
+    logger.info(`New series created: ${series.title} by ${req.user.username}`);
+
+    res.status(201).json({
+      message: 'Series created successfully',
+      series: await presentSeries(series, req.user)
+    });
+
+  } catch (error) {
+    logger.error('Series creation error:', error);
+    res.status(500).json({ error: 'Server error during series creation' });
+  }
+});
+
+// @route   PUT /api/series/:id
+// @desc    Update the title and description of a series
+// @access  Private (series:update, own or any)
+router.put('/:id', authenticate, can('series:update', 'series'), validateSeries, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const series = req.resource;
+    const { title, description } = req.body;
+
+    series.title = title;
+    if (description !== undefined) series.description = description;
+
+    await series.save();
+
+    logger.info(`Series updated: ${series.title} by ${req.user.username}`);
+
+    res.json({
+      message: 'Series updated successfully',
+      series: await presentSeries(series, req.user)
+    });
+
+  } catch (error) {
+    logger.error('Series update error:', error);
+    res.status(500).json({ error: 'Server error during series update' });
+  }
+});
+
+// @route   PUT /api/series/:id/posts
+// @desc    Set the posts of a series in reading order. The list replaces the
+//          current one, so it adds, removes and reorders posts at once.
+// @access  Private (series:update, own or any)
+router.put('/:id/posts', authenticate, can('series:update', 'series'), validatePosts(true), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const series = req.resource;
+    const { posts } = req.body;
+
+    const rejection = await checkSeriesPosts(req.user, posts, series);
+
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    series.posts = posts;
+    await series.save();
+
+    logger.info(`Series posts updated: ${series.title} (${posts.length} posts) by ${req.user.username}`);
+
+    res.json({
+      message: 'Series posts updated successfully',
+      series: await presentSeries(series, req.user)
+    });
+
+  } catch (error) {
+    logger.error('Series posts update error:', error);
+    res.status(500).json({ error: 'Server error during series posts update' });
+  }
+});
+
+// @route   DELETE /api/series/:id
+// @desc    Delete a series (its posts are kept)
+// @access  Private (series:delete, own or any)
+router.delete('/:id', authenticate, can('series:delete', 'series'), async (req, res) => {
+  try {
+    await Series.findByIdAndDelete(req.params.id);
+
+    logger.info(`Series deleted: ${req.resource.title} by ${req.user.username}`);
+
+    res.json({ message: 'Series deleted successfully' });
+
+  } catch (error) {
+    logger.error('Series deletion error:', error);
+    res.status(500).json({ error: 'Server error during series deletion' });
+  }
+});
+
+module.exports = router;
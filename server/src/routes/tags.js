@@ -0,0 +1,401 @@
+// server/src/routes/tags.js - Tags routes
+
+const express = require('express');
+const { body, validationResult, query, param } = require('express-validator');
+const Post = require('../models/Post');
+const BlockedTag = require('../models/BlockedTag');
+const { authenticate } = require('../utils/auth');
+const { can } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { parseSort, paginate, validateCursor } = require('../utils/pagination');
+const { listQuery } = require('../utils/listQuery');
+const { fieldsets, populateFor, serialize } = require('../utils/fieldsets');
+const { listingQuery } = require('../utils/postAccess');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_TAG_LENGTH = 50;
+
+// Posts of a tag take the post list filters, except tags
+const tagPostFilters = { ...Post.LIST_QUERY.filters };
+delete tagPostFilters.tags;
+const tagPostsQuery = { ...Post.LIST_QUERY, filters: tagPostFilters };
+
+// Validation middleware for a tag in the body or the path, lowercased like
+// the tags stored on posts
+const validateTag = (chain, name) => chain
+  .isString()
+  .withMessage(`${name} must be a string`)
+  .bail()
+  .trim()
+  .toLowerCase()
+  .isLength({ min: 1, max: MAX_TAG_LENGTH })
+  .withMessage(`${name} must be between 1 and ${MAX_TAG_LENGTH} characters`);
+
+// @route   GET /api/tags
+// @desc    Get tags with the number of posts using them, most used first.
+//          Counts cover the posts the viewer would see in post listings.
+// @access  Public
+router.get('/', authenticate.optional, [
+  query('prefix')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isLength({ max: MAX_TAG_LENGTH })
+    .withMessage(`Prefix cannot exceed ${MAX_TAG_LENGTH} characters`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const skip = (page - 1) * limit;
+
+    const { tags, total } = await Post.tagCounts(listingQuery({}, req.user), {
+      prefix: req.query.prefix,
+      skip,
+      limit
+    });
+
+    res.json({
+      tags,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalTags: total,
+        hasNextPage: skip + tags.length < total,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Tags retrieval error:', error);
+    res.status(500).json({ error: 'Server error during tags retrieval' });
+  }
+});
+
+// @route   GET /api/tags/autocomplete
+// @desc    Suggest tags starting with ?q=, most used first
+// @access  Public
+router.get('/autocomplete', authenticate.optional, [
+  validateTag(query('q'), 'Query'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { tags } = await Post.tagCounts(listingQuery({}, req.user), {
+      prefix: req.query.q,
+      limit: parseInt(req.query.limit, 10) || 10
+    });
+
+    res.json({ tags });
+
+  } catch (error) {
+    logger.error('Tag autocomplete error:', error);
+    res.status(500).json({ error: 'Server error during tag autocomplete' });
+  }
+});
+
+// @route   GET /api/tags/blocklist
+// @desc    Get the tags that may not be used on posts
+// @access  Private (tag:manage)
+router.get('/blocklist', authenticate, can('tag:manage'), async (req, res) => {
+  try {
+    const tags = await BlockedTag.find()
+      .populate('blockedBy', 'username')
+      .sort({ tag: 1 });
+
+    res.json({ tags });
+
+  } catch (error) {
+    logger.error('Tag blocklist retrieval error:', error);
+    res.status(500).json({ error: 'Server error during tag blocklist retrieval' });
+  }
+});
+
+// @route   POST /api/tags/blocklist
+// @desc    Block a tag: remove it from every post and keep it off new ones
+// @access  Private (tag:manage)
+router.post('/blocklist', authenticate, can('tag:manage'), [
+  validateTag(body('tag'), 'Tag'),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { tag, reason } = req.body;
+
+    if (await BlockedTag.exists({ tag })) {
+      return res.status(400).json({ error: 'Tag is already blocked' });
+    }
+
+    const blocked = await BlockedTag.create({ tag, reason, blockedBy: req.user._id });
+    const updatedPosts = await Post.removeTags([tag]);
+
+    await recordAudit('tag_blocked', {
+      actor: req.user._id,
+      ip: req.ip,
+      details: { tag, reason, updatedPosts }
+    });
+
+    logger.info(`Tag blocked: ${tag} by ${req.user.username} (${updatedPosts} posts updated)`);
+
+    res.status(201).json({
+      message: 'Tag blocked successfully',
+      tag: blocked,
+      updatedPosts
+    });
+
+  } catch (error) {
+    logger.error('Tag block error:', error);
+    res.status(500).json({ error: 'Server error during tag block' });
+  }
+});
+
+// @route   DELETE /api/tags/blocklist/:tag
+// @desc    Allow a blocked tag again
+// @access  Private (tag:manage)
+router.delete('/blocklist/:tag', authenticate, can('tag:manage'), [
+  validateTag(param('tag'), 'Tag')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const blocked = await BlockedTag.findOneAndDelete({ tag: req.params.tag });
+
+    if (!blocked) {
+      return res.status(404).json({ error: 'Tag is not blocked' });
+    }
+
+    await recordAudit('tag_unblocked', {
+      actor: req.user._id,
+      ip: req.ip,
+      details: { tag: blocked.tag }
+    });
+
+    logger.info(`Tag unblocked: ${blocked.tag} by ${req.user.username}`);
+
+    res.json({ message: 'Tag unblocked successfully' });
+
+  } catch (error) {
+    logger.error('Tag unblock error:', error);
+    res.status(500).json({ error: 'Server error during tag unblock' });
+  }
+});
+
+// @route   POST /api/tags/merge
+// @desc    Merge tags into one on every post
+// @access  Private (tag:manage)
+router.post('/merge', authenticate, can('tag:manage'), [
+  body('tags')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Tags must be an array of 1 to 20 tags'),
+  validateTag(body('tags.*'), 'Tags'),
+  validateTag(body('into'), 'Target tag')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { into } = req.body;
+    const tags = [...new Set(req.body.tags)].filter(tag => tag !== into);
+
+    if (!tags.length) {
+      return res.status(400).json({ error: 'Give at least one tag other than the target tag' });
+    }
+
+    if (await BlockedTag.exists({ tag: into })) {
+      return res.status(400).json({ error: 'Cannot merge into a blocked tag' });
+    }
+
+    const updatedPosts = await Post.replaceTags(tags, into);
+
+    await recordAudit('tags_merged', {
+      actor: req.user._id,
+      ip: req.ip,
+      details: { tags, into, updatedPosts }
+    });
+
+    logger.info(`Tags merged: ${tags.join(', ')} into ${into} by ${req.user.username} (${updatedPosts} posts updated)`);
+
+    res.json({
+      message: 'Tags merged successfully',
+      tag: into,
+      updatedPosts
+    });
+
+  } catch (error) {
+    logger.error('Tag merge error:', error);
+    res.status(500).json({ error: 'Server error during tag merge' });
+  }
+});
+
+// @route   PUT /api/tags/:tag
+// @desc    Rename a tag on every post. To combine it with a tag that is
+//          already used, merge them instead.
+// @access  Private (tag:manage)
+router.put('/:tag', authenticate, can('tag:manage'), [
+  validateTag(param('tag'), 'Tag'),
+  validateTag(body('name'), 'Name')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { tag } = req.params;
+    const { name } = req.body;
+
+    if (!(await Post.exists({ tags: tag }))) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    if (name !== tag && await Post.exists({ tags: name })) {
+      return res.status(400).json({ error: `Tag "${name}" already exists. Merge the tags instead.` });
+    }
+
+    if (await BlockedTag.exists({ tag: name })) {
+      return res.status(400).json({ error: 'Cannot rename to a blocked tag' });
+    }
+
+    const updatedPosts = await Post.replaceTags([tag], name);
+
+    await recordAudit('tag_renamed', {
+      actor: req.user._id,
+      ip: req.ip,
+      details: { from: tag, to: name, updatedPosts }
+    });
+
+    logger.info(`Tag renamed: ${tag} to ${name} by ${req.user.username} (${updatedPosts} posts updated)`);
+
+    res.json({
+      message: 'Tag renamed successfully',
+      tag: name,
+      updatedPosts
+    });
+
+  } catch (error) {
+    logger.error('Tag rename error:', error);
+    res.status(500).json({ error: 'Server error during tag rename' });
+  }
+});
+
+// @route   GET /api/tags/:tag/posts
+// @desc    Get the posts with a tag, with the post list filters, sorting,
+//          fields= and expand= (see GET /api/posts)
+// @access  Public
+router.get('/:tag/posts', authenticate.optional, listQuery(tagPostsQuery), fieldsets(Post.FIELDSETS, {
+  expandable: ['author', 'category']
+}), [
+  validateTag(param('tag'), 'Tag'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  validateCursor(tagPostsQuery.defaultSort)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+    const { filter, sort } = req.listQuery;
+
+    // Build query (only posts the viewer may read, see utils/postAccess)
+    const query = listingQuery({ ...filter, tags: req.params.tag }, req.user);
+
+    // Execute query (by page, or from a cursor)
+    // Cursors are built from the sort fields, so those are always loaded
+    const { items, pagination } = await paginate(
+      Post.find(query)
+        .select([...req.fieldset.select, ...Object.keys(parseSort(sort))])
+        .populate(populateFor(req.fieldset)),
+      { sort, page, limit, cursor: req.query.cursor, totalKey: 'totalPosts' }
+    );
+    const posts = items.map(post => serialize(post, req.fieldset));
+
+    // Whether the signed in user liked each post
+    if (req.fieldset.fields.includes('isLiked')) {
+      await Post.addLikedState(posts, req.user);
+    }
+
+    logger.info(`Tag posts retrieved: ${posts.length} posts for ${req.params.tag}`);
+
+    res.json({
+      tag: req.params.tag,
+      posts,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('Tag posts retrieval error:', error);
+    res.status(500).json({ error: 'Server error during tag posts retrieval' });
+  }
+});
+
+module.exports = router;
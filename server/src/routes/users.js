@@ -1,18 +1,32 @@
 // server/src/routes/users.js - Users routes
 
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const { body, param, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const Post = require('../models/Post');
-const { authenticate, authorize } = require('../utils/auth');
+const Comment = require('../models/Comment');
+const Series = require('../models/Series');
+const { authenticate } = require('../utils/auth');
+const { can, hasPermission, ownershipRules, ROLES } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegExp } = require('../utils/search');
+const { parseSort, paginate, validateCursor } = require('../utils/pagination');
+const { listQuery } = require('../utils/listQuery');
+const { allowedFields, fieldsets, populateFor, serialize } = require('../utils/fieldsets');
+const { listingQuery } = require('../utils/postAccess');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// A user's posts take the post list filters, except the author
+const userPostFilters = { ...Post.LIST_QUERY.filters };
+delete userPostFilters.author;
+const userPostsQuery = { ...Post.LIST_QUERY, filters: userPostFilters };
+
 // @route   GET /api/users
-// @desc    Get all users (admin only)
-// @access  Private (admin)
-router.get('/', authenticate, authorize('admin'), [
+// @desc    Get all users (admin only). Supports fields= (see User.FIELDSETS).
+// @access  Private (user:manage)
+router.get('/', authenticate, can('user:manage'), listQuery(User.LIST_QUERY), fieldsets(User.FIELDSETS), [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -21,14 +35,7 @@ router.get('/', authenticate, authorize('admin'), [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
-  query('role')
-    .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be user or admin'),
-  query('isActive')
-    .optional()
-    .isBoolean()
-    .withMessage('isActive must be a boolean')
+  validateCursor(User.LIST_QUERY.defaultSort)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -40,55 +47,38 @@ router.get('/', authenticate, authorize('admin'), [
       });
     }
 
-    const {
-      page = 1,
-      limit = 10,
-      role,
-      isActive,
-      search,
-      sort = '-createdAt'
-    } = req.query;
+    const { page = 1, limit = 10, search } = req.query;
+    const { filter, sort } = req.listQuery;
 
     // Build query
-    const query = {};
-
-    if (role) query.role = role;
-    if (isActive !== undefined) query.isActive = isActive;
+    const query = { ...filter };
 
     // Search functionality
     if (search) {
+      // Escaped so user input is matched literally
+      const pattern = new RegExp(escapeRegExp(search), 'i');
+
       query.$or = [
-        { username: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { 'profile.firstName': { $regex: search, $options: 'i' } },
-        { 'profile.lastName': { $regex: search, $options: 'i' } }
+        { username: pattern },
+        { email: pattern },
+        { 'profile.firstName': pattern },
+        { 'profile.lastName': pattern }
       ];
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Execute query
-    const users = await User.find(query)
-      .select('-password')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Get total count for pagination
-    const total = await User.countDocuments(query);
+    // Execute query (by page, or from a cursor)
+    // Cursors are built from the sort fields, so those are always loaded
+    const { items, pagination } = await paginate(
+      User.find(query).select([...req.fieldset.select, ...Object.keys(parseSort(sort))]),
+      { sort, page, limit, cursor: req.query.cursor, totalKey: 'totalUsers' }
+    );
+    const users = items.map(user => serialize(user, req.fieldset));
 
     logger.info(`Users retrieved: ${users.length} users by admin ${req.user.username}`);
 
     res.json({
       users,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / parseInt(limit)),
-        totalUsers: total,
-        hasNextPage: skip + users.length < total,
-        hasPrevPage: parseInt(page) > 1
-      }
+      pagination
     });
 
   } catch (error) {
@@ -98,24 +88,17 @@ router.get('/', authenticate, authorize('admin'), [
 });
 
 // @route   GET /api/users/:id
-// @desc    Get user by ID
-// @access  Private (admin or self)
-router.get('/:id', authenticate, async (req, res) => {
+// @desc    Get user by ID. Supports fields= (see User.FIELDSETS).
+// @access  Private (user:read, own or any)
+router.get('/:id', authenticate, can('user:read', 'user'), fieldsets(User.FIELDSETS, {
+  own: req => ownershipRules.user(req.user, req.resource)
+}), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    // Check if user is requesting their own profile or is admin
-    if (req.user._id.toString() !== req.params.id && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to view this profile' });
-    }
+    const user = req.resource;
 
     logger.info(`User profile viewed: ${user.username}`);
 
-    res.json({ user });
+    res.json({ user: serialize(user, req.fieldset) });
 
   } catch (error) {
     logger.error('User retrieval error:', error);
@@ -125,8 +108,8 @@ router.get('/:id', authenticate, async (req, res) => {
 
 // @route   PUT /api/users/:id
 // @desc    Update user (admin or self)
-// @access  Private (admin or self)
-router.put('/:id', authenticate, [
+// @access  Private (user:update, own or any)
+router.put('/:id', authenticate, can('user:update', 'user'), [
   body('profile.firstName')
     .optional()
     .isLength({ max: 50 })
@@ -141,8 +124,8 @@ router.put('/:id', authenticate, [
     .withMessage('Bio cannot exceed 500 characters'),
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be user or admin'),
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
   body('isActive')
     .optional()
     .isBoolean()
@@ -158,31 +141,32 @@ router.put('/:id', authenticate, [
       });
     }
 
-    const user = await User.findById(req.params.id);
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+    const user = req.resource;
 
-    // Check if user is updating their own profile or is admin
-    if (req.user._id.toString() !== req.params.id && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to update this profile' });
-    }
-
-    // Only admins can change role and isActive
+    // Only user managers can change role and isActive
     const { profile, role, isActive } = req.body;
+    const previousRole = user.role;
     
     if (profile) {
       Object.assign(user.profile, profile);
     }
 
-    if (req.user.role === 'admin') {
+    if (hasPermission(req.user, 'user:manage')) {
       if (role !== undefined) user.role = role;
       if (isActive !== undefined) user.isActive = isActive;
     }
 
     await user.save();
 
+    if (user.role !== previousRole) {
+      await recordAudit('role_changed', {
+        user: user._id,
+        actor: req.user._id,
+        ip: req.ip,
+        details: { from: previousRole, to: user.role }
+      });
+    }
+
     logger.info(`User updated: ${user.username} by ${req.user.username}`);
 
     res.json({
@@ -198,8 +182,8 @@ router.put('/:id', authenticate, [
 
 // @route   DELETE /api/users/:id
 // @desc    Delete user (admin only)
-// @access  Private (admin)
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+// @access  Private (user:delete)
+router.delete('/:id', authenticate, can('user:delete'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -212,8 +196,12 @@ router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
       return res.status(400).json({ error: 'Cannot delete your own account' });
     }
 
-    // Delete user's posts
-    await Post.deleteMany({ author: user._id });
+    // Delete the user's posts and series, then take back their comments and
+    // likes on other posts
+    await Post.deleteWithRelated({ author: user._id });
+    await Series.deleteMany({ owner: user._id });
+    await Comment.removeAllBy(user._id);
+    await Post.removeLikesBy(user._id);
 
     // Delete user
     await User.findByIdAndDelete(req.params.id);
@@ -228,10 +216,51 @@ router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
   }
 });
 
+// @route   POST /api/users/:id/unlock
+// @desc    Unlock an account locked by failed login attempts (admin only)
+// @access  Private (user:manage)
+router.post('/:id/unlock', authenticate, can('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const wasLocked = user.isLocked;
+    await user.resetLoginAttempts();
+
+    await recordAudit('account_unlocked', {
+      user: user._id,
+      actor: req.user._id,
+      ip: req.ip,
+      details: { wasLocked }
+    });
+
+    logger.info(`User unlocked: ${user.username} by admin ${req.user.username}`);
+
+    res.json({
+      message: 'Account unlocked successfully',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    logger.error('User unlock error:', error);
+    res.status(500).json({ error: 'Server error during account unlock' });
+  }
+});
+
 // @route   GET /api/users/:id/posts
-// @desc    Get posts by user
+// @desc    Get posts by user. Supports fields= and expand= for the posts.
 // @access  Public
-router.get('/:id/posts', [
+router.get('/:id/posts', authenticate.optional, listQuery(userPostsQuery), fieldsets(Post.FIELDSETS, {
+  expandable: ['category'],
+  // Every post listed is by this user
+  own: req => req.user && ownershipRules.user(req.user, { _id: req.params.id })
+}), [
+  param('id')
+    .isMongoId()
+    .withMessage('User ID must be a valid MongoDB ID'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -240,10 +269,7 @@ router.get('/:id/posts', [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
-  query('status')
-    .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived')
+  validateCursor(userPostsQuery.defaultSort)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -261,43 +287,33 @@ router.get('/:id/posts', [
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const {
-      page = 1,
-      limit = 10,
-      status = 'published',
-      sort = '-publishedAt'
-    } = req.query;
-
-    // Build query
-    const query = { author: req.params.id };
-
-    if (status) query.status = status;
-
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Execute query
-    const posts = await Post.find(query)
-      .populate('category', 'name')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Get total count for pagination
-    const total = await Post.countDocuments(query);
+    const { page = 1, limit = 10 } = req.query;
+    const { filter, sort } = req.listQuery;
+
+    // Build query (only posts the viewer may read, see utils/postAccess)
+    const query = listingQuery({ ...filter, author: req.params.id }, req.user);
+
+    // Execute query (by page, or from a cursor)
+    // Cursors are built from the sort fields, so those are always loaded
+    const { items, pagination } = await paginate(
+      Post.find(query)
+        .select([...req.fieldset.select, ...Object.keys(parseSort(sort))])
+        .populate(populateFor(req.fieldset)),
+      { sort, page, limit, cursor: req.query.cursor, totalKey: 'totalPosts' }
+    );
+    const posts = items.map(post => serialize(post, req.fieldset));
+
+    // Whether the signed in user liked each post
+    if (req.fieldset.fields.includes('isLiked')) {
+      await Post.addLikedState(posts, req.user);
+    }
 
     logger.info(`User posts retrieved: ${posts.length} posts for ${user.username}`);
 
     res.json({
       posts,
-      user: user.getPublicProfile(),
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / parseInt(limit)),
-        totalPosts: total,
-        hasNextPage: skip + posts.length < total,
-        hasPrevPage: parseInt(page) > 1
-      }
+      user: serialize(user, { fields: allowedFields(User.FIELDSETS, req.user) }),
+      pagination
     });
 
   } catch (error) {
@@ -308,8 +324,8 @@ router.get('/:id/posts', [
 
 // @route   GET /api/users/stats/overview
 // @desc    Get user statistics (admin only)
-// @access  Private (admin)
-router.get('/stats/overview', authenticate, authorize('admin'), async (req, res) => {
+// @access  Private (stats:read)
+router.get('/stats/overview', authenticate, can('stats:read'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const activeUsers = await User.countDocuments({ isActive: true });
@@ -321,6 +337,7 @@ router.get('/stats/overview', authenticate, authorize('admin'), async (req, res)
     const totalPosts = await Post.countDocuments();
     const publishedPosts = await Post.countDocuments({ status: 'published' });
     const draftPosts = await Post.countDocuments({ status: 'draft' });
+    const inReviewPosts = await Post.countDocuments({ status: 'in_review' });
 
     logger.info(`Stats retrieved by admin ${req.user.username}`);
 
@@ -334,7 +351,8 @@ router.get('/stats/overview', authenticate, authorize('admin'), async (req, res)
       posts: {
         total: totalPosts,
         published: publishedPosts,
-        draft: draftPosts
+        draft: draftPosts,
+        inReview: inReviewPosts
       }
     });
 
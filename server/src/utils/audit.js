@@ -0,0 +1,20 @@
+// server/src/utils/audit.js - Security audit trail
+
+const AuditLog = require('../models/AuditLog');
+const logger = require('./logger');
+
+// Record an audit entry. Failures are logged but never break the request.
+const recordAudit = async (action, { user, actor, ip, details } = {}) => {
+  logger.info(`[AUDIT] ${action}`, { user: user && user.toString(), actor: actor && actor.toString(), ip, details });
+
+  try {
+    return await AuditLog.create({ action, user, actor, ip, details });
+  } catch (error) {
+    logger.error(`Failed to record audit entry: ${action}`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit
+};
@@ -2,13 +2,27 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginChallenge = require('../models/LoginChallenge');
 const logger = require('./logger');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-for-testing';
-const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
-
-// Generate JWT token
-const generateToken = (user) => {
+const JWT_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const JWT_ISSUER = 'mern-testing-app';
+const JWT_AUDIENCE = 'mern-testing-users';
+
+// Audience for the short-lived token between the password and 2FA login steps
+const CHALLENGE_AUDIENCE = 'mern-testing-2fa';
+const CHALLENGE_EXPIRE_SECONDS = 5 * 60;
+
+// How unverified email addresses are treated:
+//   off      - no restrictions
+//   restrict - can log in, but cannot publish posts or comment (default)
+//   block    - rejected by authenticate except on routes that allow it
+const EMAIL_VERIFICATION_POLICY = process.env.EMAIL_VERIFICATION_POLICY || 'restrict';
+
+// Generate JWT access token (bound to a session when sessionId is given)
+const generateToken = (user, options = {}) => {
   const payload = {
     id: user._id,
     username: user.username,
@@ -16,23 +30,84 @@ const generateToken = (user) => {
     role: user.role
   };
 
+  if (options.sessionId) {
+    payload.sid = options.sessionId.toString();
+  }
+
+  // Marks tokens obtained with a second factor
+  if (options.mfa) {
+    payload.mfa = true;
+  }
+
   return jwt.sign(payload, JWT_SECRET, {
     expiresIn: JWT_EXPIRE,
-    issuer: 'mern-testing-app',
-    audience: 'mern-testing-users'
+    issuer: JWT_ISSUER,
+    audience: JWT_AUDIENCE
   });
 };
 
 // Verify JWT token
 const verifyToken = (token) => {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    return jwt.verify(token, JWT_SECRET, {
+      issuer: JWT_ISSUER,
+      audience: JWT_AUDIENCE
+    });
   } catch (error) {
     logger.error('Token verification failed:', error);
     throw error;
   }
 };
 
+// Verify JWT token without logging failures, for callers that expect
+// invalid tokens. Returns null when the token is invalid.
+const readToken = (token) => {
+  try {
+    return jwt.verify(token, JWT_SECRET, {
+      issuer: JWT_ISSUER,
+      audience: JWT_AUDIENCE
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generate the token that proves the password step of a 2FA login passed
+const generateChallengeToken = async (user) => {
+  // Recorded so the token can be redeemed once (see LoginChallenge)
+  const challenge = await LoginChallenge.issue(user._id, CHALLENGE_EXPIRE_SECONDS * 1000);
+
+  return jwt.sign({ id: user._id }, JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRE_SECONDS,
+    issuer: JWT_ISSUER,
+    audience: CHALLENGE_AUDIENCE,
+    jwtid: challenge._id
+  });
+};
+
+// Verify a 2FA challenge token (access tokens are not accepted)
+const verifyChallengeToken = (token) => {
+  return jwt.verify(token, JWT_SECRET, {
+    issuer: JWT_ISSUER,
+    audience: CHALLENGE_AUDIENCE
+  });
+};
+
+// Start a session and issue an access/refresh token pair
+const issueAuthTokens = async (user, req, options = {}) => {
+  const { session, refreshToken } = await Session.createForUser(user, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    mfa: options.mfa
+  });
+
+  return {
+    token: generateToken(user, { sessionId: session._id, mfa: options.mfa }),
+    refreshToken,
+    expiresIn: JWT_EXPIRE
+  };
+};
+
 // Extract token from request headers
 const extractToken = (req) => {
   const authHeader = req.headers.authorization;
@@ -44,16 +119,30 @@ const extractToken = (req) => {
   return authHeader.substring(7); // Remove 'Bearer ' prefix
 };
 
-// Authentication middleware
-const authenticate = async (req, res, next) => {
+// Authentication middleware factory
+const createAuthenticate = (options = {}) => async (req, res, next) => {
   try {
     const token = extractToken(req);
     
     if (!token) {
+      if (options.optional) {
+        return next();
+      }
       return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
 
     const decoded = verifyToken(token);
+
+    // Session-bound tokens stop working as soon as the session is revoked
+    let session = null;
+    if (decoded.sid) {
+      session = await Session.findById(decoded.sid);
+
+      if (!session || !session.isActive) {
+        return res.status(401).json({ error: 'Session has been revoked.' });
+      }
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
@@ -64,7 +153,17 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'Account is deactivated.' });
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ error: 'Password changed. Please log in again.' });
+    }
+
+    if (EMAIL_VERIFICATION_POLICY === 'block' && !user.emailVerified && !options.allowUnverified) {
+      return res.status(403).json({ error: 'Please verify your email address first.' });
+    }
+
     req.user = user;
+    req.authSession = session;
+    req.mfa = Boolean(decoded.mfa);
     next();
   } catch (error) {
     logger.error('Authentication failed:', error);
@@ -72,6 +171,42 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Authentication middleware
+const authenticate = createAuthenticate();
+
+// Authentication middleware for routes unverified accounts must still reach
+authenticate.allowUnverified = createAuthenticate({ allowUnverified: true });
+
+// Authentication middleware for public routes that show more to signed in
+// users. Requests without a token continue anonymously.
+authenticate.optional = createAuthenticate({ optional: true });
+
+// Check whether the email verification policy restricts a user
+const isEmailVerificationRequired = (user) => {
+  return EMAIL_VERIFICATION_POLICY !== 'off' && !user.emailVerified;
+};
+
+// Middleware restricting a route to users with a verified email
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required.' });
+  }
+
+  if (isEmailVerificationRequired(req.user)) {
+    return res.status(403).json({ error: 'Please verify your email address first.' });
+  }
+
+  next();
+};
+
+// Check whether an admin still has to sign in with a second factor
+// (only when REQUIRE_ADMIN_2FA=true)
+const requiresAdminTwoFactor = (req) => {
+  return req.user.role === 'admin' &&
+    process.env.REQUIRE_ADMIN_2FA === 'true' &&
+    !(req.user.twoFactor && req.user.twoFactor.enabled && req.mfa);
+};
+
 // Authorization middleware
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -85,45 +220,27 @@ const authorize = (...roles) => {
       });
     }
 
-    next();
-  };
-};
-
-// Rate limiting helper
-const createRateLimiter = (windowMs = 15 * 60 * 1000, max = 100) => {
-  const requests = new Map();
-
-  return (req, res, next) => {
-    const key = req.ip;
-    const now = Date.now();
-    const windowStart = now - windowMs;
-
-    // Clean old entries
-    if (requests.has(key)) {
-      const userRequests = requests.get(key).filter(time => time > windowStart);
-      requests.set(key, userRequests);
-    } else {
-      requests.set(key, []);
-    }
-
-    const userRequests = requests.get(key);
-
-    if (userRequests.length >= max) {
-      return res.status(429).json({ 
-        error: 'Too many requests. Please try again later.' 
+    if (requiresAdminTwoFactor(req)) {
+      return res.status(403).json({
+        error: 'Two-factor authentication is required for admin access.'
       });
     }
 
-    userRequests.push(now);
     next();
   };
 };
 
 module.exports = {
   generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  issueAuthTokens,
   verifyToken,
+  readToken,
   extractToken,
   authenticate,
   authorize,
-  createRateLimiter
+  requiresAdminTwoFactor,
+  isEmailVerificationRequired,
+  requireVerifiedEmail
 }; 
\ No newline at end of file
@@ -0,0 +1,178 @@
+// server/src/utils/fieldsets.js - Sparse fieldsets and relationship expansion
+//
+// Read routes accept `fields=title,slug` to return only some fields and
+// `expand=author,comments.author` to embed related documents. What a viewer
+// may see is whitelisted per role in each model's FIELDSETS static:
+//
+//   fields        { public: [...], own: [...], <role>: [...] }; `own` is added
+//                 for the owner of the document, a role's list for that role
+//   virtuals      { virtual: [fields it is computed from] }
+//   expand        { name: { path, model } }; nested names (comments.author)
+//                 expand inside an expanded relation
+//   defaultExpand relations embedded when no `expand` is given
+
+const mongoose = require('mongoose');
+
+const splitList = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Fields a viewer may see
+const allowedFields = (fieldset, user, { own = false } = {}) => [...new Set([
+  ...fieldset.fields.public,
+  ...(own ? fieldset.fields.own || [] : []),
+  ...(user ? fieldset.fields[user.role] || [] : [])
+])];
+
+// Whether a requested path is covered by the allowed fields (profile.bio is
+// covered by profile)
+const isAllowed = (path, allowed) => allowed.some(field => path === field || path.startsWith(`${field}.`));
+
+// Database fields needed to produce some output fields
+const selectFields = (fieldset, fields) => [...new Set(fields.flatMap(field => (
+  fieldset.virtuals && fieldset.virtuals[field] ? fieldset.virtuals[field] : [field]
+)))];
+
+// Select string with the fields of a model a viewer may see, for populate
+const selectFor = (Model, user) => {
+  const fieldset = Model.FIELDSETS;
+  return selectFields(fieldset, allowedFields(fieldset, user)).join(' ');
+};
+
+// Populate options for the relations expanded directly under `prefix`
+// ('' for the document itself, 'comments.' inside expanded comments)
+const populateFor = ({ fieldset, expand, user }, prefix = '') => expand
+  .filter(name => name.startsWith(prefix) && !name.slice(prefix.length).includes('.'))
+  .map(name => fieldset.expand[name])
+  .filter(relation => relation.path)
+  .map(relation => ({
+    path: relation.path,
+    select: selectFor(mongoose.model(relation.model), user)
+  }));
+
+// Copy `fields` (dotted paths allowed) from a plain object
+const pickFields = (object, fields) => {
+  const picked = { _id: object._id };
+
+  fields.forEach((path) => {
+    const keys = path.split('.');
+    let source = object;
+    let target = picked;
+
+    for (let i = 0; i < keys.length - 1; i++) {
+      source = source == null ? undefined : source[keys[i]];
+      if (source == null || typeof source !== 'object') return;
+      target[keys[i]] = target[keys[i]] || {};
+      target = target[keys[i]];
+    }
+
+    const key = keys[keys.length - 1];
+    if (source != null && source[key] !== undefined) {
+      target[key] = source[key];
+    }
+  });
+
+  return picked;
+};
+
+// Parse `fields` and `expand` from a query string object. Returns
+// `{ fields, select, expand, errors }`: fields to output, database fields to
+// select and relation names to expand. Errors follow the express-validator shape.
+const parseFieldsets = (query, fieldset, user, { own = false, expandable } = {}) => {
+  const allowed = allowedFields(fieldset, user, { own });
+  const relations = expandable || Object.keys(fieldset.expand || {});
+  const errors = [];
+
+  const fail = (path, value, msg) => errors.push({ type: 'field', location: 'query', path, value, msg });
+
+  let fields = allowed;
+  let expand;
+
+  if (query.expand !== undefined) {
+    if (typeof query.expand !== 'string') {
+      fail('expand', query.expand, 'Expand must be a comma separated list');
+      expand = [];
+    } else {
+      expand = splitList(query.expand);
+      const unknown = expand.find(name => !relations.includes(name));
+
+      if (unknown) {
+        fail('expand', query.expand, `Cannot expand "${unknown}". Expandable relations: ${relations.join(', ')}`);
+      }
+
+      // Expanding comments.author implies expanding comments
+      expand = [...new Set(expand.flatMap(name => (name.includes('.') ? [name.split('.')[0], name] : [name])))];
+    }
+  }
+
+  if (query.fields !== undefined) {
+    if (typeof query.fields !== 'string') {
+      fail('fields', query.fields, 'Fields must be a comma separated list');
+    } else {
+      fields = [...new Set(splitList(query.fields))];
+      const unknown = fields.find(field => !isAllowed(field, allowed));
+
+      if (unknown) {
+        fail('fields', query.fields, `Unknown or restricted field "${unknown}". Available fields: ${allowed.join(', ')}`);
+      }
+    }
+  }
+
+  if (expand === undefined) {
+    // Default expansions only apply to fields that are returned
+    expand = (fieldset.defaultExpand || [])
+      .filter(name => relations.includes(name) && fields.includes(fieldset.expand[name].path || name));
+  } else {
+    // Asking to expand a relation also returns it
+    const expandedFields = expand
+      .filter(name => !name.includes('.'))
+      .map(name => fieldset.expand[name] && (fieldset.expand[name].path || name))
+      .filter(Boolean);
+    fields = [...new Set([...fields, ...expandedFields])];
+  }
+
+  return {
+    fields,
+    select: selectFields(fieldset, fields.filter(field => !fieldset.expand || !fieldset.expand[field] || fieldset.expand[field].path)),
+    expand,
+    errors
+  };
+};
+
+// Middleware parsing `fields` and `expand` into `req.fieldset`
+// ({ fieldset, user, fields, select, expand }), answering 400 for fields or
+// relations the viewer cannot have. Options:
+//   own        req => whether the viewer owns the requested document
+//   expandable relations this route can expand (defaults to all)
+const fieldsets = (fieldset, options = {}) => (req, res, next) => {
+  const own = options.own ? Boolean(options.own(req)) : false;
+  const parsed = parseFieldsets(req.query, fieldset, req.user, { own, expandable: options.expandable });
+
+  if (parsed.errors.length) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: parsed.errors
+    });
+  }
+
+  req.fieldset = {
+    fieldset,
+    user: req.user,
+    fields: parsed.fields,
+    select: parsed.select,
+    expand: parsed.expand
+  };
+  next();
+};
+
+// Shape a document for the response: only the fields the request asked for
+const serialize = (doc, { fields }) => pickFields(typeof doc.toJSON === 'function' ? doc.toJSON() : doc, fields);
+
+module.exports = {
+  allowedFields,
+  selectFields,
+  selectFor,
+  populateFor,
+  pickFields,
+  parseFieldsets,
+  fieldsets,
+  serialize
+};
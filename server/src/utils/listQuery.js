@@ -0,0 +1,226 @@
+// server/src/utils/listQuery.js - Whitelisted sort and filter parsing for list routes
+//
+// Each list route declares which fields can be sorted and filtered, and how
+// filter values are typed. Anything else in the query string is rejected with
+// a 400, so user input never reaches Mongoose as a raw sort or operator.
+//
+// Filters support:
+//   field=value            equality
+//   field=a,b              any of several values (fields declared `multi`)
+//   field[gte]=value       ranges with gt, gte, lt and lte (fields declared `range`)
+
+const mongoose = require('mongoose');
+
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const MAX_VALUES = 20;
+const MAX_SORT_FIELDS = 3;
+
+// Convert a raw query string value to a field's type. Throws with a message
+// for the client when the value does not fit.
+const converters = {
+  string: (value, { lowercase, maxLength = 100 }) => {
+    const text = value.trim();
+    if (!text || text.length > maxLength) {
+      throw new Error(`must be between 1 and ${maxLength} characters`);
+    }
+    return lowercase ? text.toLowerCase() : text;
+  },
+
+  id: (value) => {
+    if (!mongoose.isValidObjectId(value)) {
+      throw new Error('must be a valid MongoDB ID');
+    }
+    return value;
+  },
+
+  enum: (value, { values }) => {
+    if (!values.includes(value)) {
+      throw new Error(`must be one of: ${values.join(', ')}`);
+    }
+    return value;
+  },
+
+  number: (value) => {
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number)) {
+      throw new Error('must be a number');
+    }
+    return number;
+  },
+
+  boolean: (value) => {
+    if (['true', '1'].includes(value)) return true;
+    if (['false', '0'].includes(value)) return false;
+    throw new Error('must be a boolean');
+  },
+
+  date: (value) => {
+    const date = new Date(value);
+    if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(date.getTime())) {
+      throw new Error('must be an ISO 8601 date');
+    }
+    return date;
+  }
+};
+
+// Parse one filter from its raw query value into a Mongoose condition
+const parseFilter = (name, definition, raw) => {
+  const convert = (value) => {
+    try {
+      return converters[definition.type](String(value), definition);
+    } catch (error) {
+      throw new Error(`Filter "${name}" ${error.message}`);
+    }
+  };
+
+  // Ranges arrive as objects from the extended query parser: views[gt]=10
+  if (raw !== null && typeof raw === 'object' && !Array.isArray(raw)) {
+    const operators = Object.keys(raw);
+
+    if (!definition.range) {
+      throw new Error(`Filter "${name}" does not support ranges`);
+    }
+
+    const unknown = operators.filter(operator => !RANGE_OPERATORS.includes(operator));
+    if (unknown.length) {
+      throw new Error(`Unknown operator "${unknown[0]}" for "${name}". Use one of: ${RANGE_OPERATORS.join(', ')}`);
+    }
+
+    return Object.fromEntries(operators.map((operator) => {
+      if (typeof raw[operator] !== 'string') {
+        throw new Error(`Filter "${name}[${operator}]" must have a single value`);
+      }
+      return [`$${operator}`, convert(raw[operator])];
+    }));
+  }
+
+  // Repeated parameters (tags=a&tags=b) count as a list, like tags=a,b
+  const values = (Array.isArray(raw) ? raw : [raw])
+    .flatMap(value => (definition.multi && typeof value === 'string' ? value.split(',') : [value]))
+    .filter(value => value !== '');
+
+  if (values.some(value => typeof value !== 'string')) {
+    throw new Error(`Filter "${name}" has an invalid value`);
+  }
+
+  if (!values.length) {
+    throw new Error(`Filter "${name}" needs a value`);
+  }
+
+  if (values.length > 1 && !definition.multi) {
+    throw new Error(`Filter "${name}" accepts a single value`);
+  }
+
+  if (values.length > MAX_VALUES) {
+    throw new Error(`Filter "${name}" accepts at most ${MAX_VALUES} values`);
+  }
+
+  const converted = [...new Set(values.map(convert))];
+
+  return converted.length === 1 ? converted[0] : { $in: converted };
+};
+
+// Check a sort string against the sortable fields and normalise it
+// (e.g. "-views,title" becomes "-views title")
+const parseSortParam = (sort, sortable) => {
+  if (typeof sort !== 'string') {
+    throw new Error('Sort must be a single value');
+  }
+
+  const fields = sort.split(/[\s,]+/).filter(Boolean);
+
+  if (!fields.length) {
+    throw new Error('Sort needs at least one field');
+  }
+
+  if (fields.length > MAX_SORT_FIELDS) {
+    throw new Error(`Sort accepts at most ${MAX_SORT_FIELDS} fields`);
+  }
+
+  const names = fields.map(field => field.replace(/^-/, ''));
+  const unknown = names.find(name => !sortable.includes(name));
+
+  if (unknown) {
+    throw new Error(`Cannot sort by "${unknown}". Sortable fields: ${sortable.join(', ')}`);
+  }
+
+  if (new Set(names).size !== names.length) {
+    throw new Error('Sort fields must not repeat');
+  }
+
+  return fields.join(' ');
+};
+
+// Parse a query string object. Returns `{ filter, sort, errors }`, where
+// errors follow the express-validator shape used in validation responses.
+// Options:
+//   sortable    fields that may be sorted on
+//   filters     { field: { type, values, multi, range, lowercase, maxLength } }
+//   params      other accepted parameters, left to the route (page, limit...)
+//   defaultSort sort used when none is given
+const parseListQuery = (query, { sortable = [], filters = {}, params = [], defaultSort }) => {
+  const filter = {};
+  const errors = [];
+  let sort = defaultSort;
+
+  const fail = (path, value, error) => errors.push({
+    type: 'field',
+    location: 'query',
+    path,
+    value,
+    msg: error.message
+  });
+
+  Object.entries(query).forEach(([name, raw]) => {
+    if (params.includes(name)) {
+      return;
+    }
+
+    if (name === 'sort') {
+      try {
+        sort = parseSortParam(raw, sortable);
+      } catch (error) {
+        fail(name, raw, error);
+      }
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(filters, name)) {
+      const filterable = Object.keys(filters);
+      fail(name, raw, new Error(
+        `Unknown query parameter "${name}". ${filterable.length ? `Filterable fields: ${filterable.join(', ')}` : 'This list has no filters'}`
+      ));
+      return;
+    }
+
+    try {
+      filter[name] = parseFilter(name, filters[name], raw);
+    } catch (error) {
+      fail(name, raw, error);
+    }
+  });
+
+  return { filter, sort, errors };
+};
+
+// Middleware parsing the list query into `req.listQuery` ({ filter, sort }),
+// answering 400 when the query names unknown fields or has bad values
+const listQuery = options => (req, res, next) => {
+  const { filter, sort, errors } = parseListQuery(req.query, options);
+
+  if (errors.length) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  req.listQuery = { filter, sort };
+  next();
+};
+
+module.exports = {
+  RANGE_OPERATORS,
+  parseListQuery,
+  listQuery
+};
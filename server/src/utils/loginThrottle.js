@@ -0,0 +1,108 @@
+// server/src/utils/loginThrottle.js - Failed login throttling and lockout
+//
+// A schema plugin adding the failed login state and its methods, shared by
+// accounts (User) and by login attempts for unknown emails (LoginAttempt),
+// so both are throttled alike and responses do not reveal which exist.
+
+// Failed logins before an account is temporarily locked
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5;
+
+// First lockout duration; doubles with every repeated lockout (capped at 24 hours)
+const LOCK_TIME_MS = (parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15) * 60 * 1000;
+const MAX_LOCK_TIME_MS = 24 * 60 * 60 * 1000;
+
+const loginThrottle = (schema) => {
+  schema.add({
+    failedLoginAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedLoginAt: {
+      type: Date
+    },
+    lockUntil: {
+      type: Date
+    },
+    lockCount: {
+      type: Number,
+      default: 0
+    }
+  });
+
+  // Virtual for whether logins are temporarily locked
+  schema.virtual('isLocked').get(function() {
+    return Boolean(this.lockUntil && this.lockUntil > new Date());
+  });
+
+  // Method to get the seconds until the next login attempt is allowed.
+  // Covers both lockouts and the growing delay between failed attempts.
+  schema.methods.getLoginRetryAfter = function() {
+    const now = Date.now();
+
+    if (this.isLocked) {
+      return Math.ceil((this.lockUntil.getTime() - now) / 1000);
+    }
+
+    if (this.failedLoginAttempts >= 2 && this.lastFailedLoginAt) {
+      const delayMs = Math.pow(2, this.failedLoginAttempts - 2) * 1000;
+      const nextAttemptAt = this.lastFailedLoginAt.getTime() + delayMs;
+
+      if (nextAttemptAt > now) {
+        return Math.ceil((nextAttemptAt - now) / 1000);
+      }
+    }
+
+    return 0;
+  };
+
+  // Method to record a failed login, locking when the limit is hit
+  schema.methods.registerFailedLogin = async function() {
+    const updated = await this.constructor.findByIdAndUpdate(
+      this._id,
+      { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+      { new: true }
+    );
+
+    this.failedLoginAttempts = updated.failedLoginAttempts;
+    this.lastFailedLoginAt = updated.lastFailedLoginAt;
+
+    if (updated.failedLoginAttempts < MAX_LOGIN_ATTEMPTS) {
+      return { locked: false, attempts: updated.failedLoginAttempts };
+    }
+
+    const lockTime = Math.min(LOCK_TIME_MS * Math.pow(2, updated.lockCount), MAX_LOCK_TIME_MS);
+    const lockUntil = new Date(Date.now() + lockTime);
+
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { lockUntil, failedLoginAttempts: 0 }, $inc: { lockCount: 1 } }
+    );
+
+    this.lockUntil = lockUntil;
+    this.failedLoginAttempts = 0;
+    this.lockCount = updated.lockCount + 1;
+
+    return { locked: true, lockUntil, attempts: updated.failedLoginAttempts };
+  };
+
+  // Method to clear failed login state (after a successful login or an admin unlock)
+  schema.methods.resetLoginAttempts = function() {
+    this.failedLoginAttempts = 0;
+    this.lastFailedLoginAt = undefined;
+    this.lockUntil = undefined;
+    this.lockCount = 0;
+
+    return this.constructor.updateOne(
+      { _id: this._id },
+      {
+        $set: { failedLoginAttempts: 0, lockCount: 0 },
+        $unset: { lastFailedLoginAt: 1, lockUntil: 1 }
+      }
+    );
+  };
+};
+
+module.exports = {
+  MAX_LOCK_TIME_MS,
+  loginThrottle
+};
@@ -0,0 +1,101 @@
+// server/src/utils/mailer.js - Outgoing mail with pluggable transports
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@mern-testing.local';
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Transports only need an async send(message) method
+const transports = {
+  // Logs messages instead of delivering them (local development). Bodies
+  // hold reset and verification links, so they can be left out.
+  console: ({ body = true } = {}) => ({
+    name: 'console',
+    send: async (message) => {
+      logger.info(`Mail to ${message.to}: ${message.subject}${body ? `\n${message.text}` : ''}`);
+    }
+  }),
+
+  // Writes each message as a JSON file into a directory
+  file: (dir = process.env.MAIL_DIR || path.join(process.cwd(), 'mail')) => ({
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+    }
+  }),
+
+  // Keeps messages in memory so tests can inspect them
+  memory: () => {
+    const outbox = [];
+    return {
+      name: 'memory',
+      outbox,
+      send: async (message) => {
+        outbox.push(message);
+      }
+    };
+  }
+};
+
+// Memory in tests and console in development. Elsewhere a transport must be
+// configured; until it is, mail is only logged, without its body, so links
+// carrying tokens never reach production logs.
+const createDefaultTransport = (env = process.env) => {
+  const defaults = { test: 'memory', development: 'console' };
+  const name = env.MAIL_TRANSPORT || defaults[env.NODE_ENV];
+  const factory = transports[name];
+
+  if (!factory) {
+    logger.error(name
+      ? `Unknown mail transport "${name}"; mail will not be delivered`
+      : 'MAIL_TRANSPORT is not set; mail will not be delivered');
+    return transports.console({ body: false });
+  }
+
+  return factory();
+};
+
+let transport = createDefaultTransport();
+
+// Replace the active transport (e.g. with an SMTP-backed implementation)
+const setTransport = (newTransport) => {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = newTransport;
+};
+
+const getTransport = () => transport;
+
+// Send a message through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+    sentAt: new Date().toISOString()
+  };
+
+  await transport.send(message);
+  logger.info(`Mail sent via ${transport.name || 'custom'} transport to ${to}: ${subject}`);
+
+  return message;
+};
+
+// Build a link into the client application
+const clientUrl = (pathname) => `${CLIENT_URL}${pathname}`;
+
+module.exports = {
+  transports,
+  createDefaultTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+  clientUrl
+};
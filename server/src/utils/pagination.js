@@ -0,0 +1,227 @@
+// server/src/utils/pagination.js - Page and cursor pagination for list routes
+//
+// Page mode (?page=) uses skip/limit and counts the total. Cursor mode
+// (?cursor=) continues from a given item instead: it is keyed on the sort
+// field plus _id, so results stay stable when items are added while paging
+// and no count is needed. Both modes return nextCursor/prevCursor, so a
+// client can switch to cursors from any page.
+
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+
+// Turn a sort string such as "-publishedAt title" into a sort object
+const parseSort = sort => Object.fromEntries(
+  String(sort || '').split(/[\s,]+/).filter(Boolean).map(field => (
+    field.startsWith('-') ? [field.slice(1), -1] : [field, 1]
+  ))
+);
+
+// The single field a cursor can be keyed on, or null for multi-field sorts
+const getCursorField = (sort) => {
+  const fields = Object.entries(parseSort(sort));
+
+  if (fields.length === 0) {
+    return ['_id', 1];
+  }
+
+  return fields.length === 1 ? fields[0] : null;
+};
+
+// Cursor values keep their type so dates and IDs compare correctly
+const serializeValue = (value) => {
+  if (value === null || value === undefined) return { t: 'null', v: null };
+  if (value instanceof Date) return { t: 'date', v: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { t: 'id', v: value.toString() };
+  if (value._id instanceof mongoose.Types.ObjectId) return { t: 'id', v: value._id.toString() };
+  return { t: typeof value, v: value };
+};
+
+const deserializeValue = ({ t, v }) => {
+  switch (t) {
+    case 'null': return null;
+    case 'date': return new Date(v);
+    case 'id': return new mongoose.Types.ObjectId(v);
+    case 'number': return Number(v);
+    case 'boolean': return Boolean(v);
+    default: return String(v);
+  }
+};
+
+// Encode an opaque cursor pointing at a document
+const encodeCursor = (doc, field, direction) => {
+  const value = typeof doc.get === 'function' ? doc.get(field) : doc[field];
+
+  return Buffer.from(JSON.stringify({
+    f: field,
+    d: direction,
+    id: String(doc._id),
+    ...serializeValue(field === '_id' ? doc._id : value)
+  })).toString('base64url');
+};
+
+// Decode a cursor, or return null when it is not valid
+const decodeCursor = (cursor) => {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+
+    if (typeof data.f !== 'string' || !['next', 'prev'].includes(data.d) || !mongoose.isValidObjectId(data.id)) {
+      return null;
+    }
+
+    const value = deserializeValue(data);
+
+    if (value instanceof Date && Number.isNaN(value.getTime())) {
+      return null;
+    }
+
+    return {
+      field: data.f,
+      direction: data.d,
+      id: new mongoose.Types.ObjectId(data.id),
+      value
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Validation chain for a cursor query parameter, checked against the sort
+// in use (`req.query.sort`, falling back to `defaultSort`)
+const validateCursor = (defaultSort) => query('cursor')
+  .optional()
+  .custom((value, { req }) => {
+    const cursor = decodeCursor(value);
+
+    if (!cursor) {
+      throw new Error('Invalid cursor');
+    }
+
+    const key = getCursorField(req.query.sort || defaultSort);
+
+    if (!key) {
+      throw new Error('Cursor pagination supports a single sort field');
+    }
+
+    if (cursor.field !== key[0]) {
+      throw new Error('Cursor does not match the sort order');
+    }
+
+    return true;
+  });
+
+// Condition for the items after a key when walking in `order`
+// (1 ascending, -1 descending). Nulls sort before every other value.
+const afterKey = (field, value, id, order) => {
+  const cmp = order === 1 ? '$gt' : '$lt';
+
+  if (field === '_id') {
+    return { _id: { [cmp]: id } };
+  }
+
+  if (value === null) {
+    return order === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, _id: { $gt: id } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [
+    { [field]: { [cmp]: value } },
+    { [field]: value, _id: { [cmp]: id } }
+  ];
+
+  if (order === -1) {
+    conditions.push({ [field]: null });
+  }
+
+  return { $or: conditions };
+};
+
+// Paginate a Mongoose find query (with any populate/select already applied).
+// Options: sort (string), page, limit, cursor, mode ('page' or 'cursor'),
+// totalKey (name of the total in page mode). Resolves to { items, pagination }.
+const paginate = async (baseQuery, options = {}) => {
+  const {
+    sort = '-createdAt',
+    limit = 10,
+    cursor,
+    totalKey = 'total'
+  } = options;
+  const page = parseInt(options.page, 10) || 1;
+  const pageSize = parseInt(limit, 10);
+  const sortSpec = parseSort(sort);
+  const key = getCursorField(sort);
+
+  // Multi-field sorts can only be paged
+  const mode = (cursor || options.mode === 'cursor') && key ? 'cursor' : 'page';
+  const keySort = { ...sortSpec, _id: key ? key[1] : 1 };
+
+  if (mode === 'page') {
+    const skip = (page - 1) * pageSize;
+
+    const [items, total] = await Promise.all([
+      baseQuery.clone().sort(keySort).skip(skip).limit(pageSize),
+      baseQuery.model.countDocuments(baseQuery.getFilter())
+    ]);
+
+    const hasNextPage = skip + items.length < total;
+    const hasPrevPage = page > 1;
+
+    return {
+      items,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / pageSize),
+        [totalKey]: total,
+        hasNextPage,
+        hasPrevPage,
+        nextCursor: key && hasNextPage && items.length ? encodeCursor(items[items.length - 1], key[0], 'next') : null,
+        prevCursor: key && hasPrevPage && items.length ? encodeCursor(items[0], key[0], 'prev') : null
+      }
+    };
+  }
+
+  const [field, order] = key;
+  const decoded = cursor ? decodeCursor(cursor) : null;
+  const backwards = Boolean(decoded && decoded.direction === 'prev');
+
+  // Walking backwards reverses the sort, then the page is flipped back
+  const walkOrder = backwards ? -order : order;
+  const walkSort = field === '_id' ? { _id: walkOrder } : { [field]: walkOrder, _id: walkOrder };
+
+  let itemsQuery = baseQuery.clone().sort(walkSort).limit(pageSize + 1);
+
+  if (decoded) {
+    itemsQuery = itemsQuery.and([afterKey(field, decoded.value, decoded.id, walkOrder)]);
+  }
+
+  const fetched = await itemsQuery;
+  const hasMore = fetched.length > pageSize;
+  const items = fetched.slice(0, pageSize);
+
+  if (backwards) {
+    items.reverse();
+  }
+
+  const hasNextPage = backwards ? true : hasMore;
+  const hasPrevPage = backwards ? hasMore : Boolean(decoded);
+
+  return {
+    items,
+    pagination: {
+      limit: pageSize,
+      hasNextPage,
+      hasPrevPage,
+      nextCursor: hasNextPage && items.length ? encodeCursor(items[items.length - 1], field, 'next') : null,
+      prevCursor: hasPrevPage && items.length ? encodeCursor(items[0], field, 'prev') : null
+    }
+  };
+};
+
+module.exports = {
+  parseSort,
+  getCursorField,
+  encodeCursor,
+  decodeCursor,
+  validateCursor,
+  paginate
+};
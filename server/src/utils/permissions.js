@@ -0,0 +1,165 @@
+// server/src/utils/permissions.js - Role based permissions with ownership rules
+//
+// Permissions are "<resource>:<action>". A role grants either the plain
+// permission (applies to any resource) or the ":own" variant (applies only
+// to resources the user owns, see ownershipRules below).
+
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const Series = require('../models/Series');
+const User = require('../models/User');
+const { requiresAdminTwoFactor } = require('./auth');
+
+const ROLES = ['user', 'author', 'moderator', 'editor', 'admin'];
+
+const userPermissions = [
+  'post:create',
+  // Read drafts and private posts
+  'post:preview:own',
+  'post:update:own',
+  'post:delete:own',
+  'series:create',
+  'series:update:own',
+  'series:delete:own',
+  'comment:create',
+  'comment:update:own',
+  'comment:delete:own',
+  'user:read:own',
+  'user:update:own'
+];
+
+const rolePermissions = {
+  user: userPermissions,
+
+  // Writers: can also moderate the comments on their own posts
+  author: [
+    ...userPermissions,
+    'comment:moderate:own'
+  ],
+
+  moderator: [
+    ...userPermissions,
+    'comment:moderate',
+    'comment:delete'
+  ],
+
+  editor: [
+    ...userPermissions,
+    'post:preview',
+    'post:update',
+    'post:publish',
+    'post:review',
+    'series:update',
+    'series:delete',
+    'comment:moderate',
+    'comment:delete',
+    'category:manage'
+  ],
+
+  // Admins hold every permission
+  admin: ['*']
+};
+
+// How to tell whether a user owns a resource
+const ownershipRules = {
+  post: (user, post) => String(post.author && post.author._id ? post.author._id : post.author) === String(user._id),
+  user: (user, target) => String(target._id) === String(user._id),
+  series: (user, series) => String(series.owner && series.owner._id ? series.owner._id : series.owner) === String(user._id),
+  comment: (user, comment) => String(comment.author && comment.author._id ? comment.author._id : comment.author) === String(user._id)
+};
+
+// How `can` loads a resource from the request
+const resourceLoaders = {
+  post: {
+    load: req => Post.findById(req.params.id),
+    notFound: 'Post not found'
+  },
+  user: {
+    load: req => User.findById(req.params.id).select('-password'),
+    notFound: 'User not found'
+  },
+  series: {
+    load: req => Series.findById(req.params.id),
+    notFound: 'Series not found'
+  },
+  // Comments are nested under their post (/posts/:id/comments/:commentId)
+  comment: {
+    load: req => Comment.findOne({ _id: req.params.commentId, post: req.params.id, deletedAt: null }),
+    notFound: 'Comment not found'
+  }
+};
+
+// Get every permission granted to a role
+const getPermissions = (role) => rolePermissions[role] || [];
+
+// Check whether a user holds a permission, optionally for a specific resource
+const hasPermission = (user, permission, resource, resourceType = permission.split(':')[0]) => {
+  if (!user) {
+    return false;
+  }
+
+  const granted = getPermissions(user.role);
+
+  if (granted.includes('*') || granted.includes(permission)) {
+    return true;
+  }
+
+  if (resource && granted.includes(`${permission}:own`)) {
+    const isOwner = ownershipRules[resourceType];
+    return Boolean(isOwner && isOwner(user, resource));
+  }
+
+  return false;
+};
+
+// Middleware allowing the request when the user holds a permission.
+// With a resource type, the resource is loaded from req.params.id, exposed
+// as req.resource, and ":own" grants are checked against it.
+const can = (permission, resourceType) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+
+    try {
+      let resource;
+
+      if (resourceType) {
+        const loader = resourceLoaders[resourceType];
+        resource = await loader.load(req);
+
+        if (!resource) {
+          return res.status(404).json({ error: loader.notFound });
+        }
+
+        req.resource = resource;
+      }
+
+      if (!hasPermission(req.user, permission, resource, resourceType)) {
+        return res.status(403).json({
+          error: 'Access denied. Insufficient permissions.'
+        });
+      }
+
+      if (requiresAdminTwoFactor(req)) {
+        return res.status(403).json({
+          error: 'Two-factor authentication is required for admin access.'
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  ROLES,
+  rolePermissions,
+  ownershipRules,
+  resourceLoaders,
+  getPermissions,
+  hasPermission,
+  can
+};
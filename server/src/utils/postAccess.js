@@ -0,0 +1,123 @@
+// server/src/utils/postAccess.js - Who may read which posts
+//
+// A post is readable by everyone its visibility allows once it is live
+// (published, with a publish time that has passed):
+//
+//   public        anyone, and it appears in listings
+//   unlisted      anyone with the link; never listed
+//   members_only  signed in users, and listed for them
+//   private       nobody beyond the author and editors
+//
+// Posts that are not live (drafts, posts in review, scheduled and archived
+// posts) and private posts are only readable with 'post:preview': authors
+// hold it for their own posts, editors and admins for every post.
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const { hasPermission } = require('./permissions');
+
+// Fields needed to decide whether a post is readable
+const ACCESS_FIELDS = ['author', 'status', 'publishedAt', 'visibility'];
+
+// Visibilities of live posts a viewer may read
+const readableVisibilities = user => (user ? ['public', 'unlisted', 'members_only'] : ['public', 'unlisted']);
+
+// Visibilities shown in listings unless a visibility filter is given
+const listedVisibilities = user => (user ? ['public', 'members_only'] : ['public']);
+
+const isLive = (post, now) => post.status === 'published' && Boolean(post.publishedAt) && post.publishedAt <= now;
+
+// Whether a viewer may read a post (which must have ACCESS_FIELDS loaded)
+const canRead = (user, post, now = new Date()) => {
+  if (isLive(post, now) && readableVisibilities(user).includes(post.visibility || 'public')) {
+    return true;
+  }
+
+  return hasPermission(user, 'post:preview', post);
+};
+
+// Check read access to a post. Returns { status, error } when the viewer may
+// not read it. Hidden posts answer 404 so their existence does not leak;
+// live members-only posts ask anonymous viewers to sign in.
+const checkReadAccess = (user, post, now = new Date()) => {
+  if (canRead(user, post, now)) {
+    return null;
+  }
+
+  if (!user && post.visibility === 'members_only' && isLive(post, now)) {
+    return { status: 401, error: 'Sign in to read this post' };
+  }
+
+  return { status: 404, error: 'Post not found' };
+};
+
+// Mongo condition matching the posts a viewer may read
+const readableFilter = (user, now = new Date()) => {
+  if (hasPermission(user, 'post:preview')) {
+    return {};
+  }
+
+  const live = { ...Post.publishedFilter(now), visibility: { $in: readableVisibilities(user) } };
+
+  return hasPermission(user, 'post:preview:own')
+    ? { $or: [live, { author: user._id }] }
+    : live;
+};
+
+// Mongo query for a post listing from parsed list filters (see
+// Post.LIST_QUERY): published posts unless a status is asked for, listed
+// visibilities unless a visibility is asked for, and only posts the viewer
+// may read
+const listingQuery = (filter, user, now = new Date()) => {
+  const { status = 'published', visibility, ...rest } = filter;
+  const conditions = [readableFilter(user, now)];
+
+  // Published posts with a future publish time are not live yet. The check
+  // goes in $and so a publishedAt range filter still applies.
+  if (status === 'published') {
+    conditions.push(Post.publishedFilter(now));
+  } else {
+    rest.status = status;
+  }
+
+  const query = { ...rest, visibility: visibility || { $in: listedVisibilities(user) } };
+  const restrictions = conditions.filter(condition => Object.keys(condition).length);
+
+  if (restrictions.length) {
+    query.$and = restrictions;
+  }
+
+  return query;
+};
+
+// Middleware answering 404 (or 401) unless the viewer may read the post in
+// req.params.id. Malformed IDs are passed on for the route's validation.
+const requireReadable = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return next();
+  }
+
+  try {
+    const post = await Post.findById(req.params.id).select(ACCESS_FIELDS);
+    const rejection = post ? checkReadAccess(req.user, post) : { status: 404, error: 'Post not found' };
+
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  ACCESS_FIELDS,
+  readableVisibilities,
+  listedVisibilities,
+  canRead,
+  checkReadAccess,
+  readableFilter,
+  listingQuery,
+  requireReadable
+};
@@ -0,0 +1,90 @@
+// server/src/utils/ranking.js - Trending and popular post scores
+//
+// Scores come from the daily activity buckets (PostViewDaily) of a period:
+//
+//   popular   weighted views, likes and comments in the period
+//   trending  the same, with each day's activity halved every `halfLife`,
+//             so recent activity counts most
+//
+// Rankings are computed in the background and stored (see PostRanking), so
+// reading them is a single indexed query.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const RANKING_KINDS = ['trending', 'popular'];
+
+// How far back each period looks, and how fast trending activity fades in it
+const PERIODS = {
+  day: { days: 1, halfLife: DAY / 2 },
+  week: { days: 7, halfLife: 2 * DAY },
+  month: { days: 30, halfLife: 7 * DAY }
+};
+
+const DEFAULT_WEIGHTS = {
+  views: 1,
+  likes: 5,
+  comments: 10
+};
+
+// Read weights from variables such as RANKING_WEIGHT_LIKES, keeping the
+// defaults for missing or invalid values (0 switches a signal off)
+const parseWeights = (env = process.env, defaults = DEFAULT_WEIGHTS) => Object.fromEntries(
+  Object.entries(defaults).map(([name, fallback]) => {
+    const raw = env[`RANKING_WEIGHT_${name.toUpperCase()}`];
+    const value = raw === undefined || raw.trim() === '' ? NaN : Number(raw);
+
+    return [name, Number.isFinite(value) && value >= 0 ? value : fallback];
+  })
+);
+
+// Start of the first daily bucket in a period ending at `now`
+const periodStart = (period, now = new Date()) => {
+  const start = now.getTime() - PERIODS[period].days * DAY;
+  return new Date(Math.floor(start / DAY) * DAY);
+};
+
+// Aggregation pipeline over PostViewDaily scoring each post for a ranking.
+// Resolves to [{ _id: post, score, views, likes, comments }], best first.
+const rankingPipeline = ({ kind, period, weights, now = new Date(), limit }) => {
+  // Taken-back likes and comments lower a day's count but never below zero
+  const positive = field => ({ $max: [`$${field}`, 0] });
+
+  const engagement = {
+    $add: Object.entries(weights).map(([field, weight]) => ({ $multiply: [positive(field), weight] }))
+  };
+
+  // Age of the middle of a bucket's day, so today's bucket is not in the future
+  const decay = {
+    $pow: [0.5, {
+      $divide: [
+        { $max: [{ $subtract: [now, { $add: ['$day', DAY / 2] }] }, 0] },
+        PERIODS[period].halfLife
+      ]
+    }]
+  };
+
+  return [
+    { $match: { day: { $gte: periodStart(period, now), $lte: now } } },
+    {
+      $group: {
+        _id: '$post',
+        score: { $sum: kind === 'trending' ? { $multiply: [engagement, decay] } : engagement },
+        views: { $sum: positive('views') },
+        likes: { $sum: positive('likes') },
+        comments: { $sum: positive('comments') }
+      }
+    },
+    { $match: { score: { $gt: 0 } } },
+    { $sort: { score: -1, _id: -1 } },
+    { $limit: limit }
+  ];
+};
+
+module.exports = {
+  RANKING_KINDS,
+  PERIODS,
+  DEFAULT_WEIGHTS,
+  parseWeights,
+  periodStart,
+  rankingPipeline
+};
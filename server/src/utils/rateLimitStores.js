@@ -0,0 +1,160 @@
+// server/src/utils/rateLimitStores.js - Storage backends for the rate limiter
+//
+// A store implements:
+//   increment(key, ttlMs)        -> Promise<number>  atomically add 1 to a counter
+//   get(key)                     -> Promise<any>     current value or null
+//   update(key, updater, ttlMs)  -> Promise<any>     atomic read-modify-write
+//   reset(key)                   -> Promise<void>
+
+const RateLimit = require('../models/RateLimit');
+
+// In-memory store with least-recently-used eviction (single instance only)
+const createMemoryStore = ({ maxKeys = 10000 } = {}) => {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  };
+
+  const write = (key, value, ttlMs) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    // Map iterates in insertion order, so the first key is the least recently used
+    while (entries.size > maxKeys) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    return value;
+  };
+
+  return {
+    name: 'memory',
+
+    increment: async (key, ttlMs) => {
+      const entry = read(key);
+
+      if (!entry) {
+        return write(key, 1, ttlMs);
+      }
+
+      entry.value += 1;
+      return entry.value;
+    },
+
+    get: async (key) => {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+
+    update: async (key, updater, ttlMs) => {
+      const entry = read(key);
+      return write(key, updater(entry ? entry.value : null), ttlMs);
+    },
+
+    reset: async (key) => {
+      entries.delete(key);
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+// MongoDB-backed store shared by every server instance
+const createMongoStore = ({ model = RateLimit, maxRetries = 5 } = {}) => {
+  const isDuplicateKey = error => error && error.code === 11000;
+
+  const increment = async (key, ttlMs, attempt = 0) => {
+    try {
+      const doc = await model.findOneAndUpdate(
+        { _id: key },
+        {
+          $inc: { value: 1 },
+          $setOnInsert: { expiresAt: new Date(Date.now() + ttlMs) }
+        },
+        { upsert: true, new: true }
+      );
+
+      return doc.value;
+    } catch (error) {
+      // Two instances upserting the same key at once; the loser retries
+      if (isDuplicateKey(error) && attempt < maxRetries) {
+        return increment(key, ttlMs, attempt + 1);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'mongo',
+
+    increment,
+
+    get: async (key) => {
+      const doc = await model.findById(key).lean();
+
+      if (!doc || doc.expiresAt <= new Date()) {
+        return null;
+      }
+
+      return doc.value;
+    },
+
+    // Optimistic concurrency: retry while another instance wins the race
+    update: async (key, updater, ttlMs) => {
+      let next;
+
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        const doc = await model.findById(key).lean();
+        const current = doc && doc.expiresAt > new Date() ? doc.value : null;
+        next = updater(current);
+        const expiresAt = new Date(Date.now() + ttlMs);
+
+        if (!doc) {
+          try {
+            await model.create({ _id: key, value: next, version: 0, expiresAt });
+            return next;
+          } catch (error) {
+            if (!isDuplicateKey(error)) throw error;
+            continue;
+          }
+        }
+
+        const result = await model.updateOne(
+          { _id: key, version: doc.version },
+          { $set: { value: next, expiresAt }, $inc: { version: 1 } }
+        );
+
+        if (result.matchedCount === 1) {
+          return next;
+        }
+      }
+
+      // Heavy contention: fall back to the last computed value
+      return next;
+    },
+
+    reset: async (key) => {
+      await model.deleteOne({ _id: key });
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore
+};
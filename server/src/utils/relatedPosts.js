@@ -0,0 +1,156 @@
+// server/src/utils/relatedPosts.js - Related post recommendations
+//
+// Candidates are scored against a post on shared tags, the same category,
+// the same author and how similar their titles and excerpts read (TF-IDF
+// cosine similarity over the candidate set). Results are cached per post;
+// the cache is keyed on a generation number that is bumped whenever posts
+// change, so stale entries are never read and age out of the store.
+
+// Words too common to say anything about a post
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for',
+  'from', 'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'not',
+  'of', 'on', 'or', 'our', 'so', 'than', 'that', 'the', 'their', 'this', 'to',
+  'use', 'using', 'was', 'we', 'what', 'when', 'why', 'will', 'with', 'you', 'your'
+]);
+
+const DEFAULT_WEIGHTS = {
+  // Per shared tag
+  tag: 3,
+  category: 2,
+  author: 1,
+  // Multiplied by the text similarity (0 to 1)
+  text: 4
+};
+
+// Split text into lowercase words, without stop words and very short words
+const tokenize = text => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+
+// Words of a post for text similarity. The title counts twice.
+const postTerms = post => [...tokenize(post.title), ...tokenize(post.title), ...tokenize(post.excerpt)];
+
+// TF-IDF vectors (Map of term to weight) for lists of terms, with inverse
+// document frequencies taken from the lists themselves
+const tfidfVectors = (documents) => {
+  const documentFrequency = new Map();
+
+  documents.forEach((terms) => {
+    new Set(terms).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  return documents.map((terms) => {
+    const counts = new Map();
+    terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+    return new Map([...counts].map(([term, count]) => [
+      term,
+      (count / terms.length) * Math.log(1 + documents.length / documentFrequency.get(term))
+    ]));
+  });
+};
+
+// Cosine similarity of two TF-IDF vectors
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  a.forEach((weight, term) => {
+    if (b.has(term)) dot += weight * b.get(term);
+  });
+
+  const norm = vector => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+  const denominator = norm(a) * norm(b);
+
+  return denominator ? dot / denominator : 0;
+};
+
+const idOf = value => String(value && value._id ? value._id : value);
+
+// Score candidates against a post. Returns the candidates with a positive
+// score as { post, score, reasons }, best first.
+const scoreRelated = (post, candidates, weights = DEFAULT_WEIGHTS) => {
+  const others = candidates.filter(candidate => idOf(candidate) !== idOf(post));
+  const [target, ...vectors] = tfidfVectors([post, ...others].map(postTerms));
+  const tags = new Set(post.tags || []);
+
+  return others
+    .map((candidate, index) => {
+      const sharedTags = (candidate.tags || []).filter(tag => tags.has(tag)).length;
+      const similarity = cosineSimilarity(target, vectors[index]);
+      const reasons = [];
+      let score = 0;
+
+      if (sharedTags) {
+        score += sharedTags * weights.tag;
+        reasons.push('tags');
+      }
+
+      if (post.category && idOf(candidate.category) === idOf(post.category)) {
+        score += weights.category;
+        reasons.push('category');
+      }
+
+      if (post.author && idOf(candidate.author) === idOf(post.author)) {
+        score += weights.author;
+        reasons.push('author');
+      }
+
+      if (similarity > 0) {
+        score += similarity * weights.text;
+        reasons.push('text');
+      }
+
+      return { post: candidate, score: Math.round(score * 1000) / 1000, reasons };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || new Date(b.post.publishedAt) - new Date(a.post.publishedAt));
+};
+
+// Create a recommender. `findCandidates(post, terms)` resolves to posts that
+// may be related; `present(results)` shapes the scored results for the
+// response. Results are cached in `store` (see rateLimitStores) for `ttlMs`.
+// Returns { related(post, limit), invalidate() }.
+//
+// The generation lives in this process, so invalidate() only reaches the
+// recommender it was called on. With several server instances each forgets
+// results only on changes it saw, and the others serve theirs until `ttlMs`
+// runs out; a store shared between instances needs a `ttlMs` short enough
+// for that, as their generation numbers do not agree.
+const createRelatedPosts = ({
+  findCandidates,
+  present = results => results,
+  store,
+  ttlMs,
+  maxResults = 20,
+  weights = DEFAULT_WEIGHTS
+}) => {
+  let generation = 0;
+
+  const related = async (post, limit = maxResults) => {
+    const key = `related:${generation}:${idOf(post)}`;
+    let results = await store.get(key);
+
+    if (!results) {
+      const candidates = await findCandidates(post, [...new Set(postTerms(post))]);
+      results = await present(scoreRelated(post, candidates, weights).slice(0, maxResults));
+      await store.update(key, () => results, ttlMs);
+    }
+
+    return results.slice(0, limit);
+  };
+
+  // Forget every cached result; entries of older generations are never read again
+  const invalidate = () => {
+    generation++;
+  };
+
+  return { related, invalidate };
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  tokenize,
+  tfidfVectors,
+  cosineSimilarity,
+  scoreRelated,
+  createRelatedPosts
+};
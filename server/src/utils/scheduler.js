@@ -0,0 +1,101 @@
+// server/src/utils/scheduler.js - In-process background job scheduler
+//
+// Each job runs on an interval. Before running, an instance takes a
+// database lock for the job that lasts one interval, so when several
+// server instances are running a job runs once per interval across all
+// of them. A job that missed runs (e.g. during a restart) simply catches
+// up on its next run.
+
+const crypto = require('crypto');
+const os = require('os');
+const Lock = require('../models/Lock');
+const logger = require('./logger');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const jobs = new Map();
+
+// Register a job. The task may return a promise.
+const register = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+
+  jobs.set(name, { name, intervalMs, task, timer: null, running: false });
+};
+
+// Run a job once if this instance can take its lock
+const runJob = async (name) => {
+  const job = jobs.get(name);
+
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  // Skip if the previous run on this instance is still going
+  if (job.running) {
+    return { ran: false };
+  }
+
+  job.running = true;
+  const start = Date.now();
+
+  try {
+    // Expire slightly before the next tick so this instance can take it again
+    const lockTtl = Math.max(job.intervalMs - 1000, 1000);
+    const acquired = await Lock.acquire(`job:${job.name}`, INSTANCE_ID, lockTtl);
+
+    if (!acquired) {
+      logger.debug(`Job ${job.name} skipped: lock held by another instance`);
+      return { ran: false };
+    }
+
+    const result = await job.task();
+    logger.performance(`Job ${job.name}`, Date.now() - start, { result });
+
+    return { ran: true, result };
+  } catch (error) {
+    logger.error(`Job failed: ${job.name}`, error);
+    return { ran: false, error };
+  } finally {
+    job.running = false;
+  }
+};
+
+// Start every registered job (runs each once immediately to catch up)
+const start = () => {
+  jobs.forEach((job) => {
+    if (job.timer) return;
+
+    runJob(job.name);
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+
+    // Don't keep the process alive just for background jobs
+    job.timer.unref();
+  });
+
+  logger.info(`Scheduler started with ${jobs.size} job(s) on ${INSTANCE_ID}`);
+};
+
+// Stop all jobs and hand their locks to other instances
+const stop = async () => {
+  const releases = [];
+
+  jobs.forEach((job) => {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+      releases.push(Lock.release(`job:${job.name}`, INSTANCE_ID));
+    }
+  });
+
+  await Promise.allSettled(releases);
+};
+
+module.exports = {
+  INSTANCE_ID,
+  register,
+  runJob,
+  start,
+  stop
+};
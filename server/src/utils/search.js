@@ -0,0 +1,288 @@
+// server/src/utils/search.js - Full-text search helpers
+//
+// Queries support plain terms, "exact phrases", prefix* terms and -excluded
+// terms. Terms and phrases go through the collection's MongoDB text index
+// (which ranks by field weight); prefixes, which text indexes cannot match,
+// are matched with escaped regular expressions and add their own weighted
+// score on top.
+
+const MAX_TERMS = 10;
+const MIN_PREFIX_LENGTH = 2;
+
+const TOKEN_PATTERN = /(-?)"([^"]*)"|(\S+)/g;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Keep letters, digits and inner hyphens/apostrophes of a search word
+const cleanWord = word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+// Split a search string into its parts
+const parseSearchQuery = (input) => {
+  const parsed = { terms: [], phrases: [], prefixes: [], excluded: [] };
+  const text = String(input || '').slice(0, 500);
+  let match;
+  let count = 0;
+
+  while ((match = TOKEN_PATTERN.exec(text)) !== null && count < MAX_TERMS) {
+    const [, phraseNegation, phrase, token] = match;
+
+    if (phrase !== undefined) {
+      const words = phrase.split(/\s+/).map(cleanWord).filter(Boolean);
+      if (words.length) {
+        (phraseNegation ? parsed.excluded : parsed.phrases).push(words.join(' '));
+        count++;
+      }
+      continue;
+    }
+
+    if (token.startsWith('-')) {
+      const word = cleanWord(token.slice(1));
+      if (word) {
+        parsed.excluded.push(word);
+        count++;
+      }
+      continue;
+    }
+
+    const word = cleanWord(token);
+
+    if (!word) {
+      continue;
+    }
+
+    if (token.endsWith('*') && word.length >= MIN_PREFIX_LENGTH) {
+      parsed.prefixes.push(word);
+    } else {
+      parsed.terms.push(word);
+    }
+    count++;
+  }
+
+  return parsed;
+};
+
+// Whether a parsed query has anything that can match
+const hasSearchTerms = parsed => Boolean(
+  parsed.terms.length || parsed.phrases.length || parsed.prefixes.length
+);
+
+// The $search string for a $text query (null when only prefixes were given)
+const buildTextSearch = (parsed) => {
+  if (!parsed.terms.length && !parsed.phrases.length) {
+    return null;
+  }
+
+  return [
+    ...parsed.terms,
+    ...parsed.phrases.map(phrase => `"${phrase}"`),
+    ...parsed.excluded.map(word => (word.includes(' ') ? `-"${word}"` : `-${word}`))
+  ].join(' ');
+};
+
+// Regex source matching a word (or phrase) from its start. Used both by
+// MongoDB (PCRE, where \p{..} always works) and in JavaScript with the u flag.
+const wordPattern = (word, { prefix = false } = {}) => {
+  const body = word.split(' ').map(escapeRegExp).join('\\s+');
+  return prefix ? `(^|[^\\p{L}\\p{N}])${body}` : `(^|[^\\p{L}\\p{N}])${body}($|[^\\p{L}\\p{N}])`;
+};
+
+// Match expression for one field against a pattern (arrays match any element)
+const fieldMatches = (field, pattern) => {
+  const regexMatch = input => ({ $regexMatch: { input, regex: pattern, options: 'i' } });
+
+  if (field.array) {
+    return {
+      $anyElementTrue: [{
+        $map: { input: { $ifNull: [`$${field.path}`, []] }, as: 'value', in: regexMatch('$$value') }
+      }]
+    };
+  }
+
+  return regexMatch({ $ifNull: [`$${field.path}`, ''] });
+};
+
+// Build an aggregation pipeline searching a collection.
+// `fields` lists the searchable paths with weights, e.g.
+// [{ path: 'title', weight: 10 }, { path: 'tags', weight: 5, array: true }].
+// Results carry a `score` field and are sorted by it.
+// Pass `relevance: false` to order by `sort` first and relevance second.
+const buildSearchPipeline = (parsed, { fields, filter = {}, sort = {}, relevance = true }) => {
+  const textSearch = buildTextSearch(parsed);
+  const match = { ...filter };
+  const conditions = [];
+
+  if (textSearch) {
+    match.$text = { $search: textSearch };
+  } else {
+    // Without a text query, exclusions are applied by pattern as well
+    parsed.excluded.forEach((word) => {
+      const pattern = new RegExp(wordPattern(word), 'i');
+      conditions.push({ $nor: fields.map(field => ({ [field.path]: pattern })) });
+    });
+  }
+
+  // Every prefix must match at least one field
+  parsed.prefixes.forEach((prefix) => {
+    const pattern = new RegExp(wordPattern(prefix, { prefix: true }), 'i');
+    conditions.push({ $or: fields.map(field => ({ [field.path]: pattern })) });
+  });
+
+  if (conditions.length) {
+    match.$and = [...(match.$and || []), ...conditions];
+  }
+
+  const prefixScores = parsed.prefixes.flatMap(prefix => fields.map(field => ({
+    $cond: [fieldMatches(field, wordPattern(prefix, { prefix: true })), field.weight, 0]
+  })));
+
+  const scoreParts = [
+    ...(textSearch ? [{ $meta: 'textScore' }] : []),
+    ...prefixScores
+  ];
+
+  return [
+    { $match: match },
+    { $addFields: { score: scoreParts.length ? { $add: scoreParts } : 0 } },
+    { $sort: relevance ? { score: -1, ...sort, _id: 1 } : { ...sort, score: -1, _id: 1 } }
+  ];
+};
+
+// Run a search on a model. Resolves to `{ results, total }` where results are
+// plain objects carrying a `score`.
+const searchModel = async (Model, parsed, { fields, filter, sort, relevance, skip = 0, limit = 10, project }) => {
+  // Aggregation skips Mongoose casting, so cast the filter (e.g. ID strings) first
+  const castFilter = Model.find().cast(Model, filter || {});
+  const pipeline = buildSearchPipeline(parsed, { fields, filter: castFilter, sort, relevance });
+
+  const [{ results, total }] = await Model.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        results: [
+          { $skip: skip },
+          { $limit: limit },
+          ...(project ? [{ $project: { ...project, score: 1 } }] : [])
+        ],
+        total: [{ $count: 'count' }]
+      }
+    },
+    { $project: { results: 1, total: { $ifNull: [{ $arrayElemAt: ['$total.count', 0] }, 0] } } }
+  ]);
+
+  return { results, total };
+};
+
+// Combined regex finding every searched word/phrase in a text
+const buildHighlightPattern = (parsed) => {
+  const parts = [
+    ...parsed.phrases.map(phrase => wordPattern(phrase, { prefix: true })),
+    ...[...parsed.terms, ...parsed.prefixes].map(word => wordPattern(word, { prefix: true }))
+  ];
+
+  if (!parts.length) {
+    return null;
+  }
+
+  // Longest first so phrases win over their own words
+  parts.sort((a, b) => b.length - a.length);
+
+  return new RegExp(`${parts.map(part => `(?:${part})[\\p{L}\\p{N}]*`).join('|')}`, 'giu');
+};
+
+// HTML-escape text and wrap search matches in <mark>
+const highlight = (text, pattern) => {
+  if (!pattern) {
+    return escapeHtml(text);
+  }
+
+  let output = '';
+  let lastIndex = 0;
+
+  String(text).replace(pattern, (matched, ...args) => {
+    const offset = args[args.length - 2];
+    // The pattern may include the character before the word
+    const leading = matched.match(/^[^\p{L}\p{N}]*/u)[0];
+    const start = offset + leading.length;
+
+    output += escapeHtml(text.slice(lastIndex, start));
+    output += `<mark>${escapeHtml(matched.slice(leading.length))}</mark>`;
+    lastIndex = offset + matched.length;
+    return matched;
+  });
+
+  return output + escapeHtml(text.slice(lastIndex));
+};
+
+// Cut a highlighted snippet of about `length` characters around the first match
+const buildSnippet = (text, pattern, length = 160) => {
+  const plain = String(text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+  if (plain.length <= length) {
+    return highlight(plain, pattern);
+  }
+
+  let start = 0;
+
+  if (pattern) {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(plain);
+    pattern.lastIndex = 0;
+
+    if (match) {
+      start = Math.max(0, match.index - Math.floor(length / 3));
+    }
+  }
+
+  // Start and end on word boundaries
+  if (start > 0) {
+    const space = plain.indexOf(' ', start);
+    start = space === -1 ? start : space + 1;
+  }
+
+  let end = Math.min(plain.length, start + length);
+  if (end < plain.length) {
+    const space = plain.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  return `${start > 0 ? '…' : ''}${highlight(plain.slice(start, end), pattern)}${end < plain.length ? '…' : ''}`;
+};
+
+// Highlights for several fields of a result. `fields` maps a path to a
+// snippet length, or to 0 to highlight the whole value. Empty fields are left out.
+const buildHighlights = (doc, pattern, fields) => {
+  const highlights = {};
+
+  Object.entries(fields).forEach(([path, length]) => {
+    const value = path.split('.').reduce((current, key) => (current == null ? current : current[key]), doc);
+
+    if (value == null || value === '') {
+      return;
+    }
+
+    const text = Array.isArray(value) ? value.join(', ') : String(value);
+    highlights[path] = length ? buildSnippet(text, pattern, length) : highlight(text, pattern);
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  parseSearchQuery,
+  hasSearchTerms,
+  buildTextSearch,
+  buildSearchPipeline,
+  searchModel,
+  buildHighlightPattern,
+  highlight,
+  buildSnippet,
+  buildHighlights,
+  escapeRegExp
+};
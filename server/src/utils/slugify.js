@@ -0,0 +1,70 @@
+// server/src/utils/slugify.js - URL slugs with transliteration
+//
+// Accented Latin letters lose their accents (café -> cafe), letters without
+// a decomposition and the Cyrillic and Greek alphabets are transliterated,
+// and letters of other scripts are kept as they are, so titles in any
+// language still give a readable slug.
+
+const MAX_SLUG_LENGTH = 80;
+
+// Letters that Unicode normalisation does not reduce to ASCII
+const LATIN = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l',
+  ħ: 'h', ı: 'i', ŀ: 'l', ŧ: 't', ĸ: 'k', ŋ: 'ng'
+};
+
+const CYRILLIC = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z',
+  и: 'i', й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r',
+  с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh',
+  щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  // Ukrainian, Belarusian, Serbian and Macedonian letters
+  є: 'ye', і: 'i', ї: 'yi', ґ: 'g', ў: 'u', ђ: 'dj', ј: 'j', љ: 'lj',
+  њ: 'nj', ћ: 'c', џ: 'dz', ѓ: 'gj', ќ: 'kj', ѕ: 'dz'
+};
+
+const GREEK = {
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i',
+  κ: 'k', λ: 'l', μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's',
+  ς: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o'
+};
+
+const TRANSLITERATIONS = { ...LATIN, ...CYRILLIC, ...GREEK };
+
+// Replace letters with their ASCII spelling where there is one
+const transliterate = text => text
+  .toLowerCase()
+  // Split accented letters into letter + accent, then drop the accents of
+  // Latin and Greek letters (other scripts need theirs, e.g. Cyrillic й)
+  .normalize('NFKD')
+  .replace(/([\x00-\x7f\u0370-\u03ff])\p{M}+/gu, '$1')
+  .normalize('NFC')
+  .replace(/[^\x00-\x7f]/g, char => (
+    Object.prototype.hasOwnProperty.call(TRANSLITERATIONS, char) ? TRANSLITERATIONS[char] : char
+  ));
+
+// Turn text into a slug of lowercase letters (with their combining marks),
+// digits and hyphens.
+// Returns an empty string when the text has no letters or digits.
+const slugify = (text, { maxLength = MAX_SLUG_LENGTH } = {}) => {
+  const slug = transliterate(String(text || ''))
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length <= maxLength) {
+    return slug;
+  }
+
+  // Cut at a word boundary when there is one
+  const cut = slug.slice(0, maxLength + 1);
+  const boundary = cut.lastIndexOf('-');
+
+  return (boundary > 0 ? cut.slice(0, boundary) : slug.slice(0, maxLength)).replace(/-+$/, '');
+};
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  transliterate,
+  slugify
+};
@@ -0,0 +1,108 @@
+// server/src/utils/spamFilter.js - Rule based comment spam scoring
+//
+// A scorer runs a list of rules over a comment. Each rule adds to the score
+// and says why; the total decides whether the comment is approved, held for
+// review (pending) or filed as spam.
+
+const { escapeRegExp } = require('./search');
+
+const HOUR = 60 * 60 * 1000;
+
+const LINK_PATTERN = /\bhttps?:\/\/\S+|\bwww\.\S+/gi;
+
+// Count the links in a piece of text
+const countLinks = text => (String(text).match(LINK_PATTERN) || []).length;
+
+// Built-in rule factories. A rule is `async ({ content, author, post }) =>
+// ({ score, reason })`; a score of 0 means the rule did not fire.
+const rules = {
+  // More links than allowed, weighted per extra link
+  links: ({ max = 2, weight = 2 } = {}) => ({ content }) => {
+    const extra = countLinks(content) - max;
+    return extra > 0
+      ? { score: extra * weight, reason: `${extra + max} links` }
+      : { score: 0 };
+  },
+
+  // Each banned word or phrase found (whole words, any case)
+  bannedWords: ({ words = [], weight = 3 } = {}) => {
+    const patterns = words
+      .filter(Boolean)
+      .map(word => ({ word, pattern: new RegExp(`\\b${escapeRegExp(word)}\\b`, 'i') }));
+
+    return ({ content }) => {
+      const found = patterns.filter(({ pattern }) => pattern.test(content)).map(({ word }) => word);
+      return found.length
+        ? { score: found.length * weight, reason: `banned words: ${found.join(', ')}` }
+        : { score: 0 };
+    };
+  },
+
+  // Accounts younger than `hours`; weighted up when they also post links
+  newAccount: ({ hours = 24, weight = 1, linkWeight = 2 } = {}) => ({ content, author }) => {
+    const createdAt = author && author.createdAt ? new Date(author.createdAt).getTime() : 0;
+
+    if (!createdAt || Date.now() - createdAt >= hours * HOUR) {
+      return { score: 0 };
+    }
+
+    return {
+      score: weight + (countLinks(content) > 0 ? linkWeight : 0),
+      reason: 'new account'
+    };
+  },
+
+  // The same text posted recently. `find` resolves to
+  // `{ byAuthor, total }` counts of matching comments since a date.
+  duplicates: ({ windowHours = 24, weight = 4, crowdThreshold = 3, find } = {}) => async (comment) => {
+    if (!find) {
+      return { score: 0 };
+    }
+
+    const since = new Date(Date.now() - windowHours * HOUR);
+    const { byAuthor = 0, total = 0 } = await find(comment, since);
+
+    if (byAuthor > 0) {
+      return { score: weight, reason: 'duplicate of own recent comment' };
+    }
+
+    if (total >= crowdThreshold) {
+      return { score: weight, reason: 'duplicate of recent comments' };
+    }
+
+    return { score: 0 };
+  }
+};
+
+// Create a scorer resolving to `{ score, reasons, verdict }`, where verdict
+// is 'approved', 'pending' or 'spam'
+const createSpamScorer = ({ rules: scorerRules = [], reviewThreshold = 3, spamThreshold = 6 } = {}) => {
+  return async (comment) => {
+    const results = await Promise.all(scorerRules.map(rule => rule(comment)));
+
+    let score = 0;
+    const reasons = [];
+
+    results.forEach((result) => {
+      if (result && result.score > 0) {
+        score += result.score;
+        reasons.push(result.reason);
+      }
+    });
+
+    let verdict = 'approved';
+    if (score >= spamThreshold) {
+      verdict = 'spam';
+    } else if (score >= reviewThreshold) {
+      verdict = 'pending';
+    }
+
+    return { score, reasons, verdict };
+  };
+};
+
+module.exports = {
+  rules,
+  countLinks,
+  createSpamScorer
+};
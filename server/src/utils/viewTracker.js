@@ -0,0 +1,62 @@
+// server/src/utils/viewTracker.js - Post view counting
+//
+// A view counts when the post is live, the request does not come from a
+// known bot and the viewer is not the post's author. Each visitor (a signed
+// in user, or an IP address and user agent) counts once per window.
+
+const crypto = require('crypto');
+
+// User agents of crawlers, link previews, monitors and scripts
+const BOT_PATTERN = new RegExp([
+  'bot', 'crawl', 'spider', 'slurp', 'mediapartners', 'facebookexternalhit',
+  'embedly', 'preview', 'headless', 'lighthouse', 'pingdom', 'uptime',
+  'monitor', 'curl', 'wget', 'python-requests', 'go-http-client', 'java/'
+].join('|'), 'i');
+
+// Whether a user agent belongs to a bot. Requests without one are not
+// browsers either.
+const isBot = (userAgent, pattern = BOT_PATTERN) => !userAgent || pattern.test(userAgent);
+
+// Hashed key identifying a visitor
+const visitorKey = ({ user, ip, userAgent }) => {
+  const source = user ? `user:${user._id}` : `anon:${ip}|${userAgent}`;
+  return crypto.createHash('sha256').update(source).digest('hex');
+};
+
+const authorId = post => String(post.author && post.author._id ? post.author._id : post.author);
+
+// Create a tracker. `claimView(postId, visitor, windowMs, now)` resolves to
+// whether the visitor's view is new; `countView(post, now)` records it.
+// The tracker resolves to { counted, reason }.
+const createViewTracker = ({ windowMs, botPattern = BOT_PATTERN, claimView, countView }) => {
+  return async ({ post, user, ip, userAgent, now = new Date() }) => {
+    if (post.status !== 'published' || !post.publishedAt || post.publishedAt > now) {
+      return { counted: false, reason: 'not published' };
+    }
+
+    if (isBot(userAgent, botPattern)) {
+      return { counted: false, reason: 'bot' };
+    }
+
+    if (user && authorId(post) === String(user._id)) {
+      return { counted: false, reason: 'author' };
+    }
+
+    const visitor = visitorKey({ user, ip, userAgent });
+
+    if (!(await claimView(post._id, visitor, windowMs, now))) {
+      return { counted: false, reason: 'repeat view' };
+    }
+
+    await countView(post, now);
+
+    return { counted: true };
+  };
+};
+
+module.exports = {
+  BOT_PATTERN,
+  isBot,
+  visitorKey,
+  createViewTracker
+};
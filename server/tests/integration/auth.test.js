@@ -1,8 +1,15 @@
 // server/tests/integration/auth.test.js - Integration tests for auth endpoints
 
+const bcrypt = require('bcryptjs');
 const request = require('supertest');
 const app = require('../../src/app');
 const User = require('../../src/models/User');
+const AuditLog = require('../../src/models/AuditLog');
+const LoginAttempt = require('../../src/models/LoginAttempt');
+const LoginChallenge = require('../../src/models/LoginChallenge');
+const { generateToken } = require('../../src/utils/auth');
+const { getTransport } = require('../../src/utils/mailer');
+const totp = require('../../src/utils/totp');
 
 // Note: Database cleanup is handled globally in setup.js
 
@@ -176,6 +183,7 @@ describe('POST /api/auth/login', () => {
     expect(res.status).toBe(200);
     expect(res.body).toHaveProperty('message', 'Login successful');
     expect(res.body).toHaveProperty('token');
+    expect(res.body).toHaveProperty('refreshToken');
     expect(res.body).toHaveProperty('user');
     expect(res.body.user.email).toBe(loginData.email);
     expect(res.body.user).not.toHaveProperty('password');
@@ -394,6 +402,72 @@ describe('PUT /api/auth/profile', () => {
   });
 });
 
+describe('POST /api/auth/refresh', () => {
+  let refreshToken;
+
+  beforeEach(async () => {
+    const uniqueEmail = `test${Date.now()}@example.com`;
+    await User.create({
+      username: `testuser${Date.now()}`,
+      email: uniqueEmail,
+      password: 'Password123'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: uniqueEmail,
+        password: 'Password123'
+      });
+
+    refreshToken = loginRes.body.refreshToken;
+  });
+
+  it('should rotate the refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body.refreshToken).toBeDefined();
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+  });
+
+  it('should revoke the session when a rotated token is reused', async () => {
+    const first = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+
+    const reuse = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+
+    expect(reuse.status).toBe(401);
+
+    // The token issued by the legitimate rotation is now revoked too
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: first.body.refreshToken });
+
+    expect(res.status).toBe(401);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${first.body.token}`);
+
+    expect(me.status).toBe(401);
+  });
+
+  it('should return 401 for an unknown refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'not-a-real-token' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
 describe('POST /api/auth/logout', () => {
   let token;
 
@@ -425,6 +499,19 @@ describe('POST /api/auth/logout', () => {
     expect(res.body).toHaveProperty('message', 'Logout successful');
   });
 
+  it('should reject the access token after logout', async () => {
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body).toHaveProperty('error', 'Session has been revoked.');
+  });
+
   it('should return 401 when not authenticated', async () => {
     const res = await request(app)
       .post('/api/auth/logout');
@@ -432,4 +519,474 @@ describe('POST /api/auth/logout', () => {
     expect(res.status).toBe(401);
     expect(res.body).toHaveProperty('error');
   });
-}); 
\ No newline at end of file
+}); 
+describe('POST /api/auth/change-password', () => {
+  let token;
+
+  beforeEach(async () => {
+    const uniqueEmail = `test${Date.now()}@example.com`;
+    await User.create({
+      username: `testuser${Date.now()}`,
+      email: uniqueEmail,
+      password: 'Password123'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: uniqueEmail,
+        password: 'Password123'
+      });
+
+    token = loginRes.body.token;
+  });
+
+  it('should change the password and issue new tokens', async () => {
+    const res = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'Password123', newPassword: 'NewPassword456' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+
+    // The old session has been revoked
+    const oldSession = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(oldSession.status).toBe(401);
+  });
+
+  it('should return 401 for a wrong current password', async () => {
+    const res = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'WrongPassword1', newPassword: 'NewPassword456' });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toHaveProperty('error', 'Current password is incorrect');
+  });
+
+  it('should throttle wrong current passwords like failed logins', async () => {
+    const changePassword = currentPassword => request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword, newPassword: 'NewPassword456' });
+
+    expect((await changePassword('WrongPassword1')).status).toBe(401);
+    expect((await changePassword('WrongPassword1')).status).toBe(401);
+
+    const res = await changePassword('Password123');
+
+    expect(res.status).toBe(429);
+    expect(res.body.retryAfter).toBeGreaterThan(0);
+  });
+});
+
+describe('Password reset flow', () => {
+  const email = 'reset@example.com';
+  let outbox;
+
+  beforeEach(async () => {
+    await User.create({
+      username: 'resetuser',
+      email,
+      password: 'Password123'
+    });
+
+    outbox = getTransport().outbox;
+    outbox.length = 0;
+  });
+
+  const requestResetToken = async () => {
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email });
+
+    return outbox[outbox.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+  };
+
+  it('should not reveal whether an email is registered', async () => {
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(outbox).toHaveLength(0);
+  });
+
+  it('should reset the password with a valid token', async () => {
+    const resetToken = await requestResetToken();
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: resetToken, password: 'Brandnew789' });
+
+    expect(res.status).toBe(200);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'Brandnew789' });
+
+    expect(login.status).toBe(200);
+  });
+
+  it('should not accept a reset token twice', async () => {
+    const resetToken = await requestResetToken();
+
+    await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: resetToken, password: 'Brandnew789' });
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: resetToken, password: 'Another789' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error', 'Reset token is invalid or has expired');
+  });
+});
+
+describe('Email verification', () => {
+  let outbox;
+
+  beforeEach(() => {
+    outbox = getTransport().outbox;
+    outbox.length = 0;
+  });
+
+  const register = () => request(app)
+    .post('/api/auth/register')
+    .send({
+      username: 'verifyuser',
+      email: 'verify@example.com',
+      password: 'Password123'
+    });
+
+  it('should send a verification email on registration', async () => {
+    const res = await register();
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.emailVerified).toBe(false);
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0].to).toBe('verify@example.com');
+  });
+
+  it('should verify the email with the emailed token', async () => {
+    await register();
+    const verificationToken = outbox[0].text.match(/token=([a-f0-9]+)/)[1];
+
+    const res = await request(app)
+      .get(`/api/auth/verify/${verificationToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.emailVerified).toBe(true);
+
+    const reuse = await request(app)
+      .get(`/api/auth/verify/${verificationToken}`);
+
+    expect(reuse.status).toBe(400);
+  });
+
+  it('should treat accounts from before verification as verified', async () => {
+    // Saved before the account had an emailVerified field
+    const { insertedId } = await User.collection.insertOne({
+      username: 'olduser',
+      email: 'old@example.com',
+      password: 'not-a-real-hash',
+      role: 'user',
+      isActive: true
+    });
+    await User.create({ username: 'newuser', email: 'new@example.com', password: 'Password123' });
+
+    expect(await User.syncEmailVerified()).toBe(1);
+    expect((await User.findById(insertedId)).emailVerified).toBe(true);
+    expect((await User.findOne({ username: 'newuser' })).emailVerified).toBe(false);
+    expect(await User.syncEmailVerified()).toBe(0);
+  });
+
+  it('should resend the verification email', async () => {
+    const registerRes = await register();
+
+    const res = await request(app)
+      .post('/api/auth/verify/resend')
+      .set('Authorization', `Bearer ${registerRes.body.token}`);
+
+    expect(res.status).toBe(200);
+    expect(outbox).toHaveLength(2);
+  });
+});
+
+describe('Account lockout', () => {
+  const email = 'locked@example.com';
+  let user;
+
+  beforeEach(async () => {
+    user = await User.create({
+      username: 'lockeduser',
+      email,
+      password: 'Password123'
+    });
+  });
+
+  const login = password => request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+
+  it('should lock the account after too many failed attempts', async () => {
+    // One attempt away from the limit, with no pending delay
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 4 });
+
+    const failed = await login('WrongPassword1');
+    expect(failed.status).toBe(401);
+
+    const res = await login('Password123');
+
+    expect(res.status).toBe(423);
+    expect(res.headers['retry-after']).toBeDefined();
+
+    const audit = await AuditLog.findOne({ action: 'account_locked', user: user._id });
+    expect(audit).not.toBeNull();
+  });
+
+  it('should delay attempts after repeated failures', async () => {
+    await login('WrongPassword1');
+    await login('WrongPassword1');
+
+    const res = await login('Password123');
+
+    expect(res.status).toBe(429);
+    expect(res.body.retryAfter).toBeGreaterThan(0);
+  });
+
+  it('should throttle unknown emails the same way', async () => {
+    const unknown = () => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'nobody@example.com', password: 'WrongPassword1' });
+
+    expect((await unknown()).status).toBe(401);
+    expect((await unknown()).status).toBe(401);
+
+    const delayed = await unknown();
+    expect(delayed.status).toBe(429);
+    expect(delayed.body.retryAfter).toBeGreaterThan(0);
+
+    // One attempt away from the limit, with no pending delay
+    await LoginAttempt.updateOne({ email: 'nobody@example.com' }, { failedLoginAttempts: 4, $unset: { lastFailedLoginAt: 1 } });
+    expect((await unknown()).status).toBe(401);
+
+    const locked = await unknown();
+    expect(locked.status).toBe(423);
+    expect(locked.body.error).toBe('Account is temporarily locked due to too many failed login attempts');
+  });
+
+  it('should check the password of unknown emails against a hash', async () => {
+    const compare = jest.spyOn(bcrypt, 'compare');
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'nobody@example.com', password: 'WrongPassword1' });
+
+    expect(res.status).toBe(401);
+    expect(compare).toHaveBeenCalledWith('WrongPassword1', expect.stringMatching(/^\$2[aby]\$12\$/));
+
+    compare.mockRestore();
+  });
+
+  it('should let an admin unlock the account', async () => {
+    await User.updateOne({ _id: user._id }, { lockUntil: new Date(Date.now() + 60 * 60 * 1000) });
+
+    const admin = await User.create({
+      username: 'lockadmin',
+      email: 'lockadmin@example.com',
+      password: 'Password123',
+      role: 'admin'
+    });
+
+    const unlock = await request(app)
+      .post(`/api/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${generateToken(admin)}`);
+
+    expect(unlock.status).toBe(200);
+
+    const res = await login('Password123');
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('Two-factor authentication', () => {
+  const email = 'twofactor@example.com';
+  let token;
+
+  beforeEach(async () => {
+    await User.create({
+      username: 'twofactoruser',
+      email,
+      password: 'Password123',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'Password123' });
+
+    token = loginRes.body.token;
+  });
+
+  const enroll = async () => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`);
+
+    const confirm = await request(app)
+      .post('/api/auth/2fa/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: totp.generateCode(setup.body.secret) });
+
+    return { secret: setup.body.secret, ...confirm.body };
+  };
+
+  it('should enroll and return recovery codes', async () => {
+    const { secret, recoveryCodes } = await enroll();
+
+    expect(secret).toMatch(/^[A-Z2-7]+$/);
+    expect(recoveryCodes).toHaveLength(10);
+
+    const user = await User.findOne({ email });
+    expect(user.twoFactor.enabled).toBe(true);
+  });
+
+  it('should require a second step at login', async () => {
+    const { secret } = await enroll();
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'Password123' });
+
+    expect(login.status).toBe(200);
+    expect(login.body.twoFactorRequired).toBe(true);
+    expect(login.body).not.toHaveProperty('token');
+
+    // The challenge token is not an access token
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${login.body.challengeToken}`);
+    expect(me.status).toBe(401);
+
+    // The enrollment code was already used, so take the next one
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({
+        challengeToken: login.body.challengeToken,
+        code: totp.generateCode(secret, totp.getTimeStep() + 1)
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+  });
+
+  it('should accept a recovery code only once', async () => {
+    const { recoveryCodes } = await enroll();
+
+    const completeLogin = async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'Password123' });
+
+      return request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: login.body.challengeToken, recoveryCode: recoveryCodes[0] });
+    };
+
+    expect((await completeLogin()).status).toBe(200);
+    expect((await completeLogin()).status).toBe(401);
+  });
+
+  it('should not accept a challenge token twice', async () => {
+    const { recoveryCodes } = await enroll();
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'Password123' });
+    const redeem = recoveryCode => request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: login.body.challengeToken, recoveryCode });
+
+    expect((await redeem(recoveryCodes[0])).status).toBe(200);
+
+    const replay = await redeem(recoveryCodes[1]);
+    expect(replay.status).toBe(401);
+    expect(replay.body.error).toBe('Invalid or expired challenge token');
+  });
+
+  it('should limit code attempts per challenge', async () => {
+    const { recoveryCodes } = await enroll();
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'Password123' });
+    const attempt = recoveryCode => request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: login.body.challengeToken, recoveryCode });
+
+    for (let i = 0; i < LoginChallenge.MAX_CHALLENGE_ATTEMPTS; i++) {
+      // Clear the account's own delay between failures to reach the challenge limit
+      await User.updateOne({ email }, { failedLoginAttempts: 0, $unset: { lastFailedLoginAt: 1 } });
+      expect((await attempt('wrong-code')).body.error).toBe('Invalid two-factor code');
+    }
+
+    await User.updateOne({ email }, { failedLoginAttempts: 0, $unset: { lastFailedLoginAt: 1 } });
+    const res = await attempt(recoveryCodes[0]);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid or expired challenge token');
+  });
+
+  it('should sign out other sessions when disabled', async () => {
+    const { recoveryCodes, token: currentToken } = await enroll();
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'Password123' });
+    const other = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: login.body.challengeToken, recoveryCode: recoveryCodes[0] });
+
+    const res = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${currentToken}`)
+      .send({ password: 'Password123', recoveryCode: recoveryCodes[1] });
+
+    expect(res.status).toBe(200);
+
+    const me = token => request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect((await me(currentToken)).status).toBe(200);
+    expect((await me(other.body.token)).status).toBe(401);
+  });
+
+  it('should require 2FA for admin routes when configured', async () => {
+    process.env.REQUIRE_ADMIN_2FA = 'true';
+
+    try {
+      const before = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(before.status).toBe(403);
+
+      const { token: mfaToken } = await enroll();
+
+      const after = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${mfaToken}`);
+
+      expect(after.status).toBe(200);
+    } finally {
+      delete process.env.REQUIRE_ADMIN_2FA;
+    }
+  });
+});
@@ -0,0 +1,214 @@
+// categories.test.js - Integration tests for categories API endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+// Note: Database cleanup is handled globally in setup.js
+
+let adminToken;
+let userToken;
+let admin;
+
+beforeEach(async () => {
+  admin = await User.create({
+    username: 'adminuser',
+    email: 'admin@example.com',
+    password: 'Password123',
+    role: 'admin'
+  });
+  adminToken = generateToken(admin);
+
+  const user = await User.create({
+    username: 'regularuser',
+    email: 'user@example.com',
+    password: 'Password123'
+  });
+  userToken = generateToken(user);
+});
+
+describe('GET /api/categories', () => {
+  it('should list categories in display order', async () => {
+    await Category.create({ name: 'Second', order: 2 });
+    await Category.create({ name: 'First', order: 1 });
+
+    const res = await request(app).get('/api/categories');
+
+    expect(res.status).toBe(200);
+    expect(res.body.categories.map(c => c.name)).toEqual(['First', 'Second']);
+  });
+
+  it('should return 400 for a malformed parent', async () => {
+    const res = await request(app).get('/api/categories?parent=not-an-id');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+});
+
+describe('GET /api/categories/:id', () => {
+  it('should return 400 for a malformed ID', async () => {
+    const res = await request(app).get('/api/categories/not-an-id');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+});
+
+describe('POST /api/categories', () => {
+  it('should create a category with a generated slug when admin', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Web Development', description: 'All things web' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.category.name).toBe('Web Development');
+    expect(res.body.category.slug).toBe('web-development');
+  });
+
+  it('should give names without ASCII letters a slug', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Новости' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.category.slug).toBe('novosti');
+  });
+
+  it('should number slugs when names give the same one', async () => {
+    await Category.create({ name: 'C++' });
+    await Category.create({ name: 'News' });
+
+    const sharp = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'C#' });
+    const news = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'News!' });
+
+    expect(sharp.status).toBe(201);
+    expect(sharp.body.category.slug).toBe('c-2');
+    expect(news.status).toBe(201);
+    expect(news.body.category.slug).toBe('news-2');
+  });
+
+  it('should return 400 for a duplicate name', async () => {
+    await Category.create({ name: 'Taken' });
+
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Taken' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Category with this name already exists');
+  });
+
+  it('should return 403 for non-admin users', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Forbidden' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 for a missing parent category', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Orphan', parent: new mongoose.Types.ObjectId().toString() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Parent category does not exist');
+  });
+});
+
+describe('PUT /api/categories/:id', () => {
+  it('should return 400 for a malformed ID', async () => {
+    const res = await request(app)
+      .put('/api/categories/not-an-id')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Renamed' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+
+  it('should update the slug when a category is renamed', async () => {
+    const category = await Category.create({ name: 'Old Name' });
+
+    const res = await request(app)
+      .put(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'New Name' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.category.slug).toBe('new-name');
+  });
+
+  it('should refuse to nest a category under its own child', async () => {
+    const parent = await Category.create({ name: 'Parent' });
+    const child = await Category.create({ name: 'Child', parent: parent._id });
+
+    const res = await request(app)
+      .put(`/api/categories/${parent._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Parent', parent: child._id.toString() });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/categories/:id', () => {
+  let category;
+
+  beforeEach(async () => {
+    category = await Category.create({ name: 'Doomed' });
+    await Post.create({
+      title: 'Categorised Post',
+      content: 'This post belongs to a category',
+      author: admin._id,
+      category: category._id,
+      slug: 'categorised-post'
+    });
+  });
+
+  it('should refuse to delete a category that has posts', async () => {
+    const res = await request(app)
+      .delete(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.postCount).toBe(1);
+    expect(await Category.findById(category._id)).not.toBeNull();
+  });
+
+  it('should reassign posts when reassignTo is given', async () => {
+    const target = await Category.create({ name: 'Target' });
+    const changed = jest.fn();
+    Post.events.on('changed', changed);
+
+    const res = await request(app)
+      .delete(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reassignTo: target._id.toString() });
+
+    Post.events.off('changed', changed);
+
+    expect(res.status).toBe(200);
+    expect(res.body.reassignedPosts).toBe(1);
+    expect(await Post.countDocuments({ category: target._id })).toBe(1);
+    // Cached related posts are forgotten
+    expect(changed).toHaveBeenCalled();
+    expect(await Category.findById(category._id)).toBeNull();
+  });
+});
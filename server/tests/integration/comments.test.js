@@ -0,0 +1,449 @@
+// comments.test.js - Integration tests for post comments API endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Comment = require('../../src/models/Comment');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+// Note: Database cleanup is handled globally in setup.js
+
+let post;
+let authorToken;
+let readerToken;
+let otherToken;
+
+const createUser = async (username, role = 'user') => {
+  const user = await User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'Password123',
+    role,
+    emailVerified: true
+  });
+  return generateToken(user);
+};
+
+const addComment = (token, content, parentId) => request(app)
+  .post(`/api/posts/${post._id}/comments`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ content, parentId });
+
+beforeEach(async () => {
+  const author = await User.create({
+    username: 'postauthor',
+    email: 'postauthor@example.com',
+    password: 'Password123',
+    role: 'author',
+    emailVerified: true
+  });
+  authorToken = generateToken(author);
+  readerToken = await createUser('reader');
+  otherToken = await createUser('other');
+
+  const category = await Category.create({ name: 'Comments' });
+  post = await Post.create({
+    title: 'Commented Post',
+    content: 'A post that people talk about',
+    author: author._id,
+    category: category._id,
+    slug: 'commented-post',
+    status: 'published',
+    publishedAt: new Date(Date.now() - 1000)
+  });
+});
+
+describe('POST /api/posts/:id/comments', () => {
+  it('should add a comment and count it on the post', async () => {
+    const res = await addComment(readerToken, 'Great post!');
+
+    expect(res.status).toBe(201);
+    expect(res.body.comment.content).toBe('Great post!');
+    expect(res.body.comment.author.username).toBe('reader');
+
+    const updated = await Post.findById(post._id);
+    expect(updated.commentCount).toBe(1);
+  });
+
+  it('should add a reply to an existing comment', async () => {
+    const parent = await addComment(readerToken, 'Great post!');
+    const res = await addComment(otherToken, 'Agreed', parent.body.comment._id);
+
+    expect(res.status).toBe(201);
+    expect(res.body.comment.parentId).toBe(parent.body.comment._id);
+
+    const updatedParent = await Comment.findById(parent.body.comment._id);
+    expect(updatedParent.replyCount).toBe(1);
+  });
+
+  it('should return 404 when replying to a missing comment', async () => {
+    const res = await addComment(readerToken, 'Hello?', '507f1f77bcf86cd799439011');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/posts/:id/comments', () => {
+  it('should page through top-level comments with a cursor', async () => {
+    for (const content of ['one', 'two', 'three']) {
+      await addComment(readerToken, content);
+    }
+
+    const first = await request(app).get(`/api/posts/${post._id}/comments?limit=2`);
+
+    expect(first.status).toBe(200);
+    expect(first.body.comments.map(c => c.content)).toEqual(['one', 'two']);
+    expect(first.body.pagination.hasNextPage).toBe(true);
+
+    const second = await request(app)
+      .get(`/api/posts/${post._id}/comments?limit=2&cursor=${first.body.pagination.nextCursor}`);
+
+    expect(second.body.comments.map(c => c.content)).toEqual(['three']);
+    expect(second.body.pagination.nextCursor).toBeNull();
+  });
+
+  it('should list replies separately from top-level comments', async () => {
+    const parent = await addComment(readerToken, 'Question?');
+    await addComment(authorToken, 'Answer', parent.body.comment._id);
+
+    const topLevel = await request(app).get(`/api/posts/${post._id}/comments`);
+    const replies = await request(app)
+      .get(`/api/posts/${post._id}/comments?parentId=${parent.body.comment._id}`);
+
+    expect(topLevel.body.comments.map(c => c.content)).toEqual(['Question?']);
+    expect(replies.body.comments.map(c => c.content)).toEqual(['Answer']);
+  });
+});
+
+describe('GET /api/posts/:id?expand=comments', () => {
+  it('should embed the first comments with their authors', async () => {
+    await addComment(readerToken, 'Embedded');
+
+    const res = await request(app).get(`/api/posts/${post._id}?fields=title&expand=comments.author`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.comments.map(c => c.content)).toEqual(['Embedded']);
+    expect(res.body.post.comments[0].author.username).toBe('reader');
+    expect(res.body.post.comments[0].author.email).toBeUndefined();
+  });
+});
+
+describe('PATCH /api/posts/:id/comments/:commentId', () => {
+  it('should let the comment author edit it', async () => {
+    const comment = await addComment(readerToken, 'Typo');
+
+    const res = await request(app)
+      .patch(`/api/posts/${post._id}/comments/${comment.body.comment._id}`)
+      .set('Authorization', `Bearer ${readerToken}`)
+      .send({ content: 'Fixed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.comment.content).toBe('Fixed');
+    expect(res.body.comment.editedAt).toBeDefined();
+  });
+
+  it('should keep an approved comment approved when edited to the same text', async () => {
+    const comment = await addComment(readerToken, 'Nothing to change here');
+
+    const res = await request(app)
+      .patch(`/api/posts/${post._id}/comments/${comment.body.comment._id}`)
+      .set('Authorization', `Bearer ${readerToken}`)
+      .send({ content: 'Nothing to change here' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.comment.status).toBe('approved');
+    expect((await Post.findById(post._id)).commentCount).toBe(1);
+  });
+
+  it('should not let other users edit it', async () => {
+    const comment = await addComment(readerToken, 'Mine');
+
+    const res = await request(app)
+      .patch(`/api/posts/${post._id}/comments/${comment.body.comment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Not anymore' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('DELETE /api/posts/:id/comments/:commentId', () => {
+  it('should remove a comment and update the count', async () => {
+    const comment = await addComment(readerToken, 'Short-lived');
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${comment.body.comment._id}`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Comment.findById(comment.body.comment._id)).toBeNull();
+    expect((await Post.findById(post._id)).commentCount).toBe(0);
+  });
+
+  it('should blank a comment with replies instead of removing it', async () => {
+    const parent = await addComment(readerToken, 'Controversial');
+    await addComment(otherToken, 'Reply', parent.body.comment._id);
+
+    await request(app)
+      .delete(`/api/posts/${post._id}/comments/${parent.body.comment._id}`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    const list = await request(app).get(`/api/posts/${post._id}/comments`);
+
+    expect(list.body.comments[0].content).toBeNull();
+    expect(list.body.comments[0].isDeleted).toBe(true);
+    expect((await Post.findById(post._id)).commentCount).toBe(1);
+  });
+
+  it('should let the post author moderate comments on their post', async () => {
+    const comment = await addComment(readerToken, 'Spam');
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${comment.body.comment._id}`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should not let other users delete it', async () => {
+    const comment = await addComment(readerToken, 'Mine');
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${comment.body.comment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Comment moderation', () => {
+  let moderatorToken;
+
+  beforeEach(async () => {
+    moderatorToken = await createUser('moderator', 'moderator');
+  });
+
+  it('should refuse comments when they are disabled on the post', async () => {
+    await Post.updateOne({ _id: post._id }, { 'commentSettings.enabled': false });
+
+    const res = await addComment(readerToken, 'Hello');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should hold every comment on a pre-moderated post', async () => {
+    await Post.updateOne({ _id: post._id }, { 'commentSettings.moderation': 'pre' });
+
+    const res = await addComment(readerToken, 'Hello');
+
+    expect(res.status).toBe(201);
+    expect(res.body.comment.status).toBe('pending');
+    expect((await Post.findById(post._id)).commentCount).toBe(0);
+
+    const list = await request(app).get(`/api/posts/${post._id}/comments`);
+    expect(list.body.comments).toHaveLength(0);
+  });
+
+  it('should file obvious spam without showing it', async () => {
+    const res = await addComment(
+      readerToken,
+      'Free money at the casino https://a.example https://b.example https://c.example'
+    );
+
+    expect(res.body.comment.status).toBe('spam');
+    expect(res.body.comment.spamReasons.length).toBeGreaterThan(0);
+  });
+
+  it('should keep spam filed when it is edited into harmless text', async () => {
+    const spam = await addComment(
+      readerToken,
+      'Free money at the casino https://a.example https://b.example https://c.example'
+    );
+
+    const res = await request(app)
+      .patch(`/api/posts/${post._id}/comments/${spam.body.comment._id}`)
+      .set('Authorization', `Bearer ${readerToken}`)
+      .send({ content: 'What a lovely post' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.comment.status).toBe('spam');
+    expect((await Comment.findById(spam.body.comment._id)).status).toBe('spam');
+    expect((await Post.findById(post._id)).commentCount).toBe(0);
+  });
+
+  it('should hold an approved comment edited into spam', async () => {
+    const comment = await addComment(readerToken, 'Nice write-up');
+
+    const res = await request(app)
+      .patch(`/api/posts/${post._id}/comments/${comment.body.comment._id}`)
+      .set('Authorization', `Bearer ${readerToken}`)
+      .send({ content: 'Free money at the casino https://a.example https://b.example https://c.example' });
+
+    expect(res.body.comment.status).toBe('spam');
+    expect((await Post.findById(post._id)).commentCount).toBe(0);
+  });
+
+  it('should not filter comments from people who moderate the post', async () => {
+    await Post.updateOne({ _id: post._id }, { 'commentSettings.moderation': 'pre' });
+
+    const res = await addComment(authorToken, 'Thanks for reading');
+
+    expect(res.body.comment.status).toBe('approved');
+  });
+
+  it('should list the queue and approve comments in bulk', async () => {
+    await Post.updateOne({ _id: post._id }, { 'commentSettings.moderation': 'pre' });
+    const first = await addComment(readerToken, 'First');
+    const second = await addComment(otherToken, 'Second');
+
+    const queue = await request(app)
+      .get('/api/moderation/comments')
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(queue.status).toBe(200);
+    expect(queue.body.comments.map(c => c.content)).toEqual(['First', 'Second']);
+
+    const res = await request(app)
+      .post('/api/moderation/comments')
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({ ids: [first.body.comment._id, second.body.comment._id], action: 'approve' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.updated).toHaveLength(2);
+    expect((await Post.findById(post._id)).commentCount).toBe(2);
+  });
+
+  it('should count replies on their parent only while they are shown', async () => {
+    const parent = await addComment(readerToken, 'Parent');
+    await Post.updateOne({ _id: post._id }, { 'commentSettings.moderation': 'pre' });
+    const reply = await addComment(otherToken, 'Held reply', parent.body.comment._id);
+
+    const replyCount = async () => (await Comment.findById(parent.body.comment._id)).replyCount;
+    const moderate = action => request(app)
+      .post('/api/moderation/comments')
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({ ids: [reply.body.comment._id], action });
+
+    expect(reply.body.comment.status).toBe('pending');
+    expect(await replyCount()).toBe(0);
+
+    await moderate('approve');
+    expect(await replyCount()).toBe(1);
+
+    await moderate('reject');
+    expect(await replyCount()).toBe(0);
+  });
+
+  it('should limit post authors to their own posts\' comments', async () => {
+    const otherPost = await Post.create({
+      title: 'Someone Else\'s Post',
+      content: 'Not written by the post author',
+      author: (await User.findOne({ username: 'other' }))._id,
+      category: post.category,
+      slug: 'someone-elses-post',
+      status: 'published',
+      publishedAt: new Date(Date.now() - 1000),
+      commentSettings: { moderation: 'pre' }
+    });
+
+    const pending = await request(app)
+      .post(`/api/posts/${otherPost._id}/comments`)
+      .set('Authorization', `Bearer ${readerToken}`)
+      .send({ content: 'Pending elsewhere' });
+
+    const res = await request(app)
+      .post('/api/moderation/comments')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ ids: [pending.body.comment._id], action: 'approve' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.updated).toHaveLength(0);
+  });
+
+  it('should not let regular users moderate', async () => {
+    const res = await request(app)
+      .get('/api/moderation/comments')
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Embedded comment migration', () => {
+  it('should move comments embedded in posts into the collection', async () => {
+    const readerId = (await User.findOne({ username: 'reader' }))._id;
+    const commentId = new mongoose.Types.ObjectId();
+    // A post saved before comments had their own collection
+    const { insertedId } = await Post.collection.insertOne({
+      title: 'Legacy Post',
+      content: 'A post from before comments moved',
+      author: readerId,
+      category: post.category,
+      slug: 'legacy-post',
+      status: 'published',
+      publishedAt: new Date(Date.now() - 1000),
+      comments: [{ _id: commentId, user: readerId, content: 'Old comment', createdAt: new Date('2023-01-01') }]
+    });
+
+    const migrated = await Comment.migrateEmbedded();
+    await Post.syncVisibility();
+
+    expect(migrated).toBe(1);
+    const comment = await Comment.findById(commentId);
+    expect(comment).toMatchObject({ content: 'Old comment', status: 'approved' });
+    expect(comment.post).toEqual(insertedId);
+
+    const legacy = await Post.collection.findOne({ _id: insertedId });
+    expect(legacy.comments).toBeUndefined();
+    expect(legacy.commentCount).toBe(1);
+
+    const list = await request(app).get(`/api/posts/${insertedId}/comments`);
+    expect(list.body.comments.map(c => c.content)).toEqual(['Old comment']);
+
+    // Nothing left to move on the next start
+    expect(await Comment.migrateEmbedded()).toBe(0);
+  });
+});
+
+describe('DELETE /api/users/:id', () => {
+  it('should remove the posts, comments and likes of a deleted user', async () => {
+    const reader = await User.findOne({ username: 'reader' });
+    const adminToken = await createUser('admin', 'admin');
+
+    const readerPost = await Post.create({
+      title: 'Reader Post',
+      content: 'A post by someone about to leave',
+      author: reader._id,
+      category: post.category,
+      slug: 'reader-post'
+    });
+    await Comment.create({ post: readerPost._id, author: reader._id, content: 'Notes to self' });
+
+    const parent = await addComment(readerToken, 'Great post!');
+    await addComment(otherToken, 'Agreed', parent.body.comment._id);
+    await addComment(readerToken, 'Thanks for writing it');
+    await request(app)
+      .put(`/api/posts/${post._id}/like`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    const res = await request(app)
+      .delete(`/api/users/${reader._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Post.findById(readerPost._id)).toBeNull();
+    expect(await Comment.countDocuments({ post: readerPost._id })).toBe(0);
+
+    // The reply keeps its place under the blanked comment
+    const comments = await Comment.find({ post: post._id });
+    expect(comments.map(comment => comment.content).sort()).toEqual(['Agreed', '[deleted]']);
+
+    const updated = await Post.findById(post._id);
+    expect(updated.commentCount).toBe(1);
+    expect(updated.likeCount).toBe(0);
+    expect(updated.likes).toHaveLength(0);
+  });
+});
@@ -5,11 +5,30 @@ const mongoose = require('mongoose');
 const app = require('../../src/app');
 const Post = require('../../src/models/Post');
 const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const PostRevision = require('../../src/models/PostRevision');
+const PostViewDaily = require('../../src/models/PostViewDaily');
+const { refreshRankings } = require('../../src/config/ranking');
 const { generateToken } = require('../../src/utils/auth');
 
 let token;
 let userId;
 let postId;
+let categoryId;
+
+// Content of the posts created with createPost, for cleaning them up
+const DIRECT_POST_CONTENT = 'A post created directly in the database';
+
+// Create a live post of the test user in the test category
+const createPost = (title, fields = {}) => Post.create({
+  title,
+  content: DIRECT_POST_CONTENT,
+  author: userId,
+  category: categoryId,
+  status: 'published',
+  publishedAt: new Date(Date.now() - 1000),
+  ...fields
+});
 
 // Setup test data before all tests
 beforeAll(async () => {
@@ -22,12 +41,16 @@ beforeAll(async () => {
   userId = user._id;
   token = generateToken(user);
 
+  // Create a test category
+  const category = await Category.create({ name: 'Test Category' });
+  categoryId = category._id;
+
   // Create a test post
   const post = await Post.create({
     title: 'Test Post',
     content: 'This is a test post content',
     author: userId,
-    category: new mongoose.Types.ObjectId(),
+    category: categoryId,
     slug: 'test-post',
   });
   postId = post._id;
@@ -35,11 +58,11 @@ beforeAll(async () => {
 
 // Clean up database between tests
 afterEach(async () => {
-  // Keep the test user and post, but clean up any other created data
+  // Keep the test user, post and category, but clean up any other created data
   const collections = mongoose.connection.collections;
   for (const key in collections) {
     const collection = collections[key];
-    if (collection.collectionName !== 'users' && collection.collectionName !== 'posts') {
+    if (!['users', 'posts', 'categories'].includes(collection.collectionName)) {
       await collection.deleteMany({});
     }
   }
@@ -50,7 +73,7 @@ describe('POST /api/posts', () => {
     const newPost = {
       title: 'New Test Post',
       content: 'This is a new test post content',
-      category: new mongoose.Types.ObjectId().toString(),
+      category: categoryId.toString(),
     };
 
     const res = await request(app)
@@ -94,6 +117,70 @@ describe('POST /api/posts', () => {
     expect(res.status).toBe(400);
     expect(res.body).toHaveProperty('error');
   });
+
+  it('should return 400 if the category does not exist', async () => {
+    const newPost = {
+      title: 'Orphan Post',
+      content: 'This post points at a missing category',
+      category: new mongoose.Types.ObjectId().toString(),
+    };
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send(newPost);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('Category does not exist');
+  });
+});
+
+describe('Email verification policy', () => {
+  it('should not let unverified users publish', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Published Too Early',
+        content: 'Unverified accounts cannot publish',
+        category: categoryId.toString(),
+        status: 'published',
+      });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should not let unverified editors schedule posts', async () => {
+    const editor = await User.create({
+      username: 'unverifiededitor',
+      email: 'unverifiededitor@example.com',
+      password: 'password123',
+      role: 'editor',
+    });
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${generateToken(editor)}`)
+      .send({
+        title: 'Scheduled Too Early',
+        content: 'Unverified accounts cannot schedule posts either',
+        category: categoryId.toString(),
+        status: 'scheduled',
+        scheduledFor: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Please verify your email address before publishing.');
+  });
+
+  it('should not let unverified users comment', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'First!' });
+
+    expect(res.status).toBe(403);
+  });
 });
 
 describe('GET /api/posts', () => {
@@ -106,24 +193,25 @@ describe('GET /api/posts', () => {
   });
 
   it('should filter posts by category', async () => {
-    const categoryId = new mongoose.Types.ObjectId().toString();
+    const filterCategory = await Category.create({ name: 'Filter Category' });
+    const filterCategoryId = filterCategory._id.toString();
     
     // Create a post with specific category
     await Post.create({
       title: 'Filtered Post',
       content: 'This post should be filtered by category',
       author: userId,
-      category: categoryId,
+      category: filterCategoryId,
       slug: 'filtered-post',
     });
 
     const res = await request(app)
-      .get(`/api/posts?category=${categoryId}`);
+      .get(`/api/posts?category=${filterCategoryId}`);
 
     expect(res.status).toBe(200);
     expect(Array.isArray(res.body)).toBeTruthy();
     expect(res.body.length).toBeGreaterThan(0);
-    expect(res.body[0].category).toBe(categoryId);
+    expect(res.body[0].category).toBe(filterCategoryId);
   });
 
   it('should paginate results', async () => {
@@ -134,7 +222,7 @@ describe('GET /api/posts', () => {
         title: `Pagination Post ${i}`,
         content: `Content for pagination test ${i}`,
         author: userId,
-        category: new mongoose.Types.ObjectId(),
+        category: categoryId,
         slug: `pagination-post-${i}`,
       });
     }
@@ -154,10 +242,731 @@ describe('GET /api/posts', () => {
   });
 });
 
+describe('GET /api/users/:id/posts', () => {
+  it('should return 400 for a malformed user ID', async () => {
+    const res = await request(app).get('/api/users/not-an-id/posts');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+});
+
+describe('Cursor pagination', () => {
+  beforeEach(async () => {
+    const base = Date.now() - 60 * 60 * 1000;
+    const posts = [];
+    for (let i = 0; i < 5; i++) {
+      posts.push({
+        title: `Cursor Post ${i}`,
+        content: `Content for cursor pagination ${i}`,
+        author: userId,
+        category: categoryId,
+        slug: `cursor-post-${i}-${base}`,
+        status: 'published',
+        publishedAt: new Date(base + i * 1000),
+      });
+    }
+    await Post.insertMany(posts);
+  });
+
+  afterEach(async () => {
+    await Post.deleteMany({ title: /^Cursor Post/ });
+  });
+
+  it('should page forwards and backwards with cursors', async () => {
+    const first = await request(app).get('/api/posts?limit=2');
+
+    expect(first.status).toBe(200);
+    expect(first.body.posts.map(p => p.title)).toEqual(['Cursor Post 4', 'Cursor Post 3']);
+    expect(first.body.pagination.nextCursor).toBeTruthy();
+
+    const second = await request(app)
+      .get(`/api/posts?limit=2&cursor=${first.body.pagination.nextCursor}`);
+
+    expect(second.body.posts.map(p => p.title)).toEqual(['Cursor Post 2', 'Cursor Post 1']);
+    expect(second.body.pagination.totalPosts).toBeUndefined();
+
+    const back = await request(app)
+      .get(`/api/posts?limit=2&cursor=${second.body.pagination.prevCursor}`);
+
+    expect(back.body.posts.map(p => p.title)).toEqual(['Cursor Post 4', 'Cursor Post 3']);
+    expect(back.body.pagination.hasPrevPage).toBe(false);
+  });
+
+  it('should not skip posts published while paging', async () => {
+    const first = await request(app).get('/api/posts?limit=2');
+
+    await Post.create({
+      title: 'Cursor Post new',
+      content: 'Published after the first page was read',
+      author: userId,
+      category: categoryId,
+      slug: `cursor-post-new-${Date.now()}`,
+      status: 'published',
+    });
+
+    const second = await request(app)
+      .get(`/api/posts?limit=2&cursor=${first.body.pagination.nextCursor}`);
+
+    expect(second.body.posts.map(p => p.title)).toEqual(['Cursor Post 2', 'Cursor Post 1']);
+  });
+
+  it('should reject a cursor made for another sort order', async () => {
+    const first = await request(app).get('/api/posts?limit=2');
+
+    const res = await request(app)
+      .get(`/api/posts?limit=2&sort=title&cursor=${first.body.pagination.nextCursor}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('List filters and sorting', () => {
+  beforeEach(async () => {
+    const base = Date.now() - 60 * 60 * 1000;
+    await Post.insertMany([
+      { views: 5, tags: ['node'] },
+      { views: 50, tags: ['node', 'express'] },
+      { views: 500, tags: ['react'] }
+    ].map((fields, i) => ({
+      ...fields,
+      title: `Filter Post ${i}`,
+      content: `Content for list filters ${i}`,
+      author: userId,
+      category: categoryId,
+      slug: `filter-post-${i}-${base}`,
+      status: 'published',
+      publishedAt: new Date(base + i * 1000)
+    })));
+  });
+
+  afterEach(async () => {
+    await Post.deleteMany({ title: /^Filter Post/ });
+  });
+
+  it('should filter by any of several tags', async () => {
+    const res = await request(app).get('/api/posts?tags=express,react&sort=title');
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.map(p => p.title)).toEqual(['Filter Post 1', 'Filter Post 2']);
+  });
+
+  it('should filter by ranges and sort by a whitelisted field', async () => {
+    const res = await request(app).get('/api/posts?views[gte]=50&sort=-views');
+
+    expect(res.body.posts.map(p => p.title)).toEqual(['Filter Post 2', 'Filter Post 1']);
+  });
+
+  it('should combine a publishedAt range with the published check', async () => {
+    const since = new Date(Date.now() - 60 * 60 * 1000 + 500).toISOString();
+
+    const res = await request(app).get(`/api/posts?publishedAt[gte]=${since}&tags=node`);
+
+    expect(res.body.posts.map(p => p.title)).toEqual(['Filter Post 1']);
+  });
+
+  it('should return 400 for unknown sort and filter fields', async () => {
+    const badSort = await request(app).get('/api/posts?sort=-password');
+    const badFilter = await request(app).get('/api/posts?secret=1');
+    const operator = await request(app).get('/api/posts?status[$ne]=draft');
+
+    expect(badSort.status).toBe(400);
+    expect(badSort.body.details[0].msg).toMatch(/Cannot sort by "password"/);
+    expect(badFilter.status).toBe(400);
+    expect(badFilter.body.details[0].msg).toMatch(/Unknown query parameter "secret"/);
+    expect(operator.status).toBe(400);
+  });
+});
+
+describe('Sparse fieldsets and expansion', () => {
+  let fieldsPostId;
+
+  beforeEach(async () => {
+    const post = await Post.create({
+      title: 'Fieldset Post',
+      content: 'A post read with only some of its fields',
+      author: userId,
+      category: categoryId,
+      slug: `fieldset-post-${Date.now()}`,
+      status: 'published',
+      publishedAt: new Date(Date.now() - 1000)
+    });
+    fieldsPostId = post._id.toString();
+  });
+
+  afterEach(async () => {
+    await Post.deleteMany({ title: 'Fieldset Post' });
+  });
+
+  it('should return only the requested fields in lists', async () => {
+    const res = await request(app).get('/api/posts?fields=title,slug,excerpt');
+
+    expect(res.status).toBe(200);
+    const post = res.body.posts.find(p => p._id === fieldsPostId);
+    expect(Object.keys(post).sort()).toEqual(['_id', 'excerpt', 'publishedAt', 'slug', 'title']);
+  });
+
+  it('should expand the author of a post with public fields only', async () => {
+    const res = await request(app).get(`/api/posts/${fieldsPostId}?fields=title&expand=author`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.content).toBeUndefined();
+    expect(res.body.post.author.username).toBeDefined();
+    expect(res.body.post.author.email).toBeUndefined();
+  });
+
+  it('should leave relations unexpanded when expand is empty', async () => {
+    const res = await request(app).get(`/api/posts/${fieldsPostId}?expand=`);
+
+    expect(res.body.post.author).toBe(userId.toString());
+  });
+
+  it('should hide editorial fields from readers', async () => {
+    const anonymous = await request(app).get(`/api/posts/${fieldsPostId}`);
+    const restricted = await request(app).get(`/api/posts/${fieldsPostId}?fields=title,transitions`);
+
+    expect(anonymous.body.post.transitions).toBeUndefined();
+    expect(restricted.status).toBe(400);
+  });
+
+  it('should reject expanding comments in lists', async () => {
+    const res = await request(app).get('/api/posts?expand=comments');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Slugs', () => {
+  const createPost = (title, extra = {}) => request(app)
+    .post('/api/posts')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title, content: 'Content for the slug tests', category: categoryId.toString(), ...extra });
+
+  const publish = id => Post.updateOne({ _id: id }, { status: 'published', publishedAt: new Date(Date.now() - 1000) });
+
+  afterEach(async () => {
+    await Post.deleteMany({ title: /^Slug Test|^Ünïcode|^Renamed Slug/ });
+  });
+
+  it('should number slugs that are already taken', async () => {
+    const first = await createPost('Slug Test Duplicate');
+    const second = await createPost('Slug Test Duplicate');
+    const third = await createPost('Slug Test Duplicate');
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect(first.body.post.slug).toBe('slug-test-duplicate');
+    expect(second.body.post.slug).toBe('slug-test-duplicate-2');
+    expect(third.body.post.slug).toBe('slug-test-duplicate-3');
+  });
+
+  it('should transliterate titles instead of dropping letters', async () => {
+    const res = await createPost('Ünïcode Straße für Café');
+
+    expect(res.body.post.slug).toBe('unicode-strasse-fur-cafe');
+  });
+
+  it('should fetch published posts by slug', async () => {
+    const created = await createPost('Slug Test Published');
+    await publish(created.body.post._id);
+
+    const res = await request(app).get(`/api/posts/slug/${created.body.post.slug}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.title).toBe('Slug Test Published');
+    expect(res.body.canonicalUrl).toMatch(/\/posts\/slug-test-published$/);
+  });
+
+  it('should not fetch drafts by slug', async () => {
+    const created = await createPost('Slug Test Draft');
+
+    const res = await request(app).get(`/api/posts/slug/${created.body.post.slug}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should redirect from the old slug after a rename', async () => {
+    const created = await createPost('Slug Test Renamed');
+    await publish(created.body.post._id);
+
+    const updated = await request(app)
+      .put(`/api/posts/${created.body.post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Renamed Slug Post',
+        content: 'Content for the slug tests',
+        category: categoryId.toString(),
+        slug: 'renamed-slug-post'
+      });
+
+    expect(updated.body.post.slug).toBe('renamed-slug-post');
+
+    const old = await request(app).get('/api/posts/slug/slug-test-renamed');
+
+    expect(old.status).toBe(301);
+    expect(old.headers.location).toBe('/api/posts/slug/renamed-slug-post');
+    expect(old.body.slug).toBe('renamed-slug-post');
+
+    // The old slug stays reserved for the renamed post
+    const reuse = await createPost('Slug Test Renamed');
+    expect(reuse.body.post.slug).toBe('slug-test-renamed-2');
+  });
+
+  it('should keep the slug of a published post when only the title changes', async () => {
+    const created = await createPost('Slug Test Stable');
+    await publish(created.body.post._id);
+
+    const updated = await request(app)
+      .put(`/api/posts/${created.body.post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Slug Test Stable Retitled', content: 'Content for the slug tests', category: categoryId.toString() });
+
+    expect(updated.body.post.slug).toBe('slug-test-stable');
+  });
+});
+
+describe('View counting', () => {
+  const BROWSER = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+  let viewedPostId;
+
+  beforeEach(async () => {
+    const post = await Post.create({
+      title: 'Viewed Post',
+      content: 'A post for the view counting tests',
+      author: userId,
+      category: categoryId,
+      slug: `viewed-post-${Date.now()}`,
+      status: 'published',
+      publishedAt: new Date(Date.now() - 1000)
+    });
+    viewedPostId = post._id;
+  });
+
+  afterEach(async () => {
+    await Post.deleteMany({ title: 'Viewed Post' });
+  });
+
+  const view = (userAgent = BROWSER) => request(app)
+    .get(`/api/posts/${viewedPostId}`)
+    .set('User-Agent', userAgent);
+
+  it('should count repeat views by a visitor once', async () => {
+    await view();
+    await view();
+
+    const post = await Post.findById(viewedPostId);
+    expect(post.views).toBe(1);
+  });
+
+  it('should record the view in a daily bucket', async () => {
+    await view();
+
+    const buckets = await PostViewDaily.find({ post: viewedPostId });
+    expect(buckets).toHaveLength(1);
+    expect(buckets[0].views).toBe(1);
+    expect(buckets[0].day.getTime()).toBe(PostViewDaily.dayOf(new Date()).getTime());
+  });
+
+  it('should not count bots', async () => {
+    await view('Mozilla/5.0 (compatible; bingbot/2.0)');
+
+    expect((await Post.findById(viewedPostId)).views).toBe(0);
+  });
+
+  it('should not count the author', async () => {
+    await view().set('Authorization', `Bearer ${token}`);
+
+    expect((await Post.findById(viewedPostId)).views).toBe(0);
+  });
+
+  it('should not count views of drafts', async () => {
+    await Post.updateOne({ _id: viewedPostId }, { status: 'draft' });
+
+    await view();
+
+    expect((await Post.findById(viewedPostId)).views).toBe(0);
+  });
+});
+
+describe('Likes', () => {
+  let likedPostId;
+  let readerToken;
+
+  beforeEach(async () => {
+    const post = await Post.create({
+      title: 'Liked Post',
+      content: 'A post for the like tests',
+      author: userId,
+      category: categoryId,
+      slug: `liked-post-${Date.now()}`,
+      status: 'published',
+      publishedAt: new Date(Date.now() - 1000)
+    });
+    likedPostId = post._id.toString();
+
+    const reader = await User.findOneAndUpdate(
+      { username: 'likereader' },
+      { username: 'likereader', email: 'likereader@example.com', password: 'password123' },
+      { upsert: true, new: true }
+    );
+    readerToken = generateToken(reader);
+  });
+
+  afterEach(async () => {
+    await Post.deleteMany({ title: 'Liked Post' });
+  });
+
+  const like = (method, authToken = token) => request(app)[method](`/api/posts/${likedPostId}/like`)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  it('should like a post once however often it is repeated', async () => {
+    const responses = await Promise.all([like('put'), like('put'), like('put')]);
+
+    responses.forEach(res => expect(res.status).toBe(200));
+
+    const post = await Post.findById(likedPostId);
+    expect(post.likes).toHaveLength(1);
+    expect(post.likeCount).toBe(1);
+  });
+
+  it('should keep the like when counting it for rankings fails', async () => {
+    const increment = jest.spyOn(PostViewDaily, 'increment').mockRejectedValueOnce(new Error('Bucket unavailable'));
+
+    try {
+      const res = await like('put');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ likeCount: 1, isLiked: true });
+      expect((await Post.findById(likedPostId)).likeCount).toBe(1);
+    } finally {
+      increment.mockRestore();
+    }
+  });
+
+  it('should remove a like idempotently', async () => {
+    await like('put');
+    await like('put', readerToken);
+
+    const first = await like('delete');
+    const second = await like('delete');
+
+    expect(first.body).toMatchObject({ likeCount: 1, isLiked: false });
+    expect(second.body).toMatchObject({ likeCount: 1, isLiked: false });
+  });
+
+  it('should still toggle with POST', async () => {
+    const liked = await like('post');
+    const unliked = await like('post');
+
+    expect(liked.body).toMatchObject({ likeCount: 1, isLiked: true });
+    expect(unliked.body).toMatchObject({ likeCount: 0, isLiked: false });
+  });
+
+  it('should return isLiked for the signed in user in listings', async () => {
+    await like('put');
+
+    const mine = await request(app)
+      .get('/api/posts?limit=100')
+      .set('Authorization', `Bearer ${token}`);
+    const theirs = await request(app)
+      .get('/api/posts?limit=100')
+      .set('Authorization', `Bearer ${readerToken}`);
+    const anonymous = await request(app).get(`/api/posts/${likedPostId}`);
+
+    expect(mine.body.posts.find(p => p._id === likedPostId).isLiked).toBe(true);
+    expect(theirs.body.posts.find(p => p._id === likedPostId).isLiked).toBe(false);
+    expect(anonymous.body.post.isLiked).toBe(false);
+    expect(anonymous.body.post.likeCount).toBe(1);
+    expect(anonymous.body.post.likes).toBeUndefined();
+  });
+
+  it('should list who liked a post, most recent first', async () => {
+    await like('put');
+    await like('put', readerToken);
+
+    const res = await request(app).get(`/api/posts/${likedPostId}/likes?limit=1`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.users.map(u => u.username)).toEqual(['likereader']);
+    expect(res.body.users[0].email).toBeUndefined();
+    expect(res.body.pagination).toMatchObject({ totalLikes: 2, hasNextPage: true });
+
+    const next = await request(app).get(`/api/posts/${likedPostId}/likes?limit=1&page=2`);
+    expect(next.body.users.map(u => u.username)).toEqual(['testuser']);
+  });
+
+  it('should return 404 when liking a missing post', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${new mongoose.Types.ObjectId()}/like`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Read access', () => {
+  const asDraft = { status: 'draft', publishedAt: undefined };
+  let readerToken;
+  let editorToken;
+
+  const read = (id, authToken) => {
+    const req = request(app).get(`/api/posts/${id}`);
+    return authToken ? req.set('Authorization', `Bearer ${authToken}`) : req;
+  };
+
+  const listTitles = async (path, authToken) => {
+    const req = request(app).get(path);
+    const res = await (authToken ? req.set('Authorization', `Bearer ${authToken}`) : req);
+    return res.body.posts.map(post => post.title);
+  };
+
+  beforeAll(async () => {
+    const reader = await User.create({ username: 'accessreader', email: 'accessreader@example.com', password: 'password123' });
+    const editor = await User.create({ username: 'accesseditor', email: 'accesseditor@example.com', password: 'password123', role: 'editor' });
+    readerToken = generateToken(reader);
+    editorToken = generateToken(editor);
+  });
+
+  afterEach(async () => {
+    await Post.deleteMany({ content: DIRECT_POST_CONTENT });
+  });
+
+  it('should show drafts only to their author and editors', async () => {
+    const draft = await createPost('Access Draft', asDraft);
+
+    expect((await read(draft._id)).status).toBe(404);
+    expect((await read(draft._id, readerToken)).status).toBe(404);
+    expect((await read(draft._id, token)).status).toBe(200);
+    expect((await read(draft._id, editorToken)).status).toBe(200);
+  });
+
+  it('should hide posts that are scheduled or published in the future', async () => {
+    const upcoming = await createPost('Access Upcoming', {
+      publishedAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    expect((await read(upcoming._id, readerToken)).status).toBe(404);
+  });
+
+  it('should only list drafts the viewer may read', async () => {
+    await createPost('Access Draft', asDraft);
+
+    expect(await listTitles('/api/posts?status=draft')).not.toContain('Access Draft');
+    expect(await listTitles('/api/posts?status=draft', readerToken)).not.toContain('Access Draft');
+    expect(await listTitles('/api/posts?status=draft', token)).toContain('Access Draft');
+    expect(await listTitles('/api/posts?status=draft', editorToken)).toContain('Access Draft');
+    expect(await listTitles(`/api/users/${userId}/posts?status=draft`, readerToken)).not.toContain('Access Draft');
+  });
+
+  it('should keep archived posts out of public listings', async () => {
+    const archived = await createPost('Access Archived', { status: 'archived' });
+
+    expect(await listTitles('/api/posts?status=archived')).not.toContain('Access Archived');
+    expect(await listTitles('/api/posts?status=archived', editorToken)).toContain('Access Archived');
+    expect((await read(archived._id)).status).toBe(404);
+  });
+
+  it('should let anyone with the link read unlisted posts', async () => {
+    const unlisted = await createPost('Access Unlisted', { visibility: 'unlisted' });
+
+    expect((await read(unlisted._id)).status).toBe(200);
+    expect(await listTitles('/api/posts?limit=100')).not.toContain('Access Unlisted');
+    expect(await listTitles(`/api/users/${userId}/posts?limit=100`)).not.toContain('Access Unlisted');
+  });
+
+  it('should show members-only posts to signed in users', async () => {
+    const membersOnly = await createPost('Access Members', { visibility: 'members_only' });
+
+    const anonymous = await read(membersOnly._id);
+    expect(anonymous.status).toBe(401);
+    expect((await read(membersOnly._id, readerToken)).status).toBe(200);
+    expect(await listTitles('/api/posts?limit=100')).not.toContain('Access Members');
+    expect(await listTitles('/api/posts?limit=100', readerToken)).toContain('Access Members');
+  });
+
+  it('should show private posts only to their author and editors', async () => {
+    const hidden = await createPost('Access Private', { visibility: 'private' });
+
+    expect((await read(hidden._id, readerToken)).status).toBe(404);
+    expect((await read(hidden._id, token)).status).toBe(200);
+    expect(await listTitles('/api/posts?visibility=private', readerToken)).toEqual([]);
+    expect(await listTitles('/api/posts?visibility=private', editorToken)).toContain('Access Private');
+
+    const comments = await request(app)
+      .get(`/api/posts/${hidden._id}/comments`)
+      .set('Authorization', `Bearer ${readerToken}`);
+    expect(comments.status).toBe(404);
+
+    const like = await request(app)
+      .put(`/api/posts/${hidden._id}/like`)
+      .set('Authorization', `Bearer ${readerToken}`);
+    expect(like.status).toBe(404);
+  });
+
+  it('should reject unknown visibilities', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Bad Visibility',
+        content: 'A post with a visibility that does not exist',
+        category: categoryId.toString(),
+        visibility: 'friends'
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe('visibility');
+  });
+});
+
+describe('Related posts', () => {
+  // An author and category of their own, so other tests' posts never match
+  const relatedAuthorId = new mongoose.Types.ObjectId();
+  let own;
+  let otherCategoryId;
+
+  const related = id => request(app).get(`/api/posts/${id}/related`);
+
+  beforeAll(async () => {
+    own = { author: relatedAuthorId, category: (await Category.create({ name: 'Related Category' }))._id };
+    otherCategoryId = (await Category.create({ name: 'Unrelated Category' }))._id;
+  });
+
+  afterEach(async () => {
+    await Post.deleteMany({ content: DIRECT_POST_CONTENT });
+  });
+
+  it('should rank posts sharing tags and words first', async () => {
+    const source = await createPost('Understanding Node Streams', { ...own, tags: ['node', 'streams'] });
+    await createPost('Node Streams and Backpressure', { ...own, tags: ['node', 'streams'] });
+    await createPost('Baking Bread', {
+      category: otherCategoryId,
+      author: new mongoose.Types.ObjectId(),
+      // None of the other posts' words either
+      excerpt: 'Flour, water and patience'
+    });
+
+    const res = await related(source._id);
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts[0].title).toBe('Node Streams and Backpressure');
+    expect(res.body.posts[0].reasons).toEqual(expect.arrayContaining(['tags', 'category', 'text']));
+    expect(res.body.posts.map(p => p.title)).not.toContain('Baking Bread');
+  });
+
+  it('should only recommend public live posts', async () => {
+    const source = await createPost('Source Post', { ...own, tags: ['shared'] });
+    await createPost('Private Post', { ...own, tags: ['shared'], visibility: 'private' });
+    await createPost('Draft Post', { ...own, tags: ['shared'], status: 'draft', publishedAt: undefined });
+
+    const res = await related(source._id);
+
+    const titles = res.body.posts.map(p => p.title);
+    expect(titles).not.toContain('Private Post');
+    expect(titles).not.toContain('Draft Post');
+  });
+
+  it('should refresh recommendations when posts change', async () => {
+    const source = await createPost('Cached Source', { ...own, tags: ['cache'] });
+    const first = await related(source._id);
+
+    await createPost('Fresh Related Post', { ...own, tags: ['cache'] });
+    const second = await related(source._id);
+
+    expect(first.body.posts.map(p => p.title)).not.toContain('Fresh Related Post');
+    expect(second.body.posts[0].title).toBe('Fresh Related Post');
+  });
+
+  it('should not reveal recommendations for posts the viewer cannot read', async () => {
+    const draft = await createPost('Hidden Source', { ...own, status: 'draft', publishedAt: undefined });
+
+    const res = await related(draft._id);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Trending and popular posts', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  const addActivity = (post, daysAgo, counts) =>
+    PostViewDaily.increment(post._id, new Date(Date.now() - daysAgo * DAY), counts);
+
+  const titles = res => res.body.posts.map(p => p.title);
+
+  it('should rank popular posts by weighted engagement in the period', async () => {
+    const older = await createPost('Older Hit');
+    const recent = await createPost('Recent Discussion');
+    await addActivity(older, 2, { views: 100 });
+    await addActivity(recent, 0, { comments: 8 });
+
+    await refreshRankings();
+    const res = await request(app).get('/api/posts/popular?period=week');
+
+    expect(res.status).toBe(200);
+    expect(res.body.period).toBe('week');
+    expect(res.body.computedAt).toBeDefined();
+    expect(titles(res)).toEqual(['Older Hit', 'Recent Discussion']);
+    expect(res.body.posts[0]).toMatchObject({
+      rank: 1,
+      score: 100,
+      activity: { views: 100, likes: 0, comments: 0 }
+    });
+  });
+
+  it('should favour recent activity when trending', async () => {
+    const older = await createPost('Older Hit');
+    const recent = await createPost('Recent Discussion');
+    await addActivity(older, 2, { views: 100 });
+    await addActivity(recent, 0, { comments: 8 });
+
+    await refreshRankings();
+    const week = await request(app).get('/api/posts/trending?period=week');
+    const day = await request(app).get('/api/posts/trending');
+
+    expect(titles(week)).toEqual(['Recent Discussion', 'Older Hit']);
+    expect(day.body.period).toBe('day');
+    expect(titles(day)).toEqual(['Recent Discussion']);
+  });
+
+  it('should only rank listed posts', async () => {
+    const hidden = await createPost('Private Hit', { visibility: 'private' });
+    const listed = await createPost('Listed Post');
+    await addActivity(hidden, 0, { views: 500 });
+    await addActivity(listed, 0, { views: 1 });
+
+    await refreshRankings();
+    const res = await request(app).get('/api/posts/popular');
+
+    expect(titles(res)).toEqual(['Listed Post']);
+  });
+
+  it('should leave out posts hidden since the last refresh', async () => {
+    const post = await createPost('Soon Private');
+    await addActivity(post, 0, { likes: 3 });
+
+    await refreshRankings();
+    await Post.updateOne({ _id: post._id }, { visibility: 'private' });
+    const res = await request(app).get('/api/posts/trending');
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts).toEqual([]);
+  });
+
+  it('should reject unknown periods', async () => {
+    const res = await request(app).get('/api/posts/trending?period=year');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+});
+
 describe('GET /api/posts/:id', () => {
   it('should return a post by ID', async () => {
+    // The test post is a draft, which only its author can read
     const res = await request(app)
-      .get(`/api/posts/${postId}`);
+      .get(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`);
 
     expect(res.status).toBe(200);
     expect(res.body._id).toBe(postId.toString());
@@ -224,6 +1033,298 @@ describe('PUT /api/posts/:id', () => {
   });
 });
 
+describe('Role permissions on posts', () => {
+  const createUserWithRole = async (role) => {
+    const user = await User.create({
+      username: `${role}user`,
+      email: `${role}@example.com`,
+      password: 'password123',
+      role,
+    });
+    return generateToken(user);
+  };
+
+  it('should let an editor update another user\'s post', async () => {
+    const editorToken = await createUserWithRole('editor');
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${editorToken}`)
+      .send({
+        title: 'Edited By Editor',
+        content: 'An editor may update any post',
+        category: categoryId.toString(),
+      });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should not let a moderator delete another user\'s post', async () => {
+    const moderatorToken = await createUserWithRole('moderator');
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Editorial workflow', () => {
+  let draftId;
+  let editorToken;
+
+  beforeEach(async () => {
+    const draft = await Post.create({
+      title: 'Workflow Post',
+      content: 'This post goes through review',
+      author: userId,
+      category: categoryId,
+      slug: `workflow-post-${Date.now()}`,
+    });
+    draftId = draft._id;
+
+    const editor = await User.create({
+      username: `editor${Date.now()}`,
+      email: `editor${Date.now()}@example.com`,
+      password: 'password123',
+      role: 'editor',
+      emailVerified: true,
+    });
+    editorToken = generateToken(editor);
+  });
+
+  it('should not let an author publish directly', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${draftId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Workflow Post',
+        content: 'This post goes through review',
+        category: categoryId.toString(),
+        status: 'published',
+      });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should submit, approve and record each transition', async () => {
+    const submit = await request(app)
+      .post(`/api/posts/${draftId}/submit`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ note: 'Ready for review' });
+
+    expect(submit.status).toBe(200);
+    expect(submit.body.post.status).toBe('in_review');
+
+    const approve = await request(app)
+      .post(`/api/posts/${draftId}/approve`)
+      .set('Authorization', `Bearer ${editorToken}`);
+
+    expect(approve.status).toBe(200);
+    expect(approve.body.post.status).toBe('published');
+    expect(approve.body.post.publishedAt).toBeDefined();
+    expect(approve.body.post.transitions.map(t => t.to)).toEqual(['in_review', 'published']);
+  });
+
+  it('should reject with a reviewer note', async () => {
+    await request(app)
+      .post(`/api/posts/${draftId}/submit`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const reject = await request(app)
+      .post(`/api/posts/${draftId}/reject`)
+      .set('Authorization', `Bearer ${editorToken}`)
+      .send({ note: 'Needs a stronger introduction' });
+
+    expect(reject.status).toBe(200);
+    expect(reject.body.post.status).toBe('draft');
+    expect(reject.body.post.transitions.pop().note).toBe('Needs a stronger introduction');
+
+    // The author reads the note on their post
+    const read = await request(app)
+      .get(`/api/posts/${draftId}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(read.status).toBe(200);
+    expect(read.body.post.transitions.pop().note).toBe('Needs a stronger introduction');
+  });
+
+  it('should not let authors approve posts', async () => {
+    await request(app)
+      .post(`/api/posts/${draftId}/submit`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app)
+      .post(`/api/posts/${draftId}/approve`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Scheduled publishing', () => {
+  let editorToken;
+
+  beforeEach(async () => {
+    const editor = await User.create({
+      username: `scheduler${Date.now()}`,
+      email: `scheduler${Date.now()}@example.com`,
+      password: 'password123',
+      role: 'editor',
+      emailVerified: true,
+    });
+    editorToken = generateToken(editor);
+  });
+
+  it('should require a future scheduledFor date', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${editorToken}`)
+      .send({
+        title: 'Scheduled Post',
+        content: 'This post is published later',
+        category: categoryId.toString(),
+        status: 'scheduled',
+        scheduledFor: new Date(Date.now() - 60 * 1000).toISOString(),
+      });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should publish scheduled posts once they are due', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${editorToken}`)
+      .send({
+        title: 'Scheduled Post',
+        content: 'This post is published later',
+        category: categoryId.toString(),
+        status: 'scheduled',
+        scheduledFor: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.post.status).toBe('scheduled');
+
+    // Not yet due
+    expect(await Post.publishDueScheduled()).toBe(0);
+
+    const listed = await request(app).get('/api/posts');
+    expect(listed.body.posts.map(p => p._id)).not.toContain(res.body.post._id);
+
+    // Move the publish time into the past and run the job
+    await Post.updateOne({ _id: res.body.post._id }, { scheduledFor: new Date(Date.now() - 1000) });
+    expect(await Post.publishDueScheduled()).toBe(1);
+
+    const post = await Post.findById(res.body.post._id);
+    expect(post.status).toBe('published');
+    expect(post.publishedAt).toBeDefined();
+    expect(post.transitions.pop().from).toBe('scheduled');
+  });
+});
+
+describe('Post revisions', () => {
+  let revisedId;
+  let title;
+
+  const update = (fields) => request(app)
+    .put(`/api/posts/${revisedId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      title,
+      content: 'The first version of this post',
+      category: categoryId.toString(),
+      ...fields,
+    });
+
+  beforeEach(async () => {
+    // Titles must differ between tests since they become the slug
+    title = `Revised Post ${Date.now()}`;
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title,
+        content: 'The first version of this post',
+        category: categoryId.toString(),
+      });
+    revisedId = res.body.post._id;
+  });
+
+  it('should record a revision for every update', async () => {
+    await update({ content: 'The second version of this post' });
+    await update({ title: `${title} Again`, content: 'The second version of this post' });
+
+    const res = await request(app)
+      .get(`/api/posts/${revisedId}/revisions`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.revisions.map(r => r.revision)).toEqual([3, 2, 1]);
+    expect(res.body.revisions[0].changedFields).toEqual(['title']);
+    expect(res.body.revisions[1].changedFields).toEqual(['content']);
+  });
+
+  it('should not record a revision when nothing changed', async () => {
+    await update({});
+
+    expect(await PostRevision.countDocuments({ post: revisedId })).toBe(1);
+  });
+
+  it('should diff two revisions field by field', async () => {
+    await update({ content: 'The second version of this post' });
+
+    const res = await request(app)
+      .get(`/api/posts/${revisedId}/revisions/diff?from=1&to=2`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.changes).toEqual({
+      content: {
+        from: 'The first version of this post',
+        to: 'The second version of this post',
+      },
+    });
+  });
+
+  it('should restore an earlier revision as a new revision', async () => {
+    await update({ content: 'An accidental overwrite of the text' });
+
+    const res = await request(app)
+      .post(`/api/posts/${revisedId}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.content).toBe('The first version of this post');
+    expect(res.body.revision.revision).toBe(3);
+    expect(res.body.revision.restoredFrom).toBe(1);
+  });
+
+  it('should return 404 for a missing revision', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${revisedId}/revisions/99/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should not show revisions to other users', async () => {
+    const other = await User.create({
+      username: `reader${Date.now()}`,
+      email: `reader${Date.now()}@example.com`,
+      password: 'password123',
+    });
+
+    const res = await request(app)
+      .get(`/api/posts/${revisedId}/revisions`)
+      .set('Authorization', `Bearer ${generateToken(other)}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
 describe('DELETE /api/posts/:id', () => {
   it('should delete a post when authenticated as author', async () => {
     const res = await request(app)
@@ -0,0 +1,120 @@
+// search.test.js - Integration tests for search endpoints
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+
+// Note: Database cleanup is handled globally in setup.js
+
+let author;
+let category;
+
+const publish = (title, content, tags = []) => Post.create({
+  title,
+  content,
+  tags,
+  author: author._id,
+  category: category._id,
+  slug: title.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+  status: 'published'
+});
+
+beforeAll(async () => {
+  // $text queries need the text indexes to exist
+  await Promise.all([Post.init(), User.init(), Category.init()]);
+});
+
+beforeEach(async () => {
+  author = await User.create({
+    username: 'searchauthor',
+    email: 'searchauthor@example.com',
+    password: 'Password123',
+    profile: { firstName: 'Grace', lastName: 'Hopper' }
+  });
+  category = await Category.create({ name: 'Testing', description: 'Posts about testing software' });
+});
+
+describe('GET /api/posts?search=', () => {
+  it('should rank title matches above content matches', async () => {
+    await publish('A story about databases', 'We once used Jest to test our database layer.');
+    await publish('Jest in practice', 'How we structure our test suites.');
+
+    const res = await request(app).get('/api/posts?search=jest');
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.map(p => p.title)).toEqual(['Jest in practice', 'A story about databases']);
+    expect(res.body.posts[0].highlights.title).toBe('<mark>Jest</mark> in practice');
+  });
+
+  it('should match exact phrases', async () => {
+    await publish('Snapshot testing', 'Snapshot testing catches unexpected UI changes.');
+    await publish('Testing snapshots', 'Testing the snapshot of a database backup.');
+
+    const res = await request(app).get('/api/posts?search="snapshot testing"');
+
+    expect(res.body.posts.map(p => p.title)).toEqual(['Snapshot testing']);
+  });
+
+  it('should match word prefixes', async () => {
+    await publish('MongoDB indexes', 'Indexes make queries fast.');
+    await publish('Postgres indexes', 'Indexes make queries fast too.');
+
+    const res = await request(app).get('/api/posts?search=mongo*');
+
+    expect(res.body.posts.map(p => p.title)).toEqual(['MongoDB indexes']);
+  });
+
+  it('should treat regular expression characters literally', async () => {
+    await publish('Regex safety', 'Never build a pattern from user input.');
+
+    const res = await request(app).get(`/api/posts?search=${encodeURIComponent('(a+)+$ .*')}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts).toHaveLength(0);
+  });
+});
+
+describe('GET /api/search', () => {
+  it('should search posts, users and categories', async () => {
+    await publish('Testing with Grace', 'Notes from a testing workshop.', ['testing']);
+
+    const res = await request(app).get('/api/search?q=grace');
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.posts.items.map(p => p.title)).toEqual(['Testing with Grace']);
+    expect(res.body.results.posts.items[0].content).toBeUndefined();
+    expect(res.body.results.users.items.map(u => u.username)).toEqual(['searchauthor']);
+    expect(res.body.results.users.items[0].email).toBeUndefined();
+    expect(res.body.results.categories.total).toBe(0);
+  });
+
+  it('should limit the search to the requested types', async () => {
+    const res = await request(app).get('/api/search?q=testing&type=categories');
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.results)).toEqual(['categories']);
+    expect(res.body.results.categories.items[0].highlights.name).toBe('<mark>Testing</mark>');
+  });
+
+  it('should not return unpublished posts', async () => {
+    await Post.create({
+      title: 'Secret draft',
+      content: 'Not ready for anyone to read.',
+      author: author._id,
+      category: category._id,
+      slug: 'secret-draft'
+    });
+
+    const res = await request(app).get('/api/search?q=secret&type=posts');
+
+    expect(res.body.results.posts.total).toBe(0);
+  });
+
+  it('should return 400 without a query', async () => {
+    const res = await request(app).get('/api/search');
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,215 @@
+// series.test.js - Integration tests for series API endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Series = require('../../src/models/Series');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+
+// Note: Database cleanup is handled globally in setup.js
+
+let writer;
+let writerToken;
+let otherToken;
+let category;
+let parts;
+
+const createPost = (title, fields = {}) => Post.create({
+  title,
+  content: 'One part of a multi-part tutorial',
+  author: writer._id,
+  category: category._id,
+  status: 'published',
+  publishedAt: new Date(Date.now() - 1000),
+  ...fields
+});
+
+const createSeries = (token, body) => request(app)
+  .post('/api/series')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+const ids = posts => posts.map(post => post._id.toString());
+
+beforeEach(async () => {
+  writer = await User.create({
+    username: 'writer',
+    email: 'writer@example.com',
+    password: 'Password123'
+  });
+  writerToken = generateToken(writer);
+
+  const other = await User.create({
+    username: 'otherwriter',
+    email: 'otherwriter@example.com',
+    password: 'Password123'
+  });
+  otherToken = generateToken(other);
+
+  category = await Category.create({ name: 'Tutorials' });
+  parts = [
+    await createPost('Part One'),
+    await createPost('Part Two'),
+    await createPost('Part Three')
+  ];
+});
+
+describe('POST /api/series', () => {
+  it('should create a series with its posts in order', async () => {
+    const res = await createSeries(writerToken, {
+      title: 'Node From Scratch',
+      description: 'A tutorial in three parts',
+      posts: ids([parts[1], parts[0]])
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.series.slug).toBe('node-from-scratch');
+    expect(res.body.series.posts.map(post => post.title)).toEqual(['Part Two', 'Part One']);
+  });
+
+  it('should give series with the same title different slugs', async () => {
+    await createSeries(writerToken, { title: 'Node From Scratch' });
+    const res = await createSeries(writerToken, { title: 'Node From Scratch' });
+
+    expect(res.body.series.slug).toBe('node-from-scratch-2');
+  });
+
+  it('should not add posts the user cannot edit', async () => {
+    const res = await createSeries(otherToken, { title: 'Borrowed Parts', posts: ids(parts) });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should not add a post to two series', async () => {
+    await createSeries(writerToken, { title: 'First Series', posts: ids([parts[0]]) });
+    const res = await createSeries(writerToken, { title: 'Second Series', posts: ids([parts[0]]) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('First Series');
+  });
+
+  it('should reject repeated posts', async () => {
+    const res = await createSeries(writerToken, { title: 'Echo', posts: ids([parts[0], parts[0]]) });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app).post('/api/series').send({ title: 'Anonymous Series' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/series/:id', () => {
+  it('should return 404 for a series that does not exist', async () => {
+    const res = await request(app).get(`/api/series/${new mongoose.Types.ObjectId()}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should reject malformed IDs', async () => {
+    const res = await request(app).get('/api/series/not-an-id');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+});
+
+describe('PUT /api/series/:id/posts', () => {
+  let seriesId;
+
+  beforeEach(async () => {
+    const res = await createSeries(writerToken, { title: 'Reordered', posts: ids(parts) });
+    seriesId = res.body.series._id;
+  });
+
+  it('should reorder and remove posts', async () => {
+    const res = await request(app)
+      .put(`/api/series/${seriesId}/posts`)
+      .set('Authorization', `Bearer ${writerToken}`)
+      .send({ posts: ids([parts[2], parts[0]]) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.series.posts.map(post => post.title)).toEqual(['Part Three', 'Part One']);
+  });
+
+  it('should only let the owner change the series', async () => {
+    const res = await request(app)
+      .put(`/api/series/${seriesId}/posts`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ posts: [] });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should require a list of post IDs', async () => {
+    const res = await request(app)
+      .put(`/api/series/${seriesId}/posts`)
+      .set('Authorization', `Bearer ${writerToken}`)
+      .send({ posts: ['not-an-id'] });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Series navigation on posts', () => {
+  beforeEach(async () => {
+    await createSeries(writerToken, { title: 'Navigated', posts: ids(parts) });
+  });
+
+  it('should link to the previous and next parts', async () => {
+    const res = await request(app).get(`/api/posts/${parts[1]._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.series).toMatchObject({ title: 'Navigated', position: 2, total: 3 });
+    expect(res.body.series.previous.title).toBe('Part One');
+    expect(res.body.series.next.title).toBe('Part Three');
+  });
+
+  it('should skip parts the viewer cannot read', async () => {
+    await Post.updateOne({ _id: parts[1]._id }, { status: 'draft' });
+
+    const res = await request(app).get(`/api/posts/${parts[0]._id}`);
+
+    expect(res.body.series).toMatchObject({ position: 1, total: 2, previous: null });
+    expect(res.body.series.next.title).toBe('Part Three');
+
+    const series = await request(app).get('/api/series/slug/navigated');
+    expect(series.body.series.posts.map(post => post.title)).toEqual(['Part One', 'Part Three']);
+  });
+
+  it('should return null for posts outside a series', async () => {
+    const loose = await createPost('Standalone');
+
+    const res = await request(app).get(`/api/posts/${loose._id}`);
+
+    expect(res.body.series).toBeNull();
+  });
+
+  it('should drop deleted posts from their series', async () => {
+    await request(app)
+      .delete(`/api/posts/${parts[0]._id}`)
+      .set('Authorization', `Bearer ${writerToken}`);
+
+    const series = await Series.findOne({ slug: 'navigated' });
+    expect(series.posts.map(String)).toEqual(ids([parts[1], parts[2]]));
+  });
+});
+
+describe('DELETE /api/series/:id', () => {
+  it('should delete a series and keep its posts', async () => {
+    const created = await createSeries(writerToken, { title: 'Short Lived', posts: ids(parts) });
+
+    const res = await request(app)
+      .delete(`/api/series/${created.body.series._id}`)
+      .set('Authorization', `Bearer ${writerToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Series.countDocuments()).toBe(0);
+    expect(await Post.countDocuments()).toBe(3);
+  });
+});
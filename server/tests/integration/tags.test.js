@@ -0,0 +1,166 @@
+// tags.test.js - Integration tests for tags API endpoints
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const BlockedTag = require('../../src/models/BlockedTag');
+const { generateToken } = require('../../src/utils/auth');
+
+// Note: Database cleanup is handled globally in setup.js
+
+let admin;
+let adminToken;
+let userToken;
+let category;
+
+const createPost = (title, tags, fields = {}) => Post.create({
+  title,
+  content: 'A post filed under some tags',
+  author: admin._id,
+  category: category._id,
+  tags,
+  status: 'published',
+  publishedAt: new Date(Date.now() - 1000),
+  ...fields
+});
+
+const tagsOf = async title => (await Post.findOne({ title })).tags;
+
+beforeEach(async () => {
+  admin = await User.create({
+    username: 'tagadmin',
+    email: 'tagadmin@example.com',
+    password: 'Password123',
+    role: 'admin'
+  });
+  adminToken = generateToken(admin);
+
+  const user = await User.create({
+    username: 'taguser',
+    email: 'taguser@example.com',
+    password: 'Password123'
+  });
+  userToken = generateToken(user);
+
+  category = await Category.create({ name: 'Tagged' });
+
+  await createPost('Express Basics', ['node', 'express']);
+  await createPost('Node Streams', ['node', 'streams']);
+  await createPost('Nodejs Tips', ['nodejs', 'tips']);
+  await createPost('Hidden Draft', ['node', 'secret'], { status: 'draft', publishedAt: undefined });
+});
+
+describe('GET /api/tags', () => {
+  it('should list tags with post counts, most used first', async () => {
+    const res = await request(app).get('/api/tags');
+
+    expect(res.status).toBe(200);
+    expect(res.body.tags[0]).toEqual({ tag: 'node', count: 2 });
+    expect(res.body.tags.map(t => t.tag)).not.toContain('secret');
+    expect(res.body.pagination.totalTags).toBe(5);
+  });
+
+  it('should filter by prefix', async () => {
+    const res = await request(app).get('/api/tags?prefix=NODE');
+
+    expect(res.body.tags.map(t => t.tag)).toEqual(['node', 'nodejs']);
+  });
+});
+
+describe('GET /api/tags/autocomplete', () => {
+  it('should suggest tags by prefix', async () => {
+    const res = await request(app).get('/api/tags/autocomplete?q=st&limit=5');
+
+    expect(res.status).toBe(200);
+    expect(res.body.tags).toEqual([{ tag: 'streams', count: 1 }]);
+  });
+
+  it('should treat the query as text, not a pattern', async () => {
+    const res = await request(app).get('/api/tags/autocomplete?q=.*');
+
+    expect(res.body.tags).toEqual([]);
+  });
+
+  it('should require a query', async () => {
+    const res = await request(app).get('/api/tags/autocomplete');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/tags/:tag/posts', () => {
+  it('should list the readable posts with a tag', async () => {
+    const res = await request(app).get('/api/tags/Node/posts?sort=title&fields=title');
+
+    expect(res.status).toBe(200);
+    expect(res.body.tag).toBe('node');
+    expect(res.body.posts.map(p => p.title)).toEqual(['Express Basics', 'Node Streams']);
+  });
+});
+
+describe('Tag administration', () => {
+  it('should rename a tag on every post', async () => {
+    const res = await request(app)
+      .put('/api/tags/streams')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Node-Streams' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.updatedPosts).toBe(1);
+    expect(await tagsOf('Node Streams')).toEqual(['node', 'node-streams']);
+  });
+
+  it('should refuse to rename onto a tag in use', async () => {
+    const res = await request(app)
+      .put('/api/tags/nodejs')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'node' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should merge tags without repeating them on a post', async () => {
+    await createPost('Both Tags', ['nodejs', 'node', 'tips']);
+
+    const res = await request(app)
+      .post('/api/tags/merge')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ tags: ['nodejs'], into: 'node' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.updatedPosts).toBe(2);
+    expect(await tagsOf('Nodejs Tips')).toEqual(['node', 'tips']);
+    expect(await tagsOf('Both Tags')).toEqual(['node', 'tips']);
+  });
+
+  it('should block a tag, removing it from posts and keeping it off new ones', async () => {
+    const res = await request(app)
+      .post('/api/tags/blocklist')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ tag: 'Tips', reason: 'Too vague' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.updatedPosts).toBe(1);
+    expect(await tagsOf('Nodejs Tips')).toEqual(['nodejs']);
+
+    const post = await createPost('Tipped Again', ['tips', 'node', 'node']);
+    expect(post.tags).toEqual(['node']);
+
+    const unblock = await request(app)
+      .delete('/api/tags/blocklist/tips')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(unblock.status).toBe(200);
+    expect(await BlockedTag.countDocuments()).toBe(0);
+  });
+
+  it('should limit tag administration to admins', async () => {
+    const res = await request(app)
+      .post('/api/tags/merge')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ tags: ['nodejs'], into: 'node' });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,110 @@
+// fieldsets.test.js - Unit tests for sparse fieldsets and expansion
+
+const mongoose = require('mongoose');
+const {
+  allowedFields,
+  populateFor,
+  pickFields,
+  parseFieldsets
+} = require('../../src/utils/fieldsets');
+
+const fieldset = {
+  fields: {
+    public: ['title', 'slug', 'excerpt', 'content', 'author', 'likeCount'],
+    own: ['notes'],
+    editor: ['transitions']
+  },
+  virtuals: { likeCount: ['likes'] },
+  expand: {
+    author: { path: 'author', model: 'FieldsetUser' },
+    comments: {},
+    'comments.author': { path: 'author', model: 'FieldsetUser' }
+  },
+  defaultExpand: ['author']
+};
+
+const editor = { role: 'editor' };
+
+beforeAll(() => {
+  const schema = new mongoose.Schema({ username: String, email: String });
+  schema.statics.FIELDSETS = { fields: { public: ['username'], admin: ['email'] }, expand: {} };
+  mongoose.model('FieldsetUser', schema);
+});
+
+describe('allowedFields', () => {
+  it('should add role and owner fields to the public ones', () => {
+    expect(allowedFields(fieldset, null)).toEqual(fieldset.fields.public);
+    expect(allowedFields(fieldset, editor)).toContain('transitions');
+    expect(allowedFields(fieldset, { role: 'user' }, { own: true })).toContain('notes');
+    expect(allowedFields(fieldset, { role: 'user' })).not.toContain('notes');
+  });
+});
+
+describe('parseFieldsets', () => {
+  it('should return every allowed field and the default expansions', () => {
+    const result = parseFieldsets({}, fieldset, null);
+
+    expect(result.fields).toEqual(fieldset.fields.public);
+    expect(result.expand).toEqual(['author']);
+    expect(result.select).toEqual(['title', 'slug', 'excerpt', 'content', 'author', 'likes']);
+  });
+
+  it('should narrow the fields and skip default expansions of left out fields', () => {
+    const result = parseFieldsets({ fields: 'title,slug,excerpt' }, fieldset, null);
+
+    expect(result.errors).toEqual([]);
+    expect(result.select).toEqual(['title', 'slug', 'excerpt']);
+    expect(result.expand).toEqual([]);
+  });
+
+  it('should reject fields the role may not see', () => {
+    const anonymous = parseFieldsets({ fields: 'title,transitions' }, fieldset, null);
+    const asEditor = parseFieldsets({ fields: 'title,transitions' }, fieldset, editor);
+
+    expect(anonymous.errors[0].msg).toMatch(/^Unknown or restricted field "transitions"/);
+    expect(asEditor.errors).toEqual([]);
+  });
+
+  it('should expand nested relations along with their parent', () => {
+    const result = parseFieldsets({ fields: 'title', expand: 'comments.author' }, fieldset, null);
+
+    expect(result.expand).toEqual(['comments', 'comments.author']);
+    expect(result.fields).toEqual(['title', 'comments']);
+    expect(result.select).toEqual(['title']);
+  });
+
+  it('should add explicitly expanded relations to the fields', () => {
+    const result = parseFieldsets({ fields: 'title', expand: 'author' }, fieldset, null);
+
+    expect(result.fields).toEqual(['title', 'author']);
+  });
+
+  it('should reject relations the route cannot expand', () => {
+    const result = parseFieldsets({ expand: 'comments' }, fieldset, null, { expandable: ['author'] });
+
+    expect(result.errors[0].msg).toBe('Cannot expand "comments". Expandable relations: author');
+  });
+
+  it('should reject parameters given more than once', () => {
+    expect(parseFieldsets({ fields: ['title', 'slug'] }, fieldset, null).errors).toHaveLength(1);
+  });
+});
+
+describe('populateFor', () => {
+  it('should populate with the related model\'s fields for the viewer', () => {
+    const parsed = { fieldset, expand: ['author', 'comments', 'comments.author'], user: null };
+
+    expect(populateFor(parsed)).toEqual([{ path: 'author', select: 'username' }]);
+    expect(populateFor({ ...parsed, user: { role: 'admin' } }, 'comments.'))
+      .toEqual([{ path: 'author', select: 'username email' }]);
+  });
+});
+
+describe('pickFields', () => {
+  it('should copy only the given paths', () => {
+    const object = { _id: 1, title: 'T', content: 'C', profile: { bio: 'B', avatar: 'A' } };
+
+    expect(pickFields(object, ['title', 'profile.bio', 'missing.path']))
+      .toEqual({ _id: 1, title: 'T', profile: { bio: 'B' } });
+  });
+});
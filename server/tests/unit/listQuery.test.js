@@ -0,0 +1,140 @@
+// listQuery.test.js - Unit tests for list sort and filter parsing
+
+const { parseListQuery, listQuery } = require('../../src/utils/listQuery');
+
+const options = {
+  sortable: ['publishedAt', 'title', 'views'],
+  filters: {
+    author: { type: 'id', multi: true },
+    status: { type: 'enum', values: ['draft', 'published'] },
+    tags: { type: 'string', multi: true, lowercase: true },
+    featured: { type: 'boolean' },
+    publishedAt: { type: 'date', range: true },
+    views: { type: 'number', range: true }
+  },
+  params: ['page', 'limit'],
+  defaultSort: '-publishedAt'
+};
+
+const messages = result => result.errors.map(error => error.msg);
+
+describe('parseListQuery', () => {
+  it('should use the default sort and no filters for an empty query', () => {
+    expect(parseListQuery({}, options)).toEqual({ filter: {}, sort: '-publishedAt', errors: [] });
+  });
+
+  it('should leave route parameters alone', () => {
+    const result = parseListQuery({ page: '2', limit: '5' }, options);
+
+    expect(result.errors).toEqual([]);
+    expect(result.filter).toEqual({});
+  });
+
+  it('should accept and normalise whitelisted sort fields', () => {
+    expect(parseListQuery({ sort: '-views,title' }, options).sort).toBe('-views title');
+  });
+
+  it('should reject sorting on unknown fields', () => {
+    const result = parseListQuery({ sort: '-password' }, options);
+
+    expect(messages(result)).toEqual(['Cannot sort by "password". Sortable fields: publishedAt, title, views']);
+  });
+
+  it('should reject repeated and array sort values', () => {
+    expect(parseListQuery({ sort: 'title -title' }, options).errors).toHaveLength(1);
+    expect(parseListQuery({ sort: ['title', 'views'] }, options).errors).toHaveLength(1);
+  });
+
+  it('should reject unknown query parameters', () => {
+    const result = parseListQuery({ password: 'x' }, options);
+
+    expect(result.errors[0]).toMatchObject({ path: 'password', location: 'query' });
+    expect(result.errors[0].msg).toMatch(/^Unknown query parameter "password"\. Filterable fields: author/);
+  });
+
+  it('should convert values to the filter type', () => {
+    const result = parseListQuery({ featured: 'true', status: 'draft', views: '10' }, options);
+
+    expect(result.filter).toEqual({ featured: true, status: 'draft', views: 10 });
+  });
+
+  it('should turn comma separated and repeated values into $in', () => {
+    expect(parseListQuery({ tags: 'Node,express' }, options).filter)
+      .toEqual({ tags: { $in: ['node', 'express'] } });
+    expect(parseListQuery({ tags: ['node', 'react'] }, options).filter)
+      .toEqual({ tags: { $in: ['node', 'react'] } });
+    expect(parseListQuery({ tags: 'node,node' }, options).filter).toEqual({ tags: 'node' });
+  });
+
+  it('should only accept several values for multi-value filters', () => {
+    expect(messages(parseListQuery({ status: ['draft', 'published'] }, options)))
+      .toEqual(['Filter "status" accepts a single value']);
+  });
+
+  it('should build range conditions', () => {
+    const result = parseListQuery({
+      publishedAt: { gte: '2024-01-01', lt: '2024-02-01' },
+      views: { gt: '100' }
+    }, options);
+
+    expect(result.filter).toEqual({
+      publishedAt: { $gte: new Date('2024-01-01'), $lt: new Date('2024-02-01') },
+      views: { $gt: 100 }
+    });
+  });
+
+  it('should reject ranges on fields without them and unknown operators', () => {
+    expect(messages(parseListQuery({ status: { ne: 'draft' } }, options)))
+      .toEqual(['Filter "status" does not support ranges']);
+    expect(messages(parseListQuery({ views: { $where: '1' } }, options)))
+      .toEqual(['Unknown operator "$where" for "views". Use one of: gt, gte, lt, lte']);
+  });
+
+  it('should explain invalid values', () => {
+    const result = parseListQuery({
+      author: 'nope',
+      status: 'deleted',
+      featured: 'maybe',
+      views: { gt: 'many' },
+      publishedAt: { gte: 'yesterday' }
+    }, options);
+
+    expect(messages(result)).toEqual([
+      'Filter "author" must be a valid MongoDB ID',
+      'Filter "status" must be one of: draft, published',
+      'Filter "featured" must be a boolean',
+      'Filter "views" must be a number',
+      'Filter "publishedAt" must be an ISO 8601 date'
+    ]);
+  });
+});
+
+describe('listQuery middleware', () => {
+  const createRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  it('should store the parsed query on the request', () => {
+    const req = { query: { views: { gte: '5' }, sort: 'title' } };
+    const next = jest.fn();
+
+    listQuery(options)(req, createRes(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.listQuery).toEqual({ filter: { views: { $gte: 5 } }, sort: 'title' });
+  });
+
+  it('should answer 400 with the problems', () => {
+    const res = createRes();
+    const next = jest.fn();
+
+    listQuery(options)({ query: { colour: 'red' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toBe('Validation failed');
+  });
+});
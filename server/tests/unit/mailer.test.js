@@ -0,0 +1,74 @@
+// server/tests/unit/mailer.test.js - Unit tests for the mailer utility
+
+const {
+  transports,
+  createDefaultTransport,
+  setTransport,
+  getTransport,
+  sendMail
+} = require('../../src/utils/mailer');
+const logger = require('../../src/utils/logger');
+
+describe('Mailer', () => {
+  let originalTransport;
+
+  beforeEach(() => {
+    originalTransport = getTransport();
+  });
+
+  afterEach(() => {
+    setTransport(originalTransport);
+  });
+
+  it('sends messages through the active transport', async () => {
+    const memory = transports.memory();
+    setTransport(memory);
+
+    await sendMail({ to: 'test@example.com', subject: 'Hello', text: 'Body' });
+
+    expect(memory.outbox).toHaveLength(1);
+    expect(memory.outbox[0]).toMatchObject({
+      to: 'test@example.com',
+      subject: 'Hello',
+      text: 'Body'
+    });
+    expect(memory.outbox[0].from).toBeDefined();
+  });
+
+  it('accepts custom transports', async () => {
+    const send = jest.fn().mockResolvedValue();
+    setTransport({ send });
+
+    await sendMail({ to: 'test@example.com', subject: 'Custom', text: 'Body' });
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Custom' }));
+  });
+
+  it('rejects transports without a send method', () => {
+    expect(() => setTransport({})).toThrow('Mail transport must implement send(message)');
+  });
+
+  it('uses the memory transport in the test environment', () => {
+    expect(getTransport().name).toBe('memory');
+  });
+
+  it('logs mail to the console in development', () => {
+    expect(createDefaultTransport({ NODE_ENV: 'development' }).name).toBe('console');
+  });
+
+  it('never logs mail bodies without a configured transport', async () => {
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+
+    try {
+      const fallback = createDefaultTransport({ NODE_ENV: 'production' });
+      await fallback.send({ to: 'test@example.com', subject: 'Reset', text: 'token=secret' });
+
+      expect(error).toHaveBeenCalledWith('MAIL_TRANSPORT is not set; mail will not be delivered');
+      expect(info.mock.calls.join(' ')).not.toContain('secret');
+    } finally {
+      error.mockRestore();
+      info.mockRestore();
+    }
+  });
+});
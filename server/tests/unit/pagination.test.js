@@ -0,0 +1,106 @@
+// pagination.test.js - Unit tests for the pagination helper
+
+const mongoose = require('mongoose');
+const {
+  parseSort,
+  getCursorField,
+  encodeCursor,
+  decodeCursor,
+  paginate
+} = require('../../src/utils/pagination');
+
+// Minimal stand-in for a Mongoose query that records what was asked of it
+const createQuery = (results, total = results.length) => {
+  const calls = { and: [] };
+  const query = {
+    calls,
+    model: { countDocuments: jest.fn().mockResolvedValue(total) },
+    getFilter: () => ({}),
+    clone: () => query,
+    sort: (sort) => { calls.sort = sort; return query; },
+    skip: (skip) => { calls.skip = skip; return query; },
+    limit: (limit) => { calls.limit = limit; return query; },
+    and: (conditions) => { calls.and.push(...conditions); return query; },
+    then: (resolve, reject) => Promise.resolve(results.slice(0, calls.limit)).then(resolve, reject)
+  };
+  return query;
+};
+
+const makeDoc = (publishedAt) => ({ _id: new mongoose.Types.ObjectId(), publishedAt });
+
+describe('Pagination', () => {
+  describe('parseSort / getCursorField', () => {
+    it('parses sort strings', () => {
+      expect(parseSort('-publishedAt title')).toEqual({ publishedAt: -1, title: 1 });
+      expect(getCursorField('-publishedAt')).toEqual(['publishedAt', -1]);
+      expect(getCursorField('')).toEqual(['_id', 1]);
+      expect(getCursorField('-featured -publishedAt')).toBeNull();
+    });
+  });
+
+  describe('cursors', () => {
+    it('round-trip the sort value with its type', () => {
+      const doc = makeDoc(new Date('2024-05-01T10:00:00Z'));
+      const cursor = decodeCursor(encodeCursor(doc, 'publishedAt', 'next'));
+
+      expect(cursor.field).toBe('publishedAt');
+      expect(cursor.direction).toBe('next');
+      expect(cursor.id.equals(doc._id)).toBe(true);
+      expect(cursor.value).toEqual(new Date('2024-05-01T10:00:00Z'));
+    });
+
+    it('reject malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      expect(decodeCursor(Buffer.from('{"f":"x","d":"up","id":"1"}').toString('base64url'))).toBeNull();
+    });
+  });
+
+  describe('paginate', () => {
+    const docs = [
+      makeDoc(new Date('2024-05-03')),
+      makeDoc(new Date('2024-05-02')),
+      makeDoc(new Date('2024-05-01'))
+    ];
+
+    it('pages with skip and a total, returning a cursor to continue from', async () => {
+      const query = createQuery(docs.slice(0, 2), 3);
+
+      const { items, pagination } = await paginate(query, { sort: '-publishedAt', page: 1, limit: 2, totalKey: 'totalPosts' });
+
+      expect(items).toHaveLength(2);
+      expect(query.calls.sort).toEqual({ publishedAt: -1, _id: -1 });
+      expect(query.calls.skip).toBe(0);
+      expect(pagination).toMatchObject({ currentPage: 1, totalPages: 2, totalPosts: 3, hasNextPage: true });
+      expect(decodeCursor(pagination.nextCursor).id.equals(docs[1]._id)).toBe(true);
+    });
+
+    it('continues after the cursor key without counting', async () => {
+      const cursor = encodeCursor(docs[1], 'publishedAt', 'next');
+      const query = createQuery([docs[2]]);
+
+      const { items, pagination } = await paginate(query, { sort: '-publishedAt', limit: 2, cursor });
+
+      expect(items).toEqual([docs[2]]);
+      expect(query.model.countDocuments).not.toHaveBeenCalled();
+      expect(query.calls.limit).toBe(3);
+      expect(query.calls.and[0].$or).toEqual([
+        { publishedAt: { $lt: docs[1].publishedAt } },
+        { publishedAt: docs[1].publishedAt, _id: { $lt: docs[1]._id } },
+        { publishedAt: null }
+      ]);
+      expect(pagination).toMatchObject({ hasNextPage: false, hasPrevPage: true, nextCursor: null });
+    });
+
+    it('walks backwards from a previous-page cursor', async () => {
+      const cursor = encodeCursor(docs[2], 'publishedAt', 'prev');
+      // Reversed order, as the database would return it
+      const query = createQuery([docs[1], docs[0]]);
+
+      const { items, pagination } = await paginate(query, { sort: '-publishedAt', limit: 2, cursor });
+
+      expect(query.calls.sort).toEqual({ publishedAt: 1, _id: 1 });
+      expect(items).toEqual([docs[0], docs[1]]);
+      expect(pagination).toMatchObject({ hasNextPage: true, hasPrevPage: false });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// server/tests/unit/permissions.test.js - Unit tests for the permission system
+
+const { hasPermission, getPermissions, can, ROLES } = require('../../src/utils/permissions');
+
+describe('Permissions', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const otherId = '507f1f77bcf86cd799439012';
+  const makeUser = role => ({ _id: userId, role });
+
+  describe('hasPermission', () => {
+    it('grants plain permissions to a role', () => {
+      expect(hasPermission(makeUser('editor'), 'post:publish')).toBe(true);
+      expect(hasPermission(makeUser('moderator'), 'comment:moderate')).toBe(true);
+    });
+
+    it('denies permissions the role does not hold', () => {
+      expect(hasPermission(makeUser('user'), 'user:manage')).toBe(false);
+      expect(hasPermission(makeUser('moderator'), 'post:update', { author: otherId })).toBe(false);
+    });
+
+    it('applies ":own" grants only to owned resources', () => {
+      const user = makeUser('user');
+
+      expect(hasPermission(user, 'post:update', { author: userId })).toBe(true);
+      expect(hasPermission(user, 'post:update', { author: otherId })).toBe(false);
+      expect(hasPermission(user, 'user:read', { _id: userId })).toBe(true);
+      expect(hasPermission(user, 'user:read', { _id: otherId })).toBe(false);
+    });
+
+    it('applies ":own" comment grants to the comment author', () => {
+      const user = makeUser('user');
+
+      expect(hasPermission(user, 'comment:update', { author: userId }, 'comment')).toBe(true);
+      expect(hasPermission(user, 'comment:delete', { author: otherId }, 'comment')).toBe(false);
+      expect(hasPermission(makeUser('moderator'), 'comment:delete', { author: otherId }, 'comment')).toBe(true);
+    });
+
+    it('recognises populated authors as owners', () => {
+      expect(hasPermission(makeUser('user'), 'post:delete', { author: { _id: userId } })).toBe(true);
+    });
+
+    it('gives admins every permission', () => {
+      expect(hasPermission(makeUser('admin'), 'anything:at-all')).toBe(true);
+    });
+
+    it('denies everything without a user or with an unknown role', () => {
+      expect(hasPermission(null, 'post:create')).toBe(false);
+      expect(hasPermission(makeUser('ghost'), 'post:create')).toBe(false);
+    });
+  });
+
+  describe('getPermissions', () => {
+    it('defines permissions for every role', () => {
+      ROLES.forEach((role) => {
+        expect(getPermissions(role).length).toBeGreaterThan(0);
+      });
+    });
+  });
+
+  describe('can', () => {
+    let mockRes;
+    let mockNext;
+
+    beforeEach(() => {
+      mockRes = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn()
+      };
+      mockNext = jest.fn();
+    });
+
+    it('calls next when the permission is held', async () => {
+      await can('category:manage')({ user: makeUser('editor') }, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it('responds 403 when the permission is missing', async () => {
+      await can('category:manage')({ user: makeUser('user') }, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('responds 401 without an authenticated user', async () => {
+      await can('post:create')({}, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+// server/tests/unit/postAccess.test.js - Unit tests for post read access
+
+const { canRead, checkReadAccess, readableFilter, listingQuery } = require('../../src/utils/postAccess');
+
+describe('Post access', () => {
+  const authorId = '507f1f77bcf86cd799439011';
+  const otherId = '507f1f77bcf86cd799439012';
+  const now = new Date('2024-05-01T12:00:00Z');
+  const past = new Date('2024-04-01T00:00:00Z');
+  const future = new Date('2024-06-01T00:00:00Z');
+
+  const author = { _id: authorId, role: 'user' };
+  const reader = { _id: otherId, role: 'user' };
+  const editor = { _id: otherId, role: 'editor' };
+
+  const makePost = (fields = {}) => ({
+    author: authorId,
+    status: 'published',
+    publishedAt: past,
+    visibility: 'public',
+    ...fields
+  });
+
+  describe('canRead', () => {
+    it('lets anyone read live public and unlisted posts', () => {
+      expect(canRead(undefined, makePost(), now)).toBe(true);
+      expect(canRead(undefined, makePost({ visibility: 'unlisted' }), now)).toBe(true);
+    });
+
+    it('limits members-only posts to signed in users', () => {
+      const post = makePost({ visibility: 'members_only' });
+
+      expect(canRead(undefined, post, now)).toBe(false);
+      expect(canRead(reader, post, now)).toBe(true);
+    });
+
+    it('shows drafts, future and private posts only to the author and editors', () => {
+      [
+        makePost({ status: 'draft', publishedAt: undefined }),
+        makePost({ status: 'archived' }),
+        makePost({ publishedAt: future }),
+        makePost({ visibility: 'private' })
+      ].forEach((post) => {
+        expect(canRead(undefined, post, now)).toBe(false);
+        expect(canRead(reader, post, now)).toBe(false);
+        expect(canRead(author, post, now)).toBe(true);
+        expect(canRead(editor, post, now)).toBe(true);
+      });
+    });
+  });
+
+  describe('checkReadAccess', () => {
+    it('asks anonymous viewers to sign in for live members-only posts', () => {
+      expect(checkReadAccess(undefined, makePost({ visibility: 'members_only' }), now))
+        .toEqual({ status: 401, error: 'Sign in to read this post' });
+    });
+
+    it('answers 404 for hidden posts', () => {
+      expect(checkReadAccess(reader, makePost({ status: 'draft' }), now))
+        .toEqual({ status: 404, error: 'Post not found' });
+      expect(checkReadAccess(undefined, makePost({ status: 'draft', visibility: 'members_only' }), now).status)
+        .toBe(404);
+    });
+
+    it('allows readable posts', () => {
+      expect(checkReadAccess(reader, makePost(), now)).toBeNull();
+    });
+  });
+
+  describe('readableFilter', () => {
+    it('does not restrict editors', () => {
+      expect(readableFilter(editor, now)).toEqual({});
+    });
+
+    it('adds the viewer\'s own posts for signed in users', () => {
+      expect(readableFilter(reader, now)).toEqual({
+        $or: [
+          {
+            status: 'published',
+            publishedAt: { $lte: now },
+            visibility: { $in: ['public', 'unlisted', 'members_only'] }
+          },
+          { author: otherId }
+        ]
+      });
+    });
+
+    it('limits anonymous viewers to live posts', () => {
+      expect(readableFilter(undefined, now)).toEqual({
+        status: 'published',
+        publishedAt: { $lte: now },
+        visibility: { $in: ['public', 'unlisted'] }
+      });
+    });
+  });
+
+  describe('listingQuery', () => {
+    it('lists live posts with listed visibilities by default', () => {
+      const query = listingQuery({ tags: 'node' }, undefined, now);
+
+      expect(query.tags).toBe('node');
+      expect(query.visibility).toEqual({ $in: ['public'] });
+      expect(query.status).toBeUndefined();
+      expect(query.$and).toHaveLength(2);
+    });
+
+    it('keeps requested statuses and visibilities', () => {
+      const query = listingQuery({ status: 'draft', visibility: 'private' }, editor, now);
+
+      expect(query).toEqual({ status: 'draft', visibility: 'private' });
+    });
+
+    it('lists members-only posts for signed in users', () => {
+      expect(listingQuery({}, reader, now).visibility).toEqual({ $in: ['public', 'members_only'] });
+    });
+  });
+});
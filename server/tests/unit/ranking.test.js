@@ -0,0 +1,59 @@
+// server/tests/unit/ranking.test.js - Unit tests for trending and popular scores
+
+const {
+  DEFAULT_WEIGHTS,
+  parseWeights,
+  periodStart,
+  rankingPipeline
+} = require('../../src/utils/ranking');
+
+describe('Ranking', () => {
+  describe('parseWeights', () => {
+    it('uses the defaults without variables', () => {
+      expect(parseWeights({})).toEqual(DEFAULT_WEIGHTS);
+    });
+
+    it('reads valid weights and ignores invalid ones', () => {
+      expect(parseWeights({
+        RANKING_WEIGHT_VIEWS: '0',
+        RANKING_WEIGHT_LIKES: '2.5',
+        RANKING_WEIGHT_COMMENTS: 'lots'
+      })).toEqual({ views: 0, likes: 2.5, comments: DEFAULT_WEIGHTS.comments });
+    });
+
+    it('ignores empty and negative weights', () => {
+      expect(parseWeights({ RANKING_WEIGHT_VIEWS: ' ', RANKING_WEIGHT_LIKES: '-1' })).toEqual(DEFAULT_WEIGHTS);
+    });
+  });
+
+  describe('periodStart', () => {
+    it('starts at the beginning of the first day in the period', () => {
+      const now = new Date('2024-03-10T15:30:00Z');
+
+      expect(periodStart('day', now)).toEqual(new Date('2024-03-09T00:00:00Z'));
+      expect(periodStart('week', now)).toEqual(new Date('2024-03-03T00:00:00Z'));
+      expect(periodStart('month', now)).toEqual(new Date('2024-02-09T00:00:00Z'));
+    });
+  });
+
+  describe('rankingPipeline', () => {
+    const now = new Date('2024-03-10T15:30:00Z');
+    const build = kind => rankingPipeline({ kind, period: 'week', weights: DEFAULT_WEIGHTS, now, limit: 5 });
+
+    it('matches the period and keeps the best scores', () => {
+      const pipeline = build('popular');
+
+      expect(pipeline[0]).toEqual({ $match: { day: { $gte: periodStart('week', now), $lte: now } } });
+      expect(pipeline.slice(-3)).toEqual([
+        { $match: { score: { $gt: 0 } } },
+        { $sort: { score: -1, _id: -1 } },
+        { $limit: 5 }
+      ]);
+    });
+
+    it('decays activity only when trending', () => {
+      expect(JSON.stringify(build('trending'))).toContain('$pow');
+      expect(JSON.stringify(build('popular'))).not.toContain('$pow');
+    });
+  });
+});
@@ -0,0 +1,254 @@
+// server/tests/unit/rateLimiter.test.js - Unit tests for the rate limiting middleware
+
+const { createRateLimiter } = require('../../src/middleware/rateLimiter');
+const { createMemoryStore } = require('../../src/utils/rateLimitStores');
+const { generateToken } = require('../../src/utils/auth');
+const logger = require('../../src/utils/logger');
+
+describe('createRateLimiter', () => {
+  let mockReq;
+  let mockRes;
+  let mockNext;
+
+  beforeEach(() => {
+    mockReq = {
+      ip: '127.0.0.1',
+      method: 'GET',
+      baseUrl: '/api/posts',
+      path: '/',
+      headers: {},
+      body: {}
+    };
+    mockRes = {
+      set: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    mockNext = jest.fn();
+  });
+
+  const headerValue = (name) => {
+    const call = mockRes.set.mock.calls.filter(([header]) => header === name).pop();
+    return call && call[1];
+  };
+
+  describe('fixed window', () => {
+    let rateLimiter;
+
+    beforeEach(() => {
+      rateLimiter = createRateLimiter({ windowMs: 1000, max: 2 }); // 1 second window, 2 requests max
+    });
+
+    it('allows requests within limit', async () => {
+      await rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledTimes(2);
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it('blocks requests over limit', async () => {
+      await rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(429);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'Too many requests. Please try again later.'
+      });
+      expect(mockNext).toHaveBeenCalledTimes(2);
+      expect(headerValue('Retry-After')).toBeDefined();
+    });
+
+    it('sets standard rate limit headers', async () => {
+      await rateLimiter(mockReq, mockRes, mockNext);
+
+      expect(headerValue('RateLimit-Limit')).toBe('2');
+      expect(headerValue('RateLimit-Remaining')).toBe('1');
+      expect(headerValue('RateLimit-Reset')).toBeDefined();
+      expect(headerValue('RateLimit-Policy')).toBe('2;w=1');
+    });
+
+    it('resets limit after window expires', async () => {
+      await rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
+
+      await new Promise(resolve => setTimeout(resolve, 1100));
+
+      await rateLimiter(mockReq, mockRes, mockNext);
+      expect(mockNext).toHaveBeenCalledTimes(3);
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it('handles different IP addresses separately', async () => {
+      const req1 = { ...mockReq, ip: '127.0.0.1' };
+      const req2 = { ...mockReq, ip: '192.168.1.1' };
+
+      await rateLimiter(req1, mockRes, mockNext);
+      await rateLimiter(req2, mockRes, mockNext);
+      await rateLimiter(req1, mockRes, mockNext);
+      await rateLimiter(req2, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledTimes(4);
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sliding window', () => {
+    it('counts part of the previous window', async () => {
+      const windowMs = 60 * 1000;
+      const rateLimiter = createRateLimiter({ algorithm: 'sliding-window', windowMs, max: 2 });
+      const now = jest.spyOn(Date, 'now');
+
+      // Two requests at the very end of one window...
+      now.mockReturnValue(windowMs * 10 - 1);
+      await rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
+
+      // ...still count at the start of the next one
+      now.mockReturnValue(windowMs * 10 + 1);
+      await rateLimiter(mockReq, mockRes, mockNext);
+
+      now.mockRestore();
+
+      expect(mockNext).toHaveBeenCalledTimes(2);
+      expect(mockRes.status).toHaveBeenCalledWith(429);
+    });
+  });
+
+  describe('token bucket', () => {
+    it('refills tokens over time', async () => {
+      const rateLimiter = createRateLimiter({ algorithm: 'token-bucket', windowMs: 1000, max: 2 });
+      const now = jest.spyOn(Date, 'now');
+
+      now.mockReturnValue(100000);
+      await rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledTimes(2);
+      expect(mockRes.status).toHaveBeenCalledWith(429);
+
+      // Half the window refills one token
+      now.mockReturnValue(100500);
+      await rateLimiter(mockReq, mockRes, mockNext);
+
+      now.mockRestore();
+
+      expect(mockNext).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('key strategies', () => {
+    it('keys by user id from the access token', async () => {
+      const rateLimiter = createRateLimiter({ windowMs: 1000, max: 1, keyBy: 'user' });
+      const tokenFor = id => generateToken({ _id: id, username: 'u', email: 'u@example.com', role: 'user' });
+
+      const req1 = { ...mockReq, headers: { authorization: `Bearer ${tokenFor('507f1f77bcf86cd799439011')}` } };
+      const req2 = { ...mockReq, headers: { authorization: `Bearer ${tokenFor('507f1f77bcf86cd799439012')}` } };
+
+      await rateLimiter(req1, mockRes, mockNext);
+      await rateLimiter(req2, mockRes, mockNext);
+      expect(mockNext).toHaveBeenCalledTimes(2);
+
+      await rateLimiter(req1, mockRes, mockNext);
+      expect(mockRes.status).toHaveBeenCalledWith(429);
+    });
+
+    it('limits invalid tokens by IP without logging them', async () => {
+      const rateLimiter = createRateLimiter({ windowMs: 1000, max: 1, keyBy: 'user' });
+      const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+      const req = { ...mockReq, headers: { authorization: 'Bearer not-a-token' } };
+
+      await rateLimiter(req, mockRes, mockNext);
+      await rateLimiter({ ...mockReq, headers: {} }, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).toHaveBeenCalledWith(429);
+      expect(error).not.toHaveBeenCalled();
+
+      error.mockRestore();
+    });
+
+    it('keys by route pattern rather than path', async () => {
+      const rateLimiter = createRateLimiter({ windowMs: 1000, max: 1, keyBy: 'route' });
+      const route = { path: '/:id' };
+
+      await rateLimiter({ ...mockReq, path: '/1', route }, mockRes, mockNext);
+      await rateLimiter({ ...mockReq, path: '/2', route }, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).toHaveBeenCalledWith(429);
+    });
+
+    it('shares one route key before a route has matched', async () => {
+      const rateLimiter = createRateLimiter({ windowMs: 1000, max: 1, keyBy: 'route' });
+
+      await rateLimiter({ ...mockReq, path: '/1' }, mockRes, mockNext);
+      await rateLimiter({ ...mockReq, path: '/2' }, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledTimes(1);
+    });
+
+    it('combines strategies and custom key functions', async () => {
+      const rateLimiter = createRateLimiter({
+        windowMs: 1000,
+        max: 1,
+        keyBy: ['ip', req => req.body.email],
+        message: 'Slow down'
+      });
+
+      await rateLimiter({ ...mockReq, body: { email: 'a@example.com' } }, mockRes, mockNext);
+      await rateLimiter({ ...mockReq, body: { email: 'b@example.com' } }, mockRes, mockNext);
+      expect(mockNext).toHaveBeenCalledTimes(2);
+
+      await rateLimiter({ ...mockReq, body: { email: 'a@example.com' } }, mockRes, mockNext);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Slow down' });
+    });
+
+    it('rejects unknown strategies and algorithms', () => {
+      expect(() => createRateLimiter({ keyBy: 'nope' })).toThrow('Unknown rate limit key strategy: nope');
+      expect(() => createRateLimiter({ algorithm: 'nope' })).toThrow('Unknown rate limit algorithm: nope');
+    });
+  });
+
+  it('lets requests through when the store fails', async () => {
+    const store = createMemoryStore();
+    store.increment = jest.fn().mockRejectedValue(new Error('store down'));
+    const rateLimiter = createRateLimiter({ max: 1, store });
+
+    await rateLimiter(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createMemoryStore', () => {
+  it('evicts the least recently used keys', async () => {
+    const store = createMemoryStore({ maxKeys: 2 });
+
+    await store.increment('a', 1000);
+    await store.increment('b', 1000);
+    await store.get('a'); // touch "a" so "b" is the oldest
+    await store.increment('c', 1000);
+
+    expect(store.size).toBe(2);
+    expect(await store.get('a')).toBe(1);
+    expect(await store.get('b')).toBeNull();
+  });
+
+  it('expires entries after their ttl', async () => {
+    const store = createMemoryStore();
+    const now = jest.spyOn(Date, 'now');
+
+    now.mockReturnValue(1000);
+    await store.increment('a', 500);
+
+    now.mockReturnValue(1600);
+    const value = await store.get('a');
+
+    now.mockRestore();
+
+    expect(value).toBeNull();
+  });
+});
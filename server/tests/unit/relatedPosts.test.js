@@ -0,0 +1,114 @@
+// server/tests/unit/relatedPosts.test.js - Unit tests for related post recommendations
+
+const {
+  tokenize,
+  tfidfVectors,
+  cosineSimilarity,
+  scoreRelated,
+  createRelatedPosts
+} = require('../../src/utils/relatedPosts');
+const { createMemoryStore } = require('../../src/utils/rateLimitStores');
+
+describe('Related posts', () => {
+  const makePost = (id, fields = {}) => ({
+    _id: id,
+    title: '',
+    excerpt: '',
+    tags: [],
+    category: 'c1',
+    author: 'a1',
+    publishedAt: new Date('2024-01-01'),
+    ...fields
+  });
+
+  describe('tokenize', () => {
+    it('keeps meaningful lowercase words', () => {
+      expect(tokenize('How to Use the Node.js Streams API')).toEqual(['node', 'streams', 'api']);
+    });
+
+    it('keeps letters of other scripts', () => {
+      expect(tokenize('Привет мир, café')).toEqual(['привет', 'мир', 'café']);
+    });
+  });
+
+  describe('text similarity', () => {
+    it('scores documents sharing rare words higher', () => {
+      const [query, close, far] = tfidfVectors([
+        ['node', 'streams', 'backpressure'],
+        ['streams', 'backpressure', 'explained'],
+        ['react', 'hooks', 'explained']
+      ]);
+
+      expect(cosineSimilarity(query, close)).toBeGreaterThan(cosineSimilarity(query, far));
+      expect(cosineSimilarity(query, far)).toBe(0);
+    });
+
+    it('returns 0 for empty vectors', () => {
+      expect(cosineSimilarity(new Map(), new Map())).toBe(0);
+    });
+  });
+
+  describe('scoreRelated', () => {
+    const post = makePost('p1', { title: 'Node streams in depth', tags: ['node', 'streams'] });
+
+    it('ranks posts by shared tags, category, author and text', () => {
+      const results = scoreRelated(post, [
+        makePost('p2', { title: 'Cooking pasta', category: 'c2', author: 'a2', tags: ['node'] }),
+        makePost('p3', { title: 'Streams and backpressure', tags: ['node', 'streams'] }),
+        makePost('p4', { title: 'Gardening', category: 'c2', author: 'a2' })
+      ]);
+
+      expect(results.map(result => result.post._id)).toEqual(['p3', 'p2']);
+      expect(results[0].reasons).toEqual(['tags', 'category', 'author', 'text']);
+      expect(results[1].reasons).toEqual(['tags']);
+    });
+
+    it('never recommends the post itself', () => {
+      expect(scoreRelated(post, [post])).toEqual([]);
+    });
+
+    it('applies custom weights', () => {
+      const [result] = scoreRelated(post, [makePost('p2', { author: 'a2' })], {
+        tag: 0, category: 10, author: 0, text: 0
+      });
+
+      expect(result.score).toBe(10);
+    });
+  });
+
+  describe('createRelatedPosts', () => {
+    const post = makePost('p1', { tags: ['node'] });
+    const candidates = [makePost('p2', { tags: ['node'] }), makePost('p3')];
+
+    const setup = () => {
+      const findCandidates = jest.fn().mockResolvedValue(candidates);
+      const recommender = createRelatedPosts({
+        findCandidates,
+        store: createMemoryStore(),
+        ttlMs: 60000
+      });
+      return { findCandidates, recommender };
+    };
+
+    it('caches results per post', async () => {
+      const { findCandidates, recommender } = setup();
+
+      const first = await recommender.related(post, 1);
+      const second = await recommender.related(post);
+
+      expect(first.map(result => result.post._id)).toEqual(['p2']);
+      expect(second.map(result => result.post._id)).toEqual(['p2', 'p3']);
+      expect(findCandidates).toHaveBeenCalledTimes(1);
+    });
+
+    it('recomputes after invalidation', async () => {
+      const { findCandidates, recommender } = setup();
+
+      await recommender.related(post);
+      recommender.invalidate();
+      await recommender.related(post);
+
+      expect(findCandidates).toHaveBeenCalledTimes(2);
+    });
+  });
+});
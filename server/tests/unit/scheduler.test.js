@@ -0,0 +1,54 @@
+// scheduler.test.js - Unit tests for the background job scheduler
+
+jest.mock('../../src/models/Lock', () => ({
+  acquire: jest.fn(),
+  release: jest.fn()
+}));
+
+const Lock = require('../../src/models/Lock');
+const scheduler = require('../../src/utils/scheduler');
+
+describe('Scheduler', () => {
+  const task = jest.fn();
+
+  beforeAll(() => {
+    scheduler.register('test-job', 60000, task);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should refuse to register the same job twice', () => {
+    expect(() => scheduler.register('test-job', 60000, task)).toThrow('Job already registered');
+  });
+
+  it('should run the job when the lock is acquired', async () => {
+    Lock.acquire.mockResolvedValue(true);
+    task.mockResolvedValue(3);
+
+    const outcome = await scheduler.runJob('test-job');
+
+    expect(outcome).toEqual({ ran: true, result: 3 });
+    expect(Lock.acquire).toHaveBeenCalledWith('job:test-job', scheduler.INSTANCE_ID, 59000);
+  });
+
+  it('should skip the job when another instance holds the lock', async () => {
+    Lock.acquire.mockResolvedValue(false);
+
+    const outcome = await scheduler.runJob('test-job');
+
+    expect(outcome.ran).toBe(false);
+    expect(task).not.toHaveBeenCalled();
+  });
+
+  it('should report task failures without throwing', async () => {
+    Lock.acquire.mockResolvedValue(true);
+    task.mockRejectedValue(new Error('boom'));
+
+    const outcome = await scheduler.runJob('test-job');
+
+    expect(outcome.ran).toBe(false);
+    expect(outcome.error.message).toBe('boom');
+  });
+});
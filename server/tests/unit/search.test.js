@@ -0,0 +1,82 @@
+// search.test.js - Unit tests for the search helpers
+
+const {
+  parseSearchQuery,
+  hasSearchTerms,
+  buildTextSearch,
+  buildSearchPipeline,
+  buildHighlightPattern,
+  highlight,
+  buildSnippet
+} = require('../../src/utils/search');
+
+describe('Search helpers', () => {
+  describe('parseSearchQuery', () => {
+    it('splits terms, phrases, prefixes and exclusions', () => {
+      expect(parseSearchQuery('react "unit testing" mong* -angular -"class components"')).toEqual({
+        terms: ['react'],
+        phrases: ['unit testing'],
+        prefixes: ['mong'],
+        excluded: ['angular', 'class components']
+      });
+    });
+
+    it('strips punctuation around words', () => {
+      expect(parseSearchQuery('(node) $where.* ...').terms).toEqual(['node']);
+      expect(parseSearchQuery('(node) $where.* ...').prefixes).toEqual(['where']);
+    });
+
+    it('treats queries with only exclusions as empty', () => {
+      expect(hasSearchTerms(parseSearchQuery('-spam'))).toBe(false);
+      expect(hasSearchTerms(parseSearchQuery('js*'))).toBe(true);
+    });
+  });
+
+  describe('buildTextSearch', () => {
+    it('builds a $text search string', () => {
+      expect(buildTextSearch(parseSearchQuery('react "unit testing" -angular'))).toBe('react "unit testing" -angular');
+    });
+
+    it('returns null when there are only prefixes', () => {
+      expect(buildTextSearch(parseSearchQuery('mong*'))).toBeNull();
+    });
+  });
+
+  describe('buildSearchPipeline', () => {
+    const fields = [{ path: 'title', weight: 10 }, { path: 'tags', weight: 5, array: true }];
+
+    it('uses the text index for terms', () => {
+      const [match] = buildSearchPipeline(parseSearchQuery('react'), { fields, filter: { status: 'published' } });
+
+      expect(match.$match).toEqual({ status: 'published', $text: { $search: 'react' } });
+    });
+
+    it('matches prefixes with escaped patterns', () => {
+      const [match, score] = buildSearchPipeline(parseSearchQuery('node.js*'), { fields });
+      const [titleCondition, tagsCondition] = match.$match.$and[0].$or;
+
+      expect(match.$match.$text).toBeUndefined();
+      expect(titleCondition.title.source).toContain('node\\.js');
+      expect(tagsCondition.tags.flags).toBe('i');
+      expect(score.$addFields.score.$add).toHaveLength(2);
+    });
+  });
+
+  describe('highlighting', () => {
+    const pattern = buildHighlightPattern(parseSearchQuery('test "unit testing"'));
+
+    it('marks matched words and escapes HTML', () => {
+      expect(highlight('<b>Unit testing</b> & tests', pattern))
+        .toBe('&lt;b&gt;<mark>Unit testing</mark>&lt;/b&gt; &amp; <mark>tests</mark>');
+    });
+
+    it('cuts a snippet around the first match', () => {
+      const text = `${'intro '.repeat(50)}the test suite ${'outro '.repeat(50)}`;
+      const snippet = buildSnippet(text, pattern, 60);
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('<mark>test</mark> suite');
+    });
+  });
+});
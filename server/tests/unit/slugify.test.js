@@ -0,0 +1,52 @@
+// slugify.test.js - Unit tests for slug generation
+
+const { slugify, transliterate } = require('../../src/utils/slugify');
+
+describe('slugify', () => {
+  it('should lowercase and join words with hyphens', () => {
+    expect(slugify('  Hello, World!  ')).toBe('hello-world');
+    expect(slugify('Node.js & Express -- 2024')).toBe('node-js-express-2024');
+  });
+
+  it('should drop apostrophes inside words', () => {
+    expect(slugify('It’s the team\'s day')).toBe('its-the-teams-day');
+  });
+
+  it('should remove accents from Latin letters', () => {
+    expect(slugify('Café déjà vu')).toBe('cafe-deja-vu');
+    expect(slugify('Tiếng Việt')).toBe('tieng-viet');
+  });
+
+  it('should transliterate letters without an accent-free form', () => {
+    expect(slugify('Straße in Ærø')).toBe('strasse-in-aero');
+    expect(slugify('Łódź')).toBe('lodz');
+  });
+
+  it('should transliterate Cyrillic and Greek', () => {
+    expect(slugify('Привет, мир')).toBe('privet-mir');
+    expect(slugify('Йога и ёлка')).toBe('yoga-i-yolka');
+    expect(slugify('Αθήνα')).toBe('athina');
+  });
+
+  it('should keep letters of other scripts', () => {
+    expect(slugify('東京 2024')).toBe('東京-2024');
+    expect(slugify('नमस्ते दुनिया')).toBe('नमस्ते-दुनिया');
+  });
+
+  it('should return an empty string without letters or digits', () => {
+    expect(slugify('--- !!! ---')).toBe('');
+    expect(slugify(undefined)).toBe('');
+  });
+
+  it('should cut long slugs at a word boundary', () => {
+    const slug = slugify(`${'word '.repeat(30)}end`, { maxLength: 22 });
+
+    expect(slug).toBe('word-word-word-word');
+  });
+});
+
+describe('transliterate', () => {
+  it('should leave ASCII text alone apart from case', () => {
+    expect(transliterate('Plain ASCII 123')).toBe('plain ascii 123');
+  });
+});
@@ -0,0 +1,85 @@
+// spamFilter.test.js - Unit tests for the comment spam scorer
+
+const { rules, countLinks, createSpamScorer } = require('../../src/utils/spamFilter');
+
+describe('Spam filter', () => {
+  const oldAuthor = { _id: 'a1', createdAt: new Date('2020-01-01') };
+  const newAuthor = { _id: 'a2', createdAt: new Date() };
+
+  describe('countLinks', () => {
+    it('counts http(s) and www links', () => {
+      expect(countLinks('see https://a.example and www.b.example or http://c.example')).toBe(3);
+      expect(countLinks('no links here')).toBe(0);
+    });
+  });
+
+  describe('rules', () => {
+    it('scores links beyond the allowance', () => {
+      const rule = rules.links({ max: 1, weight: 2 });
+
+      expect(rule({ content: 'https://a.example' }).score).toBe(0);
+      expect(rule({ content: 'https://a.example https://b.example https://c.example' }).score).toBe(4);
+    });
+
+    it('matches banned words as whole words, ignoring case', () => {
+      const rule = rules.bannedWords({ words: ['casino', 'free money'], weight: 3 });
+
+      expect(rule({ content: 'Visit our CASINO for free money' })).toEqual({
+        score: 6,
+        reason: 'banned words: casino, free money'
+      });
+      expect(rule({ content: 'occasional' }).score).toBe(0);
+    });
+
+    it('weights new accounts posting links', () => {
+      const rule = rules.newAccount({ hours: 24, weight: 1, linkWeight: 2 });
+
+      expect(rule({ content: 'hello', author: oldAuthor }).score).toBe(0);
+      expect(rule({ content: 'hello', author: newAuthor }).score).toBe(1);
+      expect(rule({ content: 'https://a.example', author: newAuthor }).score).toBe(3);
+    });
+
+    it('flags duplicates by the same author or across many authors', async () => {
+      const byAuthor = rules.duplicates({ weight: 4, find: async () => ({ byAuthor: 1, total: 1 }) });
+      const crowd = rules.duplicates({ weight: 4, crowdThreshold: 3, find: async () => ({ byAuthor: 0, total: 3 }) });
+      const unique = rules.duplicates({ weight: 4, find: async () => ({ byAuthor: 0, total: 0 }) });
+
+      expect((await byAuthor({ content: 'x', author: oldAuthor })).score).toBe(4);
+      expect((await crowd({ content: 'x', author: oldAuthor })).score).toBe(4);
+      expect((await unique({ content: 'x', author: oldAuthor })).score).toBe(0);
+    });
+  });
+
+  describe('createSpamScorer', () => {
+    const scorer = createSpamScorer({
+      rules: [
+        rules.links({ max: 0, weight: 2 }),
+        rules.bannedWords({ words: ['casino'], weight: 3 })
+      ],
+      reviewThreshold: 3,
+      spamThreshold: 5
+    });
+
+    it('approves clean comments', async () => {
+      expect(await scorer({ content: 'Nice write-up', author: oldAuthor })).toEqual({
+        score: 0,
+        reasons: [],
+        verdict: 'approved'
+      });
+    });
+
+    it('holds borderline comments for review', async () => {
+      const result = await scorer({ content: 'Best casino around', author: oldAuthor });
+
+      expect(result.verdict).toBe('pending');
+      expect(result.reasons).toEqual(['banned words: casino']);
+    });
+
+    it('files high scoring comments as spam', async () => {
+      const result = await scorer({ content: 'casino https://spam.example', author: oldAuthor });
+
+      expect(result.score).toBe(5);
+      expect(result.verdict).toBe('spam');
+    });
+  });
+});
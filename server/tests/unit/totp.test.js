@@ -0,0 +1,68 @@
+// server/tests/unit/totp.test.js - Unit tests for TOTP utilities
+
+const totp = require('../../src/utils/totp');
+
+// RFC 6238 test secret ("12345678901234567890" in base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP utilities', () => {
+  describe('base32', () => {
+    it('round-trips arbitrary bytes', () => {
+      const buffer = Buffer.from('hello two-factor world');
+      expect(totp.base32Decode(totp.base32Encode(buffer))).toEqual(buffer);
+    });
+
+    it('encodes the RFC test secret', () => {
+      expect(totp.base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+    });
+
+    it('rejects invalid characters', () => {
+      expect(() => totp.base32Decode('not-base32!')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateCode', () => {
+    it('matches the RFC 6238 test vectors', () => {
+      expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(59 * 1000))).toBe('287082');
+      expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(1111111109 * 1000))).toBe('081804');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const time = 1111111109 * 1000;
+
+    it('accepts the current code and returns its time step', () => {
+      expect(totp.verifyCode(RFC_SECRET, '081804', { time })).toBe(totp.getTimeStep(time));
+    });
+
+    it('tolerates one step of clock drift', () => {
+      const previous = totp.generateCode(RFC_SECRET, totp.getTimeStep(time) - 1);
+      expect(totp.verifyCode(RFC_SECRET, previous, { time })).not.toBeNull();
+    });
+
+    it('rejects wrong and malformed codes', () => {
+      expect(totp.verifyCode(RFC_SECRET, '000000', { time })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, 'abc', { time })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('generates unique 32 character base32 secrets', () => {
+      const secret = totp.generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(totp.generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('builds an otpauth URI for authenticator apps', () => {
+      const uri = totp.buildOtpauthUri({ secret: RFC_SECRET, accountName: 'admin@example.com', issuer: 'Blog' });
+
+      expect(uri).toBe(
+        `otpauth://totp/Blog%3Aadmin%40example.com?secret=${RFC_SECRET}&issuer=Blog&algorithm=SHA1&digits=6&period=30`
+      );
+    });
+  });
+});
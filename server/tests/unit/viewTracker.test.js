@@ -0,0 +1,120 @@
+// viewTracker.test.js - Unit tests for post view counting
+
+const mongoose = require('mongoose');
+const { isBot, visitorKey, createViewTracker } = require('../../src/utils/viewTracker');
+
+const BROWSER = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+const WINDOW = 30 * 60 * 1000;
+
+// In-memory stand-in for the view store
+const createTracker = () => {
+  const claimed = new Map();
+  const countView = jest.fn();
+
+  const track = createViewTracker({
+    windowMs: WINDOW,
+    claimView: async (postId, visitor, windowMs, now) => {
+      const key = `${postId}:${visitor}`;
+      if (claimed.has(key) && claimed.get(key) > now) {
+        return false;
+      }
+      claimed.set(key, new Date(now.getTime() + windowMs));
+      return true;
+    },
+    countView
+  });
+
+  return { track, countView };
+};
+
+const authorId = new mongoose.Types.ObjectId();
+
+const livePost = {
+  _id: new mongoose.Types.ObjectId(),
+  author: authorId,
+  status: 'published',
+  publishedAt: new Date(Date.now() - 1000)
+};
+
+describe('isBot', () => {
+  it('should recognise crawlers, previews and scripts', () => {
+    expect(isBot('Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)')).toBe(true);
+    expect(isBot('facebookexternalhit/1.1')).toBe(true);
+    expect(isBot('curl/8.4.0')).toBe(true);
+    expect(isBot('Mozilla/5.0 HeadlessChrome/120.0')).toBe(true);
+  });
+
+  it('should treat requests without a user agent as bots', () => {
+    expect(isBot(undefined)).toBe(true);
+    expect(isBot('')).toBe(true);
+  });
+
+  it('should let browsers through', () => {
+    expect(isBot(BROWSER)).toBe(false);
+  });
+});
+
+describe('visitorKey', () => {
+  it('should key signed in users by ID and others by address and browser', () => {
+    const user = { _id: new mongoose.Types.ObjectId() };
+
+    expect(visitorKey({ user, ip: '1.1.1.1', userAgent: 'a' })).toBe(visitorKey({ user, ip: '2.2.2.2', userAgent: 'b' }));
+    expect(visitorKey({ ip: '1.1.1.1', userAgent: 'a' })).not.toBe(visitorKey({ ip: '1.1.1.1', userAgent: 'b' }));
+    expect(visitorKey({ ip: '1.1.1.1', userAgent: 'a' })).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
+
+describe('createViewTracker', () => {
+  it('should count a visitor once per window', async () => {
+    const { track, countView } = createTracker();
+    const now = new Date();
+    const view = { post: livePost, ip: '1.1.1.1', userAgent: BROWSER };
+
+    expect(await track({ ...view, now })).toEqual({ counted: true });
+    expect(await track({ ...view, now: new Date(now.getTime() + 1000) }))
+      .toEqual({ counted: false, reason: 'repeat view' });
+    expect(await track({ ...view, now: new Date(now.getTime() + WINDOW + 1) })).toEqual({ counted: true });
+    expect(countView).toHaveBeenCalledTimes(2);
+  });
+
+  it('should count different visitors separately', async () => {
+    const { track, countView } = createTracker();
+
+    await track({ post: livePost, ip: '1.1.1.1', userAgent: BROWSER });
+    await track({ post: livePost, ip: '2.2.2.2', userAgent: BROWSER });
+
+    expect(countView).toHaveBeenCalledTimes(2);
+  });
+
+  it('should ignore bots', async () => {
+    const { track, countView } = createTracker();
+
+    const result = await track({ post: livePost, ip: '1.1.1.1', userAgent: 'Googlebot/2.1' });
+
+    expect(result.reason).toBe('bot');
+    expect(countView).not.toHaveBeenCalled();
+  });
+
+  it('should ignore the author, populated or not', async () => {
+    const { track, countView } = createTracker();
+    const author = { _id: authorId };
+
+    await track({ post: livePost, user: author, userAgent: BROWSER });
+    await track({ post: { ...livePost, author }, user: author, userAgent: BROWSER });
+
+    expect(countView).not.toHaveBeenCalled();
+  });
+
+  it('should ignore drafts and posts scheduled for later', async () => {
+    const { track, countView } = createTracker();
+
+    await track({ post: { ...livePost, status: 'draft' }, ip: '1.1.1.1', userAgent: BROWSER });
+    await track({
+      post: { ...livePost, publishedAt: new Date(Date.now() + 60000) },
+      ip: '1.1.1.1',
+      userAgent: BROWSER
+    });
+
+    expect(countView).not.toHaveBeenCalled();
+  });
+});